@@ -0,0 +1,402 @@
+// controllers/bracket.js
+import mongoose from "mongoose";
+import { createError } from "../error.js";
+import User from "../models/User.js";
+import Competition from "../models/Competition.js";
+import Gameweek from "../models/Gameweek.js";
+import Fixture from "../models/Fixtures.js";
+import Match, { resolveMatchWinner } from "../models/Match.js";
+import { computeLeagueTable } from "./standings.js";
+import { resolveSeason, seasonGameweekFilter, describeSeason } from "./seasonScope.js";
+
+/**
+ * Knockout bracket engine.
+ *
+ * - seeding: once every regular-stage match is at full time, the knockout gameweeks (existing placeholders,
+ *   or new ones) are wired from the league table: Fixture.bracket records which league position or which
+ *   earlier tie fills each side
+ * - advancing: when a knockout match reaches full time its winner moves into the next round's fixture,
+ *   whose Match is created once both sides are known; the final's winner becomes Competition.winner
+ * - reverting a knockout full time takes the winner back out (refused once the next round has been played)
+ */
+
+const MAX_QUALIFIERS = 32;
+
+/* -----------------------
+   Layout
+   ----------------------- */
+
+// seed order of a full bracket so the top seeds meet as late as possible: 4 -> [1, 4, 2, 3]
+export function bracketSeedOrder(size) {
+  let order = [1];
+  while (order.length < size) {
+    const n = order.length * 2;
+    order = order.flatMap((seed) => [seed, n + 1 - seed]);
+  }
+  return order;
+}
+
+/**
+ * Rounds of a single-elimination bracket for league positions 1..qualifiers.
+ * When qualifiers is not a power of two the lowest seeds play a playoff round and the top seeds skip it:
+ * 6 -> playoff 4v5, 3v6; semifinals 1 v W(4v5), 2 v W(3v6); final.
+ * Returns [{ stage, ties: [{ home, away }] }] where a side is { seed } or { from: [roundIdx, slot] }.
+ */
+export function buildBracketLayout(qualifiers) {
+  const q = Number(qualifiers);
+  let size = 1;
+  while (size * 2 <= q) size *= 2;
+  const extra = q - size;
+
+  const rounds = [];
+  const entries = bracketSeedOrder(size).map((seed) => ({ seed }));
+  if (extra > 0) {
+    const ties = [];
+    entries.forEach((entry, idx) => {
+      if (entry.seed <= size - extra) return;
+      ties.push({ home: { seed: entry.seed }, away: { seed: 2 * size + 1 - entry.seed } });
+      entries[idx] = { from: [0, ties.length - 1] };
+    });
+    rounds.push({ ties });
+  }
+
+  let current = entries;
+  while (current.length > 1) {
+    const ties = [];
+    for (let i = 0; i < current.length; i += 2) ties.push({ home: current[i], away: current[i + 1] });
+    rounds.push({ ties });
+    current = ties.map((_, slot) => ({ from: [rounds.length - 1, slot] }));
+  }
+
+  return rounds.map((round, idx) => {
+    const fromEnd = rounds.length - 1 - idx;
+    return { stage: fromEnd === 0 ? "final" : fromEnd === 1 ? "semifinal" : "playoff", ties: round.ties };
+  });
+}
+
+// number of qualifiers whose layout has these tie counts per round, or null
+function inferQualifiers(tieCounts, maxTeams) {
+  for (let q = 2; q <= Math.min(MAX_QUALIFIERS, maxTeams); q++) {
+    const layout = buildBracketLayout(q);
+    if (layout.length === tieCounts.length && layout.every((r, idx) => r.ties.length === tieCounts[idx])) return q;
+  }
+  return null;
+}
+
+/* -----------------------
+   Helpers
+   ----------------------- */
+
+// winner of a finished match, after extra time and penalties (null when it is not finished or level)
+export function getMatchWinner(match) {
+  return resolveMatchWinner(match).winner;
+}
+
+async function createKnockoutMatch(homeTeam, awayTeam, session = null) {
+  const [match] = await Match.create([{
+    homeTeam,
+    awayTeam,
+    date: null,
+    venue: null,
+    lineups: { home: [], away: [] },
+    bench: { home: [], away: [] },
+    goals: [],
+    substitutions: [],
+    cards: [],
+    result: null,
+    matchRatings: [],
+    fulltime: false,
+  }], session ? { session } : {});
+  return match;
+}
+
+// knockout gameweeks of a competition's current season in playing order, fixtures populated
+async function loadKnockoutGameweeks(competitionId) {
+  const season = await resolveSeason(competitionId);
+  return Gameweek.find({ competitionId, stage: { $ne: "regular" }, ...seasonGameweekFilter(season) })
+    .sort({ number: 1 })
+    .populate("fixtures")
+    .exec();
+}
+
+/**
+ * Wire the knockout stage from the league table.
+ * qualifiers: teams going through (default: what the existing placeholders fit, else 4)
+ * createRounds: create the knockout gameweeks when there are none (otherwise nothing is seeded)
+ * Returns the bracket tree, or null when nothing was seeded.
+ */
+export async function seedBracket(competitionId, { qualifiers = null, createRounds = true } = {}) {
+  const table = await computeLeagueTable(competitionId);
+  if (!table.complete) {
+    throw createError(409, `The regular stage is not complete (${table.played}/${table.scheduled} matches played)`);
+  }
+
+  let gameweeks = await loadKnockoutGameweeks(competitionId);
+  const fixtures = gameweeks.flatMap((gw) => gw.fixtures || []);
+  if (fixtures.some((f) => f.bracket)) throw createError(409, "The knockout bracket has already been seeded");
+  if (fixtures.some((f) => f.match || f.homeTeam || f.awayTeam)) {
+    throw createError(409, "Knockout fixtures have already been filled by hand");
+  }
+
+  const requested = qualifiers == null ? null : Number(qualifiers);
+  if (requested != null && (!Number.isInteger(requested) || requested < 2 || requested > Math.min(MAX_QUALIFIERS, table.rows.length))) {
+    throw createError(400, `qualifiers must be between 2 and ${Math.min(MAX_QUALIFIERS, table.rows.length)}`);
+  }
+
+  let q;
+  if (gameweeks.length > 0) {
+    q = inferQualifiers(gameweeks.map((gw) => (gw.fixtures || []).length), table.rows.length);
+    if (!q || (requested != null && requested !== q)) {
+      throw createError(409, `The knockout placeholders do not match a bracket of ${requested ?? "any number of"} teams`);
+    }
+  } else {
+    if (!createRounds) return null;
+    q = requested ?? Math.min(4, table.rows.length);
+    if (q < 2) throw createError(409, "At least 2 teams are needed for a knockout stage");
+
+    const lastGw = await Gameweek.findOne({ competitionId }).sort({ number: -1 }).lean().exec();
+    let nextNumber = lastGw ? lastGw.number + 1 : 1;
+    for (const round of buildBracketLayout(q)) {
+      const created = await Fixture.insertMany(round.ties.map(() => ({
+        gameweek: null,
+        homeTeam: null,
+        awayTeam: null,
+        bye: false,
+        match: null,
+        competitionId,
+      })));
+      const gw = await Gameweek.create({ number: nextNumber, fixtures: created.map((f) => f._id), competitionId, stage: round.stage });
+      await Fixture.updateMany({ _id: { $in: created.map((f) => f._id) } }, { $set: { gameweek: gw._id } }).exec();
+      nextNumber += 1;
+    }
+    gameweeks = await loadKnockoutGameweeks(competitionId);
+  }
+
+  const layout = buildBracketLayout(q);
+  const teamForSeed = (seed) => table.rows[seed - 1].team;
+  const fixtureAt = ([roundIdx, slot]) => gameweeks[roundIdx].fixtures[slot];
+
+  for (const [roundIdx, round] of layout.entries()) {
+    for (const [slot, tie] of round.ties.entries()) {
+      const fixture = fixtureAt([roundIdx, slot]);
+      fixture.bracket = {
+        round: roundIdx + 1,
+        slot,
+        homeSeed: tie.home.seed ?? null,
+        awaySeed: tie.away.seed ?? null,
+        homeFrom: tie.home.from ? fixtureAt(tie.home.from)._id : null,
+        awayFrom: tie.away.from ? fixtureAt(tie.away.from)._id : null,
+        winner: null,
+      };
+      fixture.homeTeam = tie.home.seed ? teamForSeed(tie.home.seed) : null;
+      fixture.awayTeam = tie.away.seed ? teamForSeed(tie.away.seed) : null;
+      if (fixture.homeTeam && fixture.awayTeam) {
+        const match = await createKnockoutMatch(fixture.homeTeam, fixture.awayTeam);
+        fixture.match = match._id;
+      }
+      await fixture.save();
+    }
+  }
+
+  return buildBracketTree(competitionId);
+}
+
+/**
+ * Move the winner of a finished knockout match into the next round (outside any transaction).
+ * Returns { advanced, winner?, reason? }
+ */
+export async function advanceBracketForMatch(match) {
+  const fixture = await Fixture.findOne({ match: match._id, bracket: { $ne: null } }).exec();
+  if (!fixture) return { advanced: false, reason: "not a bracket match" };
+
+  const winner = getMatchWinner(match);
+  if (!winner) return { advanced: false, reason: "no winner" };
+
+  fixture.bracket.winner = winner;
+  await fixture.save();
+
+  const dependents = await Fixture.find({ $or: [{ "bracket.homeFrom": fixture._id }, { "bracket.awayFrom": fixture._id }] }).exec();
+  if (dependents.length === 0) {
+    await Competition.updateOne({ _id: fixture.competitionId }, { $set: { winner } }).exec();
+    return { advanced: true, winner, champion: true };
+  }
+
+  for (const next of dependents) {
+    const side = String(next.bracket.homeFrom) === String(fixture._id) ? "homeTeam" : "awayTeam";
+    next[side] = winner;
+    if (next.match) {
+      await Match.updateOne({ _id: next.match, fulltime: false }, { $set: { [side]: winner } }).exec();
+    } else if (next.homeTeam && next.awayTeam) {
+      const created = await createKnockoutMatch(next.homeTeam, next.awayTeam);
+      next.match = created._id;
+    }
+    await next.save();
+  }
+  return { advanced: true, winner };
+}
+
+/**
+ * Take a knockout winner back out of the bracket when its full time is reverted (inside the revert's transaction).
+ * The next round's match is removed; refused (409) once that match has events or is finished.
+ */
+export async function retractBracketForMatch(match, { session = null } = {}) {
+  const fixture = await Fixture.findOne({ match: match._id, bracket: { $ne: null } }).session(session).exec();
+  if (!fixture || !fixture.bracket.winner) return { retracted: false };
+
+  const dependents = await Fixture.find({ $or: [{ "bracket.homeFrom": fixture._id }, { "bracket.awayFrom": fixture._id }] })
+    .session(session)
+    .exec();
+  for (const next of dependents) {
+    if (next.match) {
+      const nextMatch = await Match.findById(next.match).session(session).exec();
+      const started = nextMatch && (nextMatch.fulltime
+        || ["goals", "cards", "substitutions"].some((k) => (nextMatch[k] || []).length > 0));
+      if (started) throw createError(409, "The next knockout round has already been played; revert it first");
+      if (nextMatch) await Match.deleteOne({ _id: nextMatch._id }).session(session).exec();
+      next.match = null;
+    }
+    const side = String(next.bracket.homeFrom) === String(fixture._id) ? "homeTeam" : "awayTeam";
+    next[side] = null;
+    await next.save({ session });
+  }
+
+  if (dependents.length === 0) {
+    await Competition.updateOne({ _id: fixture.competitionId, winner: fixture.bracket.winner }, { $set: { winner: null } })
+      .session(session)
+      .exec();
+  }
+  fixture.bracket.winner = null;
+  await fixture.save({ session });
+  return { retracted: true };
+}
+
+/**
+ * After a match reaches full time: advance its bracket, or seed the bracket when it was the
+ * last regular-stage match and knockout placeholders are waiting.
+ */
+export async function handleBracketAfterFulltime(match) {
+  const fixture = await Fixture.findOne({ match: match._id }).populate("gameweek", "stage").lean().exec();
+  if (!fixture) return null;
+  if (fixture.bracket) return advanceBracketForMatch(match);
+  if (fixture.gameweek?.stage !== "regular" || !fixture.competitionId) return null;
+
+  const table = await computeLeagueTable(fixture.competitionId);
+  if (!table.complete) return null;
+  const season = await resolveSeason(fixture.competitionId);
+  const knockoutGws = await Gameweek.find({ competitionId: fixture.competitionId, stage: { $ne: "regular" }, ...seasonGameweekFilter(season) })
+    .select("_id")
+    .lean()
+    .exec();
+  const unseeded = await Fixture.exists({ gameweek: { $in: knockoutGws.map((gw) => gw._id) }, bracket: null, match: null });
+  if (!unseeded) return null;
+  return seedBracket(fixture.competitionId, { createRounds: false });
+}
+
+function sideView(fixture, side) {
+  const team = fixture[`${side}Team`];
+  return {
+    team: team || null,
+    seed: fixture.bracket?.[`${side}Seed`] ?? null,
+    winnerOf: fixture.bracket?.[`${side}From`] ? String(fixture.bracket[`${side}From`]) : null,
+  };
+}
+
+/**
+ * Bracket tree: knockout rounds in order, each tie with where its sides come from, the match and the winner.
+ * scope: season to show (see resolveSeason; defaults to the current one)
+ */
+export async function buildBracketTree(competitionId, scope = null) {
+  const season = scope || await resolveSeason(competitionId);
+  const gameweeks = await Gameweek.find({ competitionId, stage: { $ne: "regular" }, ...seasonGameweekFilter(season) })
+    .sort({ number: 1 })
+    .populate({
+      path: "fixtures",
+      populate: [
+        { path: "homeTeam", select: "name logo" },
+        { path: "awayTeam", select: "name logo" },
+        { path: "match", select: "homeScore awayScore fulltime date extraTime penaltyShootout.homeScore penaltyShootout.awayScore" },
+      ],
+    })
+    .lean()
+    .exec();
+
+  const rounds = gameweeks.map((gw) => ({
+    gameweekId: String(gw._id),
+    gameweek: gw.number,
+    stage: gw.stage,
+    ties: (gw.fixtures || [])
+      .slice()
+      .sort((a, b) => (a.bracket?.slot ?? 0) - (b.bracket?.slot ?? 0))
+      .map((f) => ({
+        fixtureId: String(f._id),
+        round: f.bracket?.round ?? null,
+        slot: f.bracket?.slot ?? null,
+        seeded: !!f.bracket,
+        home: sideView(f, "home"),
+        away: sideView(f, "away"),
+        match: f.match
+          ? {
+            matchId: String(f.match._id),
+            homeScore: f.match.homeScore,
+            awayScore: f.match.awayScore,
+            extraTime: !!f.match.extraTime,
+            penalties: f.match.penaltyShootout
+              ? { homeScore: f.match.penaltyShootout.homeScore, awayScore: f.match.penaltyShootout.awayScore }
+              : null,
+            fulltime: !!f.match.fulltime,
+            date: f.match.date ?? null,
+          }
+          : null,
+        winner: f.bracket?.winner ? String(f.bracket.winner) : null,
+      })),
+  }));
+
+  const finalTie = rounds.length > 0 ? rounds[rounds.length - 1].ties[0] : null;
+  return { competitionId: String(competitionId), season: describeSeason(season), rounds, champion: finalTie?.winner ?? null };
+}
+
+/* -----------------------
+   Controller actions
+   ----------------------- */
+
+/**
+ * POST /api/fixture/knockout/seed (admin)
+ * Body: { competitionId, qualifiers? }
+ * Seeds the knockout stage from the final league table (creates the knockout gameweeks when there are none).
+ */
+export const seedKnockoutBracket = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user || user.role !== "admin") {
+      return next(createError(403, "Only admins can seed the knockout bracket"));
+    }
+
+    const { competitionId, qualifiers = null } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(String(competitionId))) return next(createError(400, "Invalid competitionId"));
+    const competition = await Competition.findById(competitionId).select("_id").lean().exec();
+    if (!competition) return next(createError(404, "Competition not found"));
+
+    const bracket = await seedBracket(competition._id, { qualifiers });
+    return res.status(201).json({ success: true, data: bracket });
+  } catch (err) {
+    console.error("[seedKnockoutBracket] error:", err);
+    next(err);
+  }
+};
+
+/**
+ * GET /api/fixture/bracket/:competitionId?season=S (season number or id, defaults to the current season)
+ */
+export const getBracket = async (req, res, next) => {
+  try {
+    const { competitionId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(String(competitionId))) return next(createError(400, "Invalid competitionId"));
+    const competitionOid = new mongoose.Types.ObjectId(String(competitionId));
+    const season = await resolveSeason(competitionOid, req.query.season);
+    const bracket = await buildBracketTree(competitionOid, season);
+    return res.status(200).json({ success: true, data: bracket });
+  } catch (err) {
+    console.error("[getBracket] error:", err);
+    next(err);
+  }
+};
@@ -0,0 +1,346 @@
+// controllers/chips.js
+import mongoose from "mongoose";
+import { createError } from "../error.js";
+import User from "../models/User.js";
+import Competition, { CHIP_EFFECTS, DEFAULT_CHIPS } from "../models/Competition.js";
+import FantasyTeam from "../models/Felteam.js";
+import Gameweek from "../models/Gameweek.js";
+
+/**
+ * Fantasy chips are defined per competition (Competition.chips, DEFAULT_CHIPS when unset).
+ * A team's activations are stored in FantasyTeam.chipUsage with the chip's effect copied in,
+ * so scoring only needs the team document. FantasyTeam.powerups is a summary kept for clients.
+ *
+ * Effects: wildcard / freeHit (unlimited free transfers; a Free Hit squad reverts after the gameweek),
+ * benchBoost (bench players score), captainMultiplier (captain scores x multiplier instead of x2).
+ */
+
+const DEFAULT_CAPTAIN_MULTIPLIER = 2;
+// chips that make every transfer free: at most one of them per gameweek
+const TRANSFER_EFFECTS = ["wildcard", "freeHit"];
+
+// "Bench Boost", "bench_boost" and "benchBoost" all select the same chip
+const normalizeChipName = (name) => String(name || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+const toPlain = (doc) => (doc && typeof doc.toObject === "function" ? doc.toObject() : doc);
+
+/**
+ * Check and clean chip definitions sent by an admin.
+ * Returns the cleaned array or throws a 400.
+ */
+export function validateChipDefinitions(raw) {
+  if (!Array.isArray(raw)) throw createError(400, "chips must be an array");
+  const seen = new Set();
+  return raw.map((input, idx) => {
+    const label = `chips[${idx}]`;
+    if (!input || typeof input !== "object") throw createError(400, `${label} must be an object`);
+
+    const key = typeof input.key === "string" ? input.key.trim() : "";
+    if (!key) throw createError(400, `${label}.key is required`);
+    const normalized = normalizeChipName(key);
+    if (!normalized) throw createError(400, `${label}.key must contain letters or digits`);
+    if (seen.has(normalized)) throw createError(400, `Duplicate chip key: ${key}`);
+    seen.add(normalized);
+
+    if (!CHIP_EFFECTS.includes(input.effect)) {
+      throw createError(400, `${label}.effect must be one of ${CHIP_EFFECTS.join(", ")}`);
+    }
+
+    let multiplier = null;
+    if (input.effect === "captainMultiplier") {
+      multiplier = Number(input.multiplier);
+      if (!Number.isFinite(multiplier) || multiplier < 1) throw createError(400, `${label}.multiplier must be a number >= 1`);
+    }
+
+    const uses = input.uses == null ? 1 : Number(input.uses);
+    if (!Number.isInteger(uses) || uses < 1) throw createError(400, `${label}.uses must be a positive integer`);
+
+    const windows = (input.windows || []).map((w, wIdx) => {
+      const from = Number(w?.fromGameweek);
+      const to = Number(w?.toGameweek);
+      if (!Number.isInteger(from) || !Number.isInteger(to) || from < 1 || to < from) {
+        throw createError(400, `${label}.windows[${wIdx}] needs fromGameweek <= toGameweek (positive integers)`);
+      }
+      return { fromGameweek: from, toGameweek: to };
+    }).sort((a, b) => a.fromGameweek - b.fromGameweek);
+    for (let i = 1; i < windows.length; i++) {
+      if (windows[i].fromGameweek <= windows[i - 1].toGameweek) throw createError(400, `${label}.windows overlap`);
+    }
+
+    return {
+      key,
+      name: typeof input.name === "string" && input.name.trim() ? input.name.trim() : key,
+      effect: input.effect,
+      multiplier,
+      uses,
+      windows,
+    };
+  });
+}
+
+/**
+ * Chip definitions of a competition (DEFAULT_CHIPS for teams without one, or when none were configured).
+ */
+export async function getChipsForCompetition(competitionId) {
+  const id = competitionId?._id ?? competitionId;
+  if (!id || !mongoose.Types.ObjectId.isValid(String(id))) return DEFAULT_CHIPS;
+  const competition = await Competition.findById(id).select("chips").lean().exec();
+  return Array.isArray(competition?.chips) ? competition.chips : DEFAULT_CHIPS;
+}
+
+export function findChip(chips, name) {
+  const wanted = normalizeChipName(name);
+  if (!wanted) return null;
+  return chips.find((c) => normalizeChipName(c.key) === wanted)
+    || chips.find((c) => normalizeChipName(c.name) === wanted)
+    || null;
+}
+
+/**
+ * Chips requested in a body field: "benchBoost", ["freeHit", "Triple Captain"] or { wildcard: true }.
+ * Unknown names are a 400. Returns chip definitions (deduplicated).
+ */
+export function parseChipSelection(chips, ...raws) {
+  const names = [];
+  for (const raw of raws) {
+    if (typeof raw === "string") names.push(raw);
+    else if (Array.isArray(raw)) names.push(...raw);
+    else if (raw && typeof raw === "object") {
+      for (const [name, value] of Object.entries(raw)) if (value) names.push(name);
+    }
+  }
+
+  const selected = new Map();
+  for (const name of names) {
+    const chip = findChip(chips, name);
+    if (!chip) throw createError(400, `Unknown chip: ${name}`);
+    selected.set(chip.key, chip);
+  }
+  return Array.from(selected.values());
+}
+
+// the window a gameweek falls into ({1..Infinity} when the chip has none), or null
+export function chipWindowFor(chip, gameweekNumber) {
+  const windows = chip.windows || [];
+  if (windows.length === 0) return { fromGameweek: 1, toGameweek: Infinity };
+  if (gameweekNumber == null) return null;
+  const gw = Number(gameweekNumber);
+  return windows.find((w) => gw >= w.fromGameweek && gw <= w.toGameweek) || null;
+}
+
+/**
+ * A team's chip activations, including ones recorded in the old fixed powerups object
+ * (wildcard / benchBoost / tripleCaptain with usedGameweek). Does not modify the team.
+ */
+export function listChipUsage(team) {
+  const usage = (team.chipUsage || []).map((u) => ({ ...toPlain(u) }));
+  const legacy = toPlain(team.powerups) || {};
+  for (const def of DEFAULT_CHIPS) {
+    const gw = legacy[def.key]?.usedGameweek;
+    if (typeof gw !== "number") continue;
+    if (usage.some((u) => u.chip === def.key)) continue;
+    usage.push({ chip: def.key, effect: def.effect, multiplier: def.multiplier ?? null, gameweek: gw, activatedAt: null });
+  }
+  return usage;
+}
+
+// copy legacy powerups activations into chipUsage (in memory). Returns true when something was added.
+export function migrateLegacyPowerups(team) {
+  const usage = listChipUsage(team);
+  if (usage.length === (team.chipUsage || []).length) return false;
+  team.chipUsage = usage;
+  return true;
+}
+
+export function chipUsesLeft(team, chip, gameweekNumber) {
+  const window = chipWindowFor(chip, gameweekNumber);
+  if (!window) return 0;
+  const used = listChipUsage(team).filter((u) => u.chip === chip.key
+    && u.gameweek >= window.fromGameweek && u.gameweek <= window.toGameweek).length;
+  return Math.max(0, Number(chip.uses ?? 1) - used);
+}
+
+export function isChipActiveForGw(team, chipKey, gameweekNumber) {
+  return listChipUsage(team).some((u) => u.chip === chipKey && Number(u.gameweek) === Number(gameweekNumber));
+}
+
+/**
+ * Throws a 400 when a chip cannot be played in a gameweek: no uses left in its window, outside every window,
+ * or clashing with another chip of the same effect (or a second transfer chip) that gameweek.
+ * Playing a chip that is already active for the gameweek is allowed (no-op).
+ */
+export function assertChipAllowed(team, chip, gameweekNumber, alsoSelected = []) {
+  const gw = Number(gameweekNumber);
+  if (isChipActiveForGw(team, chip.key, gw)) return;
+  if (!chipWindowFor(chip, gw)) throw createError(400, `${chip.name} cannot be played in gameweek ${gw}`);
+  if (chipUsesLeft(team, chip, gw) <= 0) throw createError(400, `${chip.name} has already been used`);
+
+  const others = [
+    ...listChipUsage(team).filter((u) => Number(u.gameweek) === gw && u.chip !== chip.key),
+    ...alsoSelected.filter((c) => c.key !== chip.key).map((c) => ({ chip: c.key, effect: c.effect })),
+  ];
+  const clash = others.find((u) => u.effect === chip.effect
+    || (TRANSFER_EFFECTS.includes(u.effect) && TRANSFER_EFFECTS.includes(chip.effect)));
+  if (clash) throw createError(400, `${chip.name} cannot be combined with ${clash.chip} in the same gameweek`);
+}
+
+/**
+ * Record a chip activation (in memory). Returns false when it was already active for the gameweek.
+ */
+export function activateChipForGw(team, chip, gameweekNumber) {
+  assertChipAllowed(team, chip, gameweekNumber);
+  if (isChipActiveForGw(team, chip.key, gameweekNumber)) return false;
+  migrateLegacyPowerups(team);
+  team.chipUsage.push({
+    chip: chip.key,
+    effect: chip.effect,
+    multiplier: chip.effect === "captainMultiplier" ? Number(chip.multiplier) : null,
+    gameweek: Number(gameweekNumber),
+    activatedAt: new Date(),
+  });
+  return true;
+}
+
+/**
+ * What the team's active chips do in a gameweek.
+ * Returns { chips: [keys], unlimitedTransfers, freeHit, benchBoost, captainChip, captainMultiplier }
+ */
+export function getChipEffectsForGw(team, gameweekNumber) {
+  const active = listChipUsage(team).filter((u) => Number(u.gameweek) === Number(gameweekNumber));
+  const effects = {
+    chips: active.map((u) => u.chip),
+    unlimitedTransfers: false,
+    freeHit: false,
+    benchBoost: false,
+    captainChip: false,
+    captainMultiplier: DEFAULT_CAPTAIN_MULTIPLIER,
+  };
+  for (const u of active) {
+    if (TRANSFER_EFFECTS.includes(u.effect)) effects.unlimitedTransfers = true;
+    if (u.effect === "freeHit") effects.freeHit = true;
+    if (u.effect === "benchBoost") effects.benchBoost = true;
+    if (u.effect === "captainMultiplier" && u.multiplier != null) {
+      effects.captainChip = true;
+      effects.captainMultiplier = Number(u.multiplier);
+    }
+  }
+  return effects;
+}
+
+/**
+ * Per-chip status for clients: { [key]: { name, effect, available, usesLeft, usedGameweek, usedGameweeks } }
+ * available/usesLeft are for gameweekNumber (e.g. the upcoming one).
+ */
+export function buildChipSummary(team, chips, gameweekNumber = null) {
+  const usage = listChipUsage(team);
+  const summary = {};
+  for (const chip of chips) {
+    const usedGameweeks = usage.filter((u) => u.chip === chip.key).map((u) => u.gameweek).sort((a, b) => a - b);
+    const usesLeft = gameweekNumber == null
+      ? Math.max(0, Number(chip.uses ?? 1) * Math.max(1, (chip.windows || []).length) - usedGameweeks.length)
+      : chipUsesLeft(team, chip, gameweekNumber);
+    summary[chip.key] = {
+      name: chip.name,
+      effect: chip.effect,
+      available: usesLeft > 0,
+      usesLeft,
+      usedGameweek: usedGameweeks.length > 0 ? usedGameweeks[usedGameweeks.length - 1] : null,
+      usedGameweeks,
+    };
+  }
+  return summary;
+}
+
+/* -----------------------
+   Controller actions
+   ----------------------- */
+
+/**
+ * GET /api/competition/:id/chips
+ */
+export const getCompetitionChips = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(String(id))) return next(createError(400, "Invalid competition id"));
+    const competition = await Competition.findById(id).select("name chips").lean().exec();
+    if (!competition) return next(createError(404, "Competition not found"));
+    const isDefault = !Array.isArray(competition.chips);
+    return res.status(200).json({
+      success: true,
+      data: { competitionId: String(competition._id), isDefault, chips: isDefault ? DEFAULT_CHIPS : competition.chips },
+    });
+  } catch (err) {
+    console.error("[getCompetitionChips] error:", err);
+    next(err);
+  }
+};
+
+/**
+ * PUT /api/competition/:id/chips (admin)
+ * Body: { chips: [{ key, name?, effect, multiplier?, uses?, windows?: [{ fromGameweek, toGameweek }] }] }
+ *   or { reset: true } to go back to the default chips.
+ * Chips already played keep the effect they were played with. Windows are gameweek numbers of the
+ * current season (numbers keep counting up; starting a new season moves them along).
+ */
+export const updateCompetitionChips = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user || user.role !== "admin") {
+      return next(createError(403, "Only admins can edit chips"));
+    }
+
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(String(id))) return next(createError(400, "Invalid competition id"));
+    const competition = await Competition.findById(id);
+    if (!competition) return next(createError(404, "Competition not found"));
+
+    const { chips, reset = false } = req.body;
+    competition.chips = reset ? undefined : validateChipDefinitions(chips);
+    await competition.save();
+
+    const saved = Array.isArray(competition.chips) ? competition.toObject().chips : DEFAULT_CHIPS;
+    return res.status(200).json({ success: true, data: { competitionId: String(competition._id), isDefault: !!reset, chips: saved } });
+  } catch (err) {
+    console.error("[updateCompetitionChips] error:", err);
+    next(err);
+  }
+};
+
+/**
+ * GET /api/fantasy/:id/chips
+ * Query: gameweek? (defaults to the next gameweek whose deadline has not passed)
+ * The team's chips with uses left for that gameweek and the gameweeks each one was played in.
+ */
+export const getFantasyTeamChips = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(String(id))) return next(createError(400, "Invalid team id"));
+    const team = await FantasyTeam.findById(id).select("teamName competitionId powerups chipUsage freeHitRestore").lean().exec();
+    if (!team) return next(createError(404, "Fantasy team not found"));
+
+    let gameweekNumber = null;
+    if (req.query.gameweek != null) {
+      gameweekNumber = parseInt(req.query.gameweek, 10);
+      if (!Number.isFinite(gameweekNumber) || gameweekNumber < 1) return next(createError(400, "Invalid gameweek"));
+    } else {
+      const upcoming = await Gameweek.findOne({ deadline: { $ne: null, $gt: new Date() } }).sort({ number: 1 }).lean().exec();
+      gameweekNumber = upcoming?.number ?? null;
+    }
+
+    const chips = await getChipsForCompetition(team.competitionId);
+    return res.status(200).json({
+      success: true,
+      data: {
+        fantasyTeamId: String(team._id),
+        teamName: team.teamName,
+        gameweek: gameweekNumber,
+        chips: buildChipSummary(team, chips, gameweekNumber),
+        history: listChipUsage(team).sort((a, b) => a.gameweek - b.gameweek),
+        freeHitRevertsAfter: team.freeHitRestore?.gameweek ?? null,
+      },
+    });
+  } catch (err) {
+    console.error("[getFantasyTeamChips] error:", err);
+    next(err);
+  }
+};
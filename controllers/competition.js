@@ -47,7 +47,7 @@ export const getCompetitionById = async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    const competition = await Competition.findById(id);
+    const competition = await Competition.findById(id).populate("currentSeason", "number name status firstGameweek startedAt");
 
     if (!competition) {
       return next(createError(404, "Competition not found"));
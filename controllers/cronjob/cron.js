@@ -4,6 +4,7 @@ import Match from "../../models/Match.js";
 import Player from "../../models/Player.js";
 import mongoose from "mongoose";
 import Team from "../../models/Team.js";
+import { applyDemandPriceChanges } from "../priceDemand.js";
 
 /**
  * Price change rules (interpreted & implemented):
@@ -184,7 +185,19 @@ cron.schedule("*/5 * * * *", async () => {
             bulkOps.push({
               updateOne: {
                 filter: { _id: pDoc._id },
-                update: { $set: { price: newPrice } }
+                update: {
+                  $set: { price: newPrice },
+                  $push: {
+                    priceHistory: {
+                      price: newPrice,
+                      previousPrice: pDoc.price,
+                      change: Math.round((newPrice - pDoc.price) * 10) / 10,
+                      reason: "performance",
+                      match: match._id,
+                      changedAt: new Date(),
+                    },
+                  },
+                }
               }
             });
           }
@@ -209,3 +222,13 @@ cron.schedule("*/5 * * * *", async () => {
     console.error("[playerPriceUpdater] Cron error:", err);
   }
 });
+
+// Demand cron: once a day, move prices on net fantasy transfers (see controllers/priceDemand.js)
+cron.schedule("30 1 * * *", async () => {
+  try {
+    const { threshold, risers, fallers } = await applyDemandPriceChanges();
+    console.log(`[playerPriceUpdater] demand changes (threshold ${threshold}): ${risers} rises, ${fallers} falls`);
+  } catch (err) {
+    console.error("[playerPriceUpdater] Demand cron error:", err);
+  }
+});
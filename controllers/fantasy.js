@@ -5,10 +5,28 @@ import User from "../models/User.js";
 import Player from "../models/Player.js";
 
 import Team from "../models/Team.js";
-import Match from "../models/Match.js";
+import Match, { resolveMatchStatus, VOID_MATCH_STATUSES } from "../models/Match.js";
 import Fixture from "../models/Fixtures.js";
 import Gameweek from "../models/Gameweek.js";
 import FantasyTeam from "../models/Felteam.js";
+import FantasyTransfer from "../models/FantasyTransfer.js";
+import { DEFAULT_SCORING_RULES } from "../models/ScoringRuleset.js";
+import Competition, { DEFAULT_CHIPS, DEFAULT_TRANSFER_HIT_POINTS } from "../models/Competition.js";
+import Season from "../models/Season.js";
+import { resolveScoringRulesetForMatch } from "./scoringRuleset.js";
+import { recordTransferDemand } from "./priceDemand.js";
+import {
+  getChipsForCompetition,
+  parseChipSelection,
+  assertChipAllowed,
+  activateChipForGw,
+  isChipActiveForGw,
+  getChipEffectsForGw,
+  migrateLegacyPowerups,
+  buildChipSummary,
+} from "./chips.js";
+import { resolveSeason, seasonGameweekFilter } from "./seasonScope.js";
+import { resolveMatchCompetitionId } from "./teamStats.js";
 const { Types } = mongoose;
 /**
  * NOTE / Model expectations:
@@ -33,23 +51,15 @@ const MID_MAX = 5;
 const FWD_MIN = 2;
 const FWD_MAX = 3;
 const MAX_FROM_SAME_TEAM = 7;
-const MAX_FREE_TRANSFERS_PER_GW = 3;
-const TRANSFER_LIMITS_ENABLED = false;
-const POWERUP_KEYS = ["wildcard", "benchBoost", "tripleCaptain"];
-const POWERUP_ALIASES = {
-  wildcard: "wildcard",
-  wildCard: "wildcard",
-  wild_card: "wildcard",
-  "wild card": "wildcard",
-  benchBoost: "benchBoost",
-  benchboost: "benchBoost",
-  bench_boost: "benchBoost",
-  "bench boost": "benchBoost",
-  tripleCaptain: "tripleCaptain",
-  triplecaptain: "tripleCaptain",
-  triple_captain: "tripleCaptain",
-  "triple captain": "tripleCaptain",
-};
+const FREE_TRANSFERS_PER_GW = 1; // granted for every new gameweek
+const MAX_FREE_TRANSFERS_PER_GW = 3; // most free transfers that can be rolled over into one gameweek
+
+// points per transfer beyond the free ones in a competition (Competition.transferHitPoints, 0 = no hits)
+async function getTransferHitPoints(competitionId) {
+  if (!competitionId) return DEFAULT_TRANSFER_HIT_POINTS;
+  const competition = await Competition.findById(competitionId).select("transferHitPoints").lean().exec();
+  return competition?.transferHitPoints ?? DEFAULT_TRANSFER_HIT_POINTS;
+}
 
 function normalizePositionCategory(pos) {
   const q = (pos || "").toUpperCase();
@@ -60,97 +70,100 @@ function normalizePositionCategory(pos) {
   return "MID";
 }
 
-function ensurePowerupsShape(teamDoc) {
-  if (!teamDoc.powerups || typeof teamDoc.powerups !== "object") {
-    teamDoc.powerups = {};
-  }
-  for (const key of POWERUP_KEYS) {
-    if (!teamDoc.powerups[key] || typeof teamDoc.powerups[key] !== "object") {
-      teamDoc.powerups[key] = { available: true, usedGameweek: null };
-      continue;
-    }
-    if (typeof teamDoc.powerups[key].available !== "boolean") {
-      teamDoc.powerups[key].available = true;
-    }
-    if (typeof teamDoc.powerups[key].usedGameweek !== "number") {
-      teamDoc.powerups[key].usedGameweek = null;
-    }
-  }
+/**
+ * Bring a team's chip data up to date (in memory): legacy powerups move into chipUsage and
+ * powerups becomes the client summary for the competition's chips (uses left as of gameweekNumber).
+ */
+function ensurePowerupsShape(teamDoc, chips = DEFAULT_CHIPS, gameweekNumber = null) {
+  migrateLegacyPowerups(teamDoc);
+  teamDoc.powerups = buildChipSummary(teamDoc, chips, gameweekNumber);
+  if (typeof teamDoc.markModified === "function") teamDoc.markModified("powerups");
 }
 
-function normalizePowerupKey(name) {
-  if (typeof name !== "string") return null;
-  const compact = name.trim();
-  return POWERUP_ALIASES[compact] || POWERUP_ALIASES[compact.toLowerCase()] || null;
+// refresh the powerups summary of teams about to be returned (chips loaded once per competition)
+async function refreshPowerupSummaries(teams) {
+  const upcoming = await getUpcomingGameweek();
+  const chipsByCompetition = new Map();
+  for (const team of teams) {
+    const key = String(team.competitionId?._id ?? team.competitionId ?? "");
+    if (!chipsByCompetition.has(key)) chipsByCompetition.set(key, await getChipsForCompetition(team.competitionId));
+    ensurePowerupsShape(team, chipsByCompetition.get(key), upcoming?.number ?? null);
+  }
 }
 
-function parsePowerupSelection(raw) {
-  const selected = new Set();
-  if (typeof raw === "string") {
-    const key = normalizePowerupKey(raw);
-    if (key) selected.add(key);
-    return selected;
-  }
-  if (Array.isArray(raw)) {
-    for (const name of raw) {
-      const key = normalizePowerupKey(name);
-      if (key) selected.add(key);
-    }
-    return selected;
-  }
-  if (raw && typeof raw === "object") {
-    for (const [name, value] of Object.entries(raw)) {
-      if (!value) continue;
-      const key = normalizePowerupKey(name);
-      if (key) selected.add(key);
-    }
-  }
-  return selected;
+function assertPowerupSelectionAllowed(teamDoc, selectedChips, gameweekNumber) {
+  for (const chip of selectedChips) assertChipAllowed(teamDoc, chip, gameweekNumber, selectedChips);
 }
 
-function activatePowerupForGw(teamDoc, powerupKey, gameweekNumber) {
-  ensurePowerupsShape(teamDoc);
-  const slot = teamDoc.powerups[powerupKey];
-  if (slot.available) {
-    slot.available = false;
-    slot.usedGameweek = Number(gameweekNumber);
-    return;
-  }
-  if (Number(slot.usedGameweek) === Number(gameweekNumber)) {
-    return;
+/**
+ * Play a chip for a gameweek (in memory). A Free Hit also keeps the current squad,
+ * which revertFreeHitSquads puts back once that gameweek's lineups are locked.
+ */
+function activatePowerupForGw(teamDoc, chip, gameweekNumber) {
+  const activated = activateChipForGw(teamDoc, chip, gameweekNumber);
+  if (activated && chip.effect === "freeHit") {
+    teamDoc.freeHitRestore = {
+      gameweek: Number(gameweekNumber),
+      players: (teamDoc.players || []).map((p) => (p && p.toObject ? p.toObject() : { ...p })),
+      captain: teamDoc.captain ?? null,
+      viceCaptain: teamDoc.viceCaptain ?? null,
+      bench: plainBench(teamDoc.bench),
+      bank: teamDoc.bank ?? null,
+    };
   }
-  throw createError(400, `${powerupKey} has already been used`);
+  return activated;
 }
 
-function isPowerupActiveForGw(teamDoc, powerupKey, gameweekNumber) {
-  ensurePowerupsShape(teamDoc);
-  return Number(teamDoc.powerups[powerupKey]?.usedGameweek) === Number(gameweekNumber);
-}
+/**
+ * Activate the chips named in request body fields (e.g. powerups, powerup) for a gameweek.
+ * A Free Hit can only be played for the upcoming gameweek, before any transfer was made for it,
+ * so the squad it reverts to is the one from the previous deadline.
+ * Returns the competition's chip definitions.
+ */
+async function applyPowerupSelection(teamDoc, rawSelections, gameweekNumber, upcomingGameweekNumber) {
+  const chips = await getChipsForCompetition(teamDoc.competitionId);
+  const selected = parseChipSelection(chips, ...rawSelections);
+  if (selected.length > 0) {
+    if (!gameweekNumber) throw createError(400, "No valid gameweek found for powerup activation");
+    assertPowerupSelectionAllowed(teamDoc, selected, gameweekNumber);
+
+    const freeHit = selected.find((c) => c.effect === "freeHit" && !isChipActiveForGw(teamDoc, c.key, gameweekNumber));
+    if (freeHit) {
+      if (Number(gameweekNumber) !== Number(upcomingGameweekNumber)) {
+        throw createError(400, `${freeHit.name} can only be played for the upcoming gameweek`);
+      }
+      const transferred = await FantasyTransfer.exists({ fantasyTeam: teamDoc._id, gameweek: Number(gameweekNumber) });
+      if (transferred) throw createError(400, `${freeHit.name} must be played before making transfers for gameweek ${gameweekNumber}`);
+    }
 
-function keepTransferCounterOpenForWildcard(teamDoc) {
-  if (!teamDoc.transfers) return;
-  const used = Number(teamDoc.transfers.freeTransfersUsedInGw || 0);
-  if (used >= MAX_FREE_TRANSFERS_PER_GW) {
-    teamDoc.transfers.freeTransfersUsedInGw = MAX_FREE_TRANSFERS_PER_GW - 1;
+    for (const chip of selected) activatePowerupForGw(teamDoc, chip, gameweekNumber);
   }
+  ensurePowerupsShape(teamDoc, chips, upcomingGameweekNumber);
+  return chips;
 }
 
-function getActivePowerupsForGw(teamDoc, gameweekNumber) {
-  ensurePowerupsShape(teamDoc);
-  return POWERUP_KEYS.filter((key) => isPowerupActiveForGw(teamDoc, key, gameweekNumber));
-}
-
-function assertPowerupSelectionAllowed(teamDoc, selectedPowerups, gameweekNumber) {
-  if (!selectedPowerups || selectedPowerups.size === 0) return;
-  ensurePowerupsShape(teamDoc);
-
-  for (const key of selectedPowerups) {
-    const slot = teamDoc.powerups[key];
-    const activeThisGw = Number(slot?.usedGameweek) === Number(gameweekNumber);
-    if (slot?.available === false && !activeThisGw) {
-      throw createError(400, `${key} has already been used`);
-    }
+/**
+ * Move the transfer counters to the gameweek being transferred for: unused free transfers
+ * roll over (FREE_TRANSFERS_PER_GW more per gameweek passed), capped at MAX_FREE_TRANSFERS_PER_GW.
+ */
+function rollFreeTransfers(teamDoc, gameweekNumber) {
+  if (!teamDoc.transfers) teamDoc.transfers = {};
+  const transfers = teamDoc.transfers;
+  if (typeof transfers.freeTransfersAvailable !== "number") transfers.freeTransfersAvailable = FREE_TRANSFERS_PER_GW;
+  if (transfers.lastResetGw == null) {
+    transfers.lastResetGw = gameweekNumber;
+    transfers.freeTransfersUsedInGw = 0;
+    return;
   }
+  if (Number(transfers.lastResetGw) === Number(gameweekNumber)) return;
+
+  const gameweeksPassed = Math.max(1, Number(gameweekNumber) - Number(transfers.lastResetGw));
+  transfers.freeTransfersAvailable = Math.min(
+    MAX_FREE_TRANSFERS_PER_GW,
+    transfers.freeTransfersAvailable + FREE_TRANSFERS_PER_GW * gameweeksPassed
+  );
+  transfers.lastResetGw = gameweekNumber;
+  transfers.freeTransfersUsedInGw = 0;
 }
 
 /* -----------------------
@@ -252,6 +265,59 @@ async function validateAndEnrichSquad(playersInput = [], budget = 150, options =
   return { valid: true, enriched, totalPrice };
 }
 
+/* -----------------------
+   Finances: sell prices & bank
+   ----------------------- */
+
+/**
+ * FPL-style sell price: a price drop is passed on in full, a rise only by half
+ * the profit, rounded down to 0.1. Works in tenths to avoid float drift.
+ */
+export function computeSellPrice(purchasePrice, currentPrice) {
+  const bought = Math.round(Number(purchasePrice || 0) * 10);
+  const now = Math.round(Number(currentPrice ?? purchasePrice ?? 0) * 10);
+  if (now <= bought) return now / 10;
+  return (bought + Math.floor((now - bought) / 2)) / 10;
+}
+
+const roundMoney = (value) => Math.round(Number(value || 0) * 10) / 10;
+
+function resolveBank(teamDoc) {
+  if (typeof teamDoc.bank === "number") return teamDoc.bank;
+  const spent = (teamDoc.players || []).reduce((sum, p) => sum + Number(p.playerPrice || 0), 0);
+  return roundMoney(Number(teamDoc.budget ?? 150) - spent);
+}
+
+// current market price of a roster entry (populated player, else a { playerId: price } map, else the purchase price)
+function currentPriceOf(entry, priceById = {}) {
+  const populated = entry.player && typeof entry.player === "object" && typeof entry.player.price === "number";
+  if (populated) return entry.player.price;
+  const pid = entryPlayerId(entry);
+  return typeof priceById[pid] === "number" ? priceById[pid] : Number(entry.playerPrice || 0);
+}
+
+/**
+ * Plain team object for the API with finances: each player gets currentPrice and sellPrice,
+ * the team gets bank, squadValue (current prices) and sellValue (what the squad would sell for).
+ */
+function withFinances(teamDoc) {
+  // toJSON (not toObject) so the Map fields serialise like they did when the doc itself was returned
+  const team = typeof teamDoc.toJSON === "function" ? teamDoc.toJSON() : { ...teamDoc };
+  let squadValue = 0;
+  let sellValue = 0;
+  team.players = (team.players || []).map((entry) => {
+    const currentPrice = currentPriceOf(entry);
+    const sellPrice = computeSellPrice(entry.playerPrice, currentPrice);
+    squadValue += currentPrice;
+    sellValue += sellPrice;
+    return { ...entry, currentPrice, sellPrice };
+  });
+  team.bank = resolveBank(teamDoc);
+  team.squadValue = roundMoney(squadValue);
+  team.sellValue = roundMoney(sellValue);
+  return team;
+}
+
 /* -----------------------
    Controller actions
    ----------------------- */
@@ -282,24 +348,22 @@ export const createFantasyTeam = async (req, res, next) => {
       teamLogo: teamLogo || null,
       players: validation.enriched,
       budget,
+      bank: roundMoney(budget - validation.totalPrice),
       points: 0,
       competitionId: competitionId || null,
       createdAt,
       effectiveGameweek,
       transfers: {
         lastResetGw: effectiveGameweek, // track when transfers were last reset
-        freeTransfersUsedInGw: 0
+        freeTransfersUsedInGw: 0,
+        freeTransfersAvailable: FREE_TRANSFERS_PER_GW,
       },
-      powerups: {
-        wildcard: { available: true, usedGameweek: null },
-        benchBoost: { available: true, usedGameweek: null },
-        tripleCaptain: { available: true, usedGameweek: null },
-      }
     });
+    ensurePowerupsShape(ft, await getChipsForCompetition(ft.competitionId), effectiveGameweek);
 
     const saved = await ft.save();
 
-    return res.status(201).json({ success: true, data: saved });
+    return res.status(201).json({ success: true, data: withFinances(saved) });
   } catch (err) {
     console.error("[createFantasyTeam] error:", err);
     next(err);
@@ -334,17 +398,25 @@ export const editFantasyTeam = async (req, res, next) => {
 
     // If players provided, validate
     if (players) {
-      const validation = await validateAndEnrichSquad(players, team.budget);
+      // the new squad is bought at current prices with the bank plus what the old squad sells for
+      const currentPlayers = await Player.find({ _id: { $in: team.players.map(entryPlayerId) } }).select("price").lean().exec();
+      const priceById = {};
+      currentPlayers.forEach((p) => { priceById[String(p._id)] = p.price; });
+      const sellTotal = team.players.reduce((sum, p) => sum + computeSellPrice(p.playerPrice, currentPriceOf(p, priceById)), 0);
+      const available = roundMoney(resolveBank(team) + sellTotal);
+
+      const validation = await validateAndEnrichSquad(players, available);
       if (!validation.valid) return next(createError(400, validation.message));
       // replace players
       team.players = validation.enriched;
+      team.bank = roundMoney(available - validation.totalPrice);
     }
 
     if (teamName) team.teamName = teamName;
     if (teamLogo) team.teamLogo = teamLogo;
 
     await team.save();
-    return res.status(200).json({ success: true, data: team });
+    return res.status(200).json({ success: true, data: withFinances(team) });
   } catch (err) {
     console.error("[editFantasyTeam] error:", err);
     next(err);
@@ -355,8 +427,10 @@ export const editFantasyTeam = async (req, res, next) => {
  * Make transfers
  * Body: { fantasyTeamId, transfers: [{ out: playerIdOut, in: playerIdIn }] }
  *
- * - Up to MAX_FREE_TRANSFERS_PER_GW per gameweek free (this logic counts freeTransfersUsedInGw)
- * - Each transfer pair counts as one transfer
+ * - FREE_TRANSFERS_PER_GW free per gameweek, unused ones roll over up to MAX_FREE_TRANSFERS_PER_GW
+ * - Each transfer pair counts as one transfer; extra ones cost the competition's transferHitPoints each from that gameweek
+ *   (no cost with an active wildcard / Free Hit chip or before the team's first gameweek)
+ * - Every transfer is recorded in the FantasyTransfer ledger
  * - Replacing player retains original playerPrice for bookkeeping (we store playerPrice for new incoming player)
  * - Validate budget and squad rules after transfers.
  */
@@ -396,36 +470,24 @@ export const makeTransfers = async (req, res, next) => {
       return next(createError(403, "Transfers are closed for the current gameweek"));
     }
 
-    ensurePowerupsShape(team);
-    const selectedPowerups = parsePowerupSelection(powerups);
-    for (const key of parsePowerupSelection(powerup)) selectedPowerups.add(key);
-    if (useWildcard || wildcard || wildCard || wild_card) selectedPowerups.add("wildcard");
-    assertPowerupSelectionAllowed(team, selectedPowerups, upcomingGW.number);
-    if (selectedPowerups.has("wildcard")) {
-      activatePowerupForGw(team, "wildcard", upcomingGW.number);
-    }
-    if (selectedPowerups.has("benchBoost")) {
-      activatePowerupForGw(team, "benchBoost", upcomingGW.number);
-    }
-    if (selectedPowerups.has("tripleCaptain")) {
-      activatePowerupForGw(team, "tripleCaptain", upcomingGW.number);
-    }
-    team.markModified("powerups");
+    settlePastFreeHit(team, upcomingGW.number);
+    const legacyWildcard = useWildcard || wildcard || wildCard || wild_card ? "wildcard" : null;
+    await applyPowerupSelection(team, [powerups, powerup, legacyWildcard], upcomingGW.number, upcomingGW.number);
 
-    // initialize/reset transfer counters for new gameweek
-    if (!team.transfers) team.transfers = { lastResetGw: upcomingGW.number, freeTransfersUsedInGw: 0 };
-    if (team.transfers.lastResetGw !== upcomingGW.number) {
-      team.transfers.lastResetGw = upcomingGW.number;
-      team.transfers.freeTransfersUsedInGw = 0;
-    }
+    // initialize/roll over transfer counters for the gameweek
+    rollFreeTransfers(team, upcomingGW.number);
 
     const numRequested = transfers.length;
-    const wildcardActive = isPowerupActiveForGw(team, "wildcard", upcomingGW.number);
-    if (wildcardActive) keepTransferCounterOpenForWildcard(team);
-    const freeLeft = Math.max(0, MAX_FREE_TRANSFERS_PER_GW - (team.transfers.freeTransfersUsedInGw || 0));
-    if (TRANSFER_LIMITS_ENABLED && !wildcardActive && numRequested > freeLeft) {
-      return next(createError(400, `You have ${freeLeft} free transfers left for this gameweek`));
-    }
+    const chipEffects = getChipEffectsForGw(team, upcomingGW.number);
+    // before its first gameweek (set at creation, nothing scored yet) a team can reshape its squad freely
+    const preSeason = team.effectiveGameweek != null
+      && Number(team.effectiveGameweek) >= Number(upcomingGW.number)
+      && (team.gameweekPoints?.size ?? Object.keys(team.gameweekPoints || {}).length) === 0;
+    const unlimited = chipEffects.unlimitedTransfers || preSeason;
+    const freeLeft = Math.max(0, Number(team.transfers.freeTransfersAvailable || 0));
+    const freeCount = unlimited ? numRequested : Math.min(numRequested, freeLeft);
+    const hitPoints = await getTransferHitPoints(team.competitionId);
+    const pointsCost = (numRequested - freeCount) * hitPoints;
 
     // Build current roster map (normalize to simple objects)
     const roster = (team.players || []).map((p) => {
@@ -571,16 +633,95 @@ export const makeTransfers = async (req, res, next) => {
     if (posCounts.MID < 3 || posCounts.MID > 5) return next(createError(400, "MID must be between 3 and 5 after transfers"));
     if (posCounts.FWD < 1 || posCounts.FWD > 3) return next(createError(400, "FWD must be between 1 and 3 after transfers"));
 
+    // budget: outgoing players are sold at their sell price, incoming ones bought at the current price
+    const outgoingPlayers = await Player.find({ _id: { $in: outIds } }).select("price").lean().exec();
+    const outPriceById = {};
+    outgoingPlayers.forEach((p) => { outPriceById[String(p._id)] = p.price; });
+    let sellTotal = 0;
+    const sellPriceById = {};
+    for (const outId of outIds) {
+      const outEntry = rosterMap.get(outId);
+      sellPriceById[outId] = computeSellPrice(outEntry.playerPrice, outPriceById[outId] ?? outEntry.playerPrice);
+      sellTotal += sellPriceById[outId];
+    }
+    const buyTotal = newRoster
+      .filter((r) => inIds.includes(String(r.player)))
+      .reduce((sum, r) => sum + Number(r.playerPrice || 0), 0);
+    const bankBefore = resolveBank(team);
+    const bankAfter = roundMoney(bankBefore + sellTotal - buyTotal);
+    if (bankAfter < 0) {
+      return next(createError(400, `Insufficient funds: transfers cost ${roundMoney(buyTotal - sellTotal)} but you have ${bankBefore} in the bank`));
+    }
+
+    // incoming players take the bench slot of the player they replace
+    let transferredBench = buildBench(team.players, new Set(roster.filter((r) => r.isStarting).map((r) => String(r.player))), team.bench);
+    for (const tr of transfers) transferredBench = replaceInBench(transferredBench, tr.out, tr.in);
+
     // Replace team.players with enriched roster
     team.players = enriched;
+    team.bank = bankAfter;
+    team.bench = buildBench(enriched, new Set(enriched.filter((e) => e.isStarting).map(entryPlayerId)), transferredBench);
 
-    // Update free transfers used
-    if (TRANSFER_LIMITS_ENABLED && !wildcardActive) {
-      team.transfers.freeTransfersUsedInGw = (team.transfers.freeTransfersUsedInGw || 0) + numRequested;
+    // Update free transfers used and charge the hit against the gameweek
+    if (!unlimited) {
+      team.transfers.freeTransfersUsedInGw = (team.transfers.freeTransfersUsedInGw || 0) + freeCount;
+      team.transfers.freeTransfersAvailable = freeLeft - freeCount;
     }
     team.transfers.lastResetGw = upcomingGW.number;
+    if (pointsCost > 0) {
+      const gwKey = String(upcomingGW.number);
+      if (!team.pointHits) team.pointHits = new Map();
+      team.pointHits.set(gwKey, Number(team.pointHits.get(gwKey) || 0) + pointsCost);
+      rebuildFantasyTeamTotals(team);
+    }
 
-    await team.save();
+    // ledger: one entry per swap, the first freeCount of them free
+    const batchId = new Types.ObjectId().toString();
+    const ledger = transfers.map((tr, idx) => {
+      const outId = String(tr.out);
+      const inId = String(tr.in);
+      const isFree = idx < freeCount;
+      return {
+        fantasyTeam: team._id,
+        user: team.user,
+        batchId,
+        gameweek: upcomingGW.number,
+        playerOut: outId,
+        playerIn: inId,
+        outPurchasePrice: Number(rosterMap.get(outId).playerPrice || 0),
+        outSellPrice: sellPriceById[outId],
+        inPrice: Number(newRoster.find((r) => String(r.player) === inId)?.playerPrice || 0),
+        isFree,
+        pointsCost: isFree ? 0 : hitPoints,
+        powerups: chipEffects.chips,
+        createdAt: now,
+      };
+    });
+
+    // squad, bank and point hits are saved together with their ledger entries
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+      await team.save({ session });
+      await FantasyTransfer.insertMany(ledger, { session });
+      await session.commitTransaction();
+      session.endSession();
+    } catch (writeErr) {
+      try {
+        await session.abortTransaction();
+      } catch (e) {
+        /* ignore */
+      }
+      session.endSession();
+      throw writeErr;
+    }
+
+    // net transfers drive the daily demand price changes
+    try {
+      await recordTransferDemand(transfers);
+    } catch (demandErr) {
+      console.error("[makeTransfers] recording transfer demand failed:", demandErr);
+    }
 
     // Return populated team so frontend receives populated player objects (and player.team)
     const populated = await FantasyTeam.findById(team._id)
@@ -592,7 +733,7 @@ export const makeTransfers = async (req, res, next) => {
       .populate({ path: "user", select: "username email _id" })
       .lean();
 
-    return res.status(200).json({ success: true, data: populated });
+    return res.status(200).json({ success: true, data: withFinances(populated) });
   } catch (err) {
     console.error("[makeTransfers] error:", err);
     return next(err);
@@ -616,12 +757,13 @@ export const makeTransfers = async (req, res, next) => {
 
 /**
  * POST /api/fantasy/lineup  (or whatever route you use)
- * Body: { fantasyTeamId, startingPlayerIds: string[11], captain, viceCaptain?, target? }
+ * Body: { fantasyTeamId, startingPlayerIds: string[11], captain, viceCaptain?, target?, benchOrder? }
+ * benchOrder: outfield bench ids, first sub first (defaults to the current bench order)
  */
 export const setLineup = async (req, res, next) => {
   try {
     const userId = req.user && (req.user.id || req.user._id);
-    const { fantasyTeamId, startingPlayerIds, captain, viceCaptain, target, powerup, powerups } = req.body;
+    const { fantasyTeamId, startingPlayerIds, captain, viceCaptain, target, powerup, powerups, benchOrder } = req.body;
 
     // basic validation
     if (!fantasyTeamId) return next(createError(400, "fantasyTeamId required"));
@@ -635,6 +777,7 @@ export const setLineup = async (req, res, next) => {
 
     // owner check
     if (!userId || String(team.user) !== String(userId)) return next(createError(403, "Not authorized"));
+    settlePastFreeHit(team, (await getUpcomingGameweek())?.number);
 
     // roster ids (stringified)
     const rosterIds = (team.players || []).map((p) => {
@@ -682,19 +825,15 @@ export const setLineup = async (req, res, next) => {
       const now = new Date();
       if (now >= new Date(upcomingGW.deadline)) return next(createError(403, "Cannot set lineup after deadline for upcoming gameweek"));
     }
+    // lineups of gameweeks whose deadline has passed are frozen
+    if (targetGw && upcomingGW && targetGw < upcomingGW.number) {
+      return next(createError(403, `Gameweek ${targetGw} deadline has passed`));
+    }
+    const targetSnap = targetGw ? team.lineupSnapshots?.get?.(String(targetGw)) : null;
+    if (targetSnap?.lockedAt) return next(createError(403, `Lineup for gameweek ${targetGw} is locked`));
 
     const powerupGw = targetGw || upcomingGW?.number || null;
-    const selectedPowerups = parsePowerupSelection(powerups);
-    for (const key of parsePowerupSelection(powerup)) selectedPowerups.add(key);
-    if (selectedPowerups.size > 0) {
-      if (!powerupGw) return next(createError(400, "No valid gameweek found for powerup activation"));
-      ensurePowerupsShape(team);
-      assertPowerupSelectionAllowed(team, selectedPowerups, powerupGw);
-      for (const key of selectedPowerups) {
-        activatePowerupForGw(team, key, powerupGw);
-      }
-      team.markModified("powerups");
-    }
+    await applyPowerupSelection(team, [powerups, powerup], powerupGw, upcomingGW?.number ?? null);
 
     // Build map playerId -> position (use position saved on team.players)
     const posMap = {};
@@ -715,27 +854,39 @@ export const setLineup = async (req, res, next) => {
     if (counts.MID < 3 || counts.MID > 5) return next(createError(400, "MID must be between 3 and 5"));
     if (counts.FWD < 1 || counts.FWD > 3) return next(createError(400, "FWD must be between 1 and 3"));
 
+    // bench priority
+    if (typeof benchOrder !== "undefined" && benchOrder !== null) {
+      const benchErr = validateBenchOrder(team.players, startingSet, benchOrder);
+      if (benchErr) return next(createError(400, benchErr));
+    }
+    const bench = buildBench(team.players, startingSet, team.bench, benchOrder);
+
     // create snapshot
+    const setAt = new Date();
     const snapshot = {
       starting: startingPlayerIds.map((id) => String(id)),
+      bench,
       captain: String(captain),
       viceCaptain: viceCaptain ? String(viceCaptain) : null,
-      setAt: new Date(),
+      setAt,
       isDefault: !!isDefault,
     };
 
     // ensure lineupSnapshots exists
-    if (!team.lineupSnapshots || typeof team.lineupSnapshots !== "object") team.lineupSnapshots = {};
+    if (!team.lineupSnapshots || typeof team.lineupSnapshots !== "object") team.lineupSnapshots = new Map();
 
-    if (isDefault) {
-      team.lineupSnapshots["default"] = snapshot;
+    const snapshotKey = isDefault ? "default" : String(targetGw);
+    if (typeof team.lineupSnapshots.set === "function") {
+      team.lineupSnapshots.set(snapshotKey, snapshot);
     } else {
-      team.lineupSnapshots[String(targetGw)] = snapshot;
+      team.lineupSnapshots[snapshotKey] = snapshot;
     }
 
-    // update root-level captain/vice for convenience
+    // update root-level captain/vice/bench for convenience
     team.captain = String(captain);
     team.viceCaptain = viceCaptain ? String(viceCaptain) : null;
+    team.bench = bench;
+    team.lastLineupSetAt = setAt;
 
     // update players[].isStarting according to snapshot (bench = not in starting)
     const startingIdsSet = new Set(snapshot.starting.map(String));
@@ -746,10 +897,8 @@ export const setLineup = async (req, res, next) => {
       });
     }
 
-    // optionally set effectiveGameweek if it's the upcoming gw
-    if (targetGw && (!team.effectiveGameweek || Number(team.effectiveGameweek) !== Number(targetGw))) {
-      team.effectiveGameweek = Number(targetGw);
-    }
+    // effectiveGameweek stays as set at creation: a lineup does not move the team's first gameweek
+    // (it would drop earlier gameweeks from scoring and reopen pre-season free transfers)
 
     // persist
     await team.save();
@@ -765,7 +914,7 @@ export const setLineup = async (req, res, next) => {
       .populate({ path: "user", select: "username email _id" })
       .lean();
 
-    return res.status(200).json({ success: true, data: populated });
+    return res.status(200).json({ success: true, data: withFinances(populated) });
   } catch (err) {
     console.error("[setLineup] error:", err);
     return next(err);
@@ -776,17 +925,27 @@ export const setLineup = async (req, res, next) => {
  
 /**
  * Get all fantasy teams (optionally filter by competition or user)
- * Query params: userId?, competitionId?
+ * Query params: userId?, competitionId?, season? (with competitionId: a closed season returns its archived leaderboard)
  */
 export const getAllFantasyTeams = async (req, res, next) => {
   try {
-    const { userId, competitionId } = req.query;
+    const { userId, competitionId, season } = req.query;
+    if (season != null && season !== "") {
+      if (!competitionId) return next(createError(400, "competitionId is required with season"));
+      const scope = await resolveSeason(competitionId, season);
+      if (scope.archived) {
+        const archived = await Season.findById(scope.season._id).select("archive.fantasyLeaderboard").lean().exec();
+        let leaderboard = archived?.archive?.fantasyLeaderboard || [];
+        if (userId) leaderboard = leaderboard.filter((row) => row.user && String(row.user._id) === String(userId));
+        return res.status(200).json({ success: true, season: scope.number, archived: true, data: leaderboard });
+      }
+    }
     const filter = {};
     if (userId) filter.user = userId;
     if (competitionId) filter.competitionId = competitionId;
     const teams = await FantasyTeam.find(filter).populate("user", "username email").populate("players.player", "name position team price").exec();
-    teams.forEach((team) => ensurePowerupsShape(team));
-    return res.status(200).json({ success: true, data: teams });
+    await refreshPowerupSummaries(teams);
+    return res.status(200).json({ success: true, data: teams.map(withFinances) });
   } catch (err) {
     console.error("[getAllFantasyTeams] error:", err);
     next(err);
@@ -801,8 +960,8 @@ export const getFantasyTeamById = async (req, res, next) => {
     const { id } = req.params;
     const team = await FantasyTeam.findById(id).populate("user", "username email").populate("players.player", "name position team price").exec();
     if (!team) return next(createError(404, "Fantasy team not found"));
-    ensurePowerupsShape(team);
-    return res.status(200).json({ success: true, data: team });
+    await refreshPowerupSummaries([team]);
+    return res.status(200).json({ success: true, data: withFinances(team) });
   } catch (err) {
     console.error("[getFantasyTeamById] error:", err);
     next(err);
@@ -813,14 +972,103 @@ export const getFantasyTeamByLoggedId = async (req, res, next) => {
     const user = req.user.id
     const team = await FantasyTeam.findOne( {user:user}).populate("user", "username email").populate("players.player", "name position team price").exec();
     if (!team) return next(createError(404, "Fantasy team not found"));
-    ensurePowerupsShape(team);
-    return res.status(200).json({ success: true, data: team });
+    await refreshPowerupSummaries([team]);
+    return res.status(200).json({ success: true, data: withFinances(team) });
   } catch (err) {
     console.error("[getFantasyTeamById] error:", err);
     next(err);
   }
 };
 
+/**
+ * GET /api/fantasy/:id/transfers
+ * Transfer ledger (newest first), free transfers left and point hits per gameweek.
+ * Query: gameweek? to only list the transfers made for that gameweek,
+ *        season? (number or id in the team's competition) to only list that season's
+ */
+export const getTransferHistory = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    if (!Types.ObjectId.isValid(String(id))) return next(createError(400, "Invalid team id"));
+    const team = await FantasyTeam.findById(id).select("teamName competitionId transfers pointHits").exec();
+    if (!team) return next(createError(404, "Fantasy team not found"));
+
+    const filter = { fantasyTeam: team._id };
+    if (req.query.season != null && req.query.season !== "") {
+      if (!team.competitionId) return next(createError(400, "This fantasy team is not tied to a competition"));
+      filter.gameweek = seasonGameweekFilter(await resolveSeason(team.competitionId, req.query.season)).number;
+    }
+    if (req.query.gameweek != null) {
+      const gw = parseInt(req.query.gameweek, 10);
+      if (!Number.isFinite(gw)) return next(createError(400, "gameweek must be a number"));
+      filter.gameweek = filter.gameweek ? { ...filter.gameweek, $eq: gw } : gw;
+    }
+    const transfers = await FantasyTransfer.find(filter)
+      .sort({ createdAt: -1 })
+      .populate("playerOut", "name position team")
+      .populate("playerIn", "name position team")
+      .lean()
+      .exec();
+
+    // what the counter will be for the upcoming gameweek (rolled over if a new one started)
+    const upcomingGW = await getUpcomingGameweek();
+    if (upcomingGW) rollFreeTransfers(team, upcomingGW.number);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        fantasyTeamId: String(team._id),
+        freeTransfersAvailable: team.transfers?.freeTransfersAvailable ?? FREE_TRANSFERS_PER_GW,
+        upcomingGameweek: upcomingGW ? upcomingGW.number : null,
+        pointHits: team.pointHits ? Object.fromEntries(team.pointHits.entries()) : {},
+        transfers,
+      },
+    });
+  } catch (err) {
+    console.error("[getTransferHistory] error:", err);
+    next(err);
+  }
+};
+
+/**
+ * PUT /api/competition/:id/transfer-rules (admin)
+ * Body: { transferHitPoints } (points per transfer beyond the free ones, 0 = no hits) or { reset: true }
+ * Applies to transfers made from now on.
+ */
+export const updateTransferRules = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user || user.role !== "admin") {
+      return next(createError(403, "Only admins can edit transfer rules"));
+    }
+
+    const { id } = req.params;
+    if (!Types.ObjectId.isValid(String(id))) return next(createError(400, "Invalid competition id"));
+    const competition = await Competition.findById(id);
+    if (!competition) return next(createError(404, "Competition not found"));
+
+    const { transferHitPoints, reset = false } = req.body;
+    if (reset) {
+      competition.transferHitPoints = DEFAULT_TRANSFER_HIT_POINTS;
+    } else {
+      const points = Number(transferHitPoints);
+      if (transferHitPoints == null || transferHitPoints === "" || !Number.isInteger(points) || points < 0) {
+        return next(createError(400, "transferHitPoints must be a non-negative whole number"));
+      }
+      competition.transferHitPoints = points;
+    }
+    await competition.save();
+
+    return res.status(200).json({
+      success: true,
+      data: { competitionId: String(competition._id), transferHitPoints: competition.transferHitPoints },
+    });
+  } catch (err) {
+    console.error("[updateTransferRules] error:", err);
+    next(err);
+  }
+};
+
 /* -----------------------
    Points calculation helpers
    ----------------------- */
@@ -860,54 +1108,438 @@ export const getFantasyTeamByLoggedId = async (req, res, next) => {
 /**
  * calculatePlayerMatchPoints
  *
- * - perf: object containing goals, assists, cards, manOfTheMatch, started, subOn
+ * - perf: object containing goals, assists, cards, manOfTheMatch, penaltySaves, penaltyMisses, started, subOn,
+ *   minutes and saves (from the player's stat line; minutes null when not recorded)
  * - posCategory: "GK"|"DEF"|"MID"|"FWD"
  * - concededGoals: number (goals conceded by player's team)
  * - started: boolean
  * - subOn: boolean
  * - teamOutcome: "win" | "draw" | "loss" | null  (applies only if player played)
+ * - rules: scoring weights (see DEFAULT_SCORING_RULES in models/ScoringRuleset.js)
+ * With minutes recorded they decide the appearance instead of started/subOn:
+ * minutesThreshold or more counts as a full appearance (and for the clean sheet), fewer as a short one, 0 as not played.
  *
  * Returns integer points (rounded)
  */
-export function calculatePlayerMatchPoints(perf = {}, posCategory = "MID", concededGoals = 0, started = false, subOn = false, teamOutcome = null) {
+export function calculatePlayerMatchPoints(perf = {}, posCategory = "MID", concededGoals = 0, started = false, subOn = false, teamOutcome = null, rules = DEFAULT_SCORING_RULES) {
   let pts = 0;
 
-  // Appearance bonus: starter 2, sub-on 1
-  if (started) pts += 2;
-  else if (subOn) pts += 1;
+  // Appearance bonus
+  const minutes = perf.minutes == null ? null : Number(perf.minutes);
+  const played = minutes == null ? !!(started || subOn) : minutes > 0;
+  const fullAppearance = minutes == null ? !!started : minutes >= Number(rules.appearance?.minutesThreshold ?? 0);
+  if (played && fullAppearance) pts += Number(rules.appearance?.started || 0);
+  else if (played) pts += Number(rules.appearance?.subOn || 0);
 
   // Goals
   const goals = Number(perf.goals || 0);
-  if (goals > 0) {
-    if (posCategory === "GK" || posCategory === "DEF") pts += 6 * goals;
-    else if (posCategory === "MID") pts += 5 * goals;
-    else pts += 4 * goals; // FWD
-  }
+  if (goals > 0) pts += Number(rules.goal?.[posCategory] ?? rules.goal?.FWD ?? 0) * goals;
 
   // Assists
-  pts += 3 * (Number(perf.assists || 0));
+  pts += Number(rules.assist || 0) * (Number(perf.assists || 0));
 
   // Man of the match
-  if (perf.manOfTheMatch) pts += 3;
+  if (perf.manOfTheMatch) pts += Number(rules.manOfTheMatch || 0);
 
   // Cards
-  pts -= 1 * (Number(perf.yellowCards || 0));
-  if (perf.redCard) pts -= 3;
+  pts += Number(rules.yellowCard || 0) * (Number(perf.yellowCards || 0));
+  if (perf.redCard) pts += Number(rules.redCard || 0);
+
+  // Penalty shootout
+  pts += Number(rules.penaltySave || 0) * (Number(perf.penaltySaves || 0));
+  pts += Number(rules.penaltyMiss || 0) * (Number(perf.penaltyMisses || 0));
+
+  // Goalkeeper saves
+  const savesEvery = Number(rules.saves?.every || 0);
+  if (posCategory === "GK" && savesEvery > 0) pts += Number(rules.saves?.points || 0) * Math.floor(Number(perf.saves || 0) / savesEvery);
 
   // Clean sheet
-  if (started && (posCategory === "GK" || posCategory === "DEF") && Number(concededGoals || 0) === 0) pts += 4;
-  if (started && posCategory === "MID" && Number(concededGoals || 0) === 0) pts += 1;
+  if (played && fullAppearance && Number(concededGoals || 0) === 0) pts += Number(rules.cleanSheet?.[posCategory] || 0);
 
   // Team outcome bonus (apply only if player played)
-  if ((started || subOn) && teamOutcome) {
-    if (teamOutcome === "win") pts += 3;
-    else if (teamOutcome === "draw") pts += 2;
-    else if (teamOutcome === "loss") pts += 1;
-  }
+  if (played && teamOutcome) pts += Number(rules.teamOutcome?.[teamOutcome] || 0);
 
   return Math.round(pts);
 }
 
+function emptyPerf() {
+  return { goals: 0, assists: 0, yellowCards: 0, redCard: false, manOfTheMatch: false, penaltySaves: 0, penaltyMisses: 0, started: false, subOn: false, minutes: null, saves: 0 };
+}
+
+/**
+ * Whether a player took part in a match: minutes on their stat line when recorded, else lineups and substitutions.
+ */
+export function playedInMatch(perf) {
+  if (!perf) return false;
+  return perf.minutes == null ? !!(perf.started || perf.subOn) : Number(perf.minutes) > 0;
+}
+
+/**
+ * Build per-player performance map from a match's raw events (goals, cards, MOTM, shootout, lineups, subs)
+ * and its player stat lines (minutes, saves).
+ * Returns { [playerId]: { goals, assists, yellowCards, redCard, manOfTheMatch, penaltySaves, penaltyMisses, started, subOn, minutes, saves } }
+ */
+export function buildMatchPerformances(match) {
+  const perfByPlayer = {};
+  const perfFor = (id) => {
+    const key = String(id);
+    perfByPlayer[key] = perfByPlayer[key] || emptyPerf();
+    return perfByPlayer[key];
+  };
+
+  (match.goals || []).forEach((g) => {
+    if (g.scorer) perfFor(g.scorer).goals += 1;
+    if (g.assist) perfFor(g.assist).assists += 1;
+    // own goals are not credited to anyone — just make sure the player is in the map
+    if (g.ownBy) perfFor(g.ownBy);
+  });
+
+  (match.cards || []).forEach((c) => {
+    if (!c.player) return;
+    const perf = perfFor(c.player);
+    if (String(c.type || "").toLowerCase().includes("yellow")) perf.yellowCards += 1;
+    if (String(c.type || "").toLowerCase().includes("red")) perf.redCard = true;
+  });
+
+  if (match.manOftheMatch) perfFor(match.manOftheMatch).manOfTheMatch = true;
+
+  // shootout kicks are not goals; only saves and misses score
+  (match.penaltyShootout?.kicks || []).forEach((k) => {
+    if (k.outcome === "scored") return;
+    if (k.taker) perfFor(k.taker).penaltyMisses += 1;
+    if (k.outcome === "saved" && k.goalkeeper) perfFor(k.goalkeeper).penaltySaves += 1;
+  });
+
+  (match.lineups?.home || []).forEach((p) => { perfFor(p).started = true; });
+  (match.lineups?.away || []).forEach((p) => { perfFor(p).started = true; });
+
+  (match.substitutions || []).forEach((s) => {
+    if (s.playerIn) perfFor(s.playerIn).subOn = true;
+    if (s.playerOut) perfFor(s.playerOut);
+  });
+
+  (match.playerStats || []).forEach((line) => {
+    if (!line.player) return;
+    const perf = perfFor(line.player);
+    if (line.minutesPlayed != null) perf.minutes = Number(line.minutesPlayed);
+    perf.saves = Number(line.saves || 0);
+  });
+
+  return perfByPlayer;
+}
+
+/**
+ * Work out which gameweek number a match is played in:
+ * fixture -> gameweek (follows a rescheduled fixture), then match.gameweek,
+ * then the last gameweek whose deadline is before the match date.
+ */
+export async function resolveGameweekNumberForMatch(match) {
+  let gameweekNumber = null;
+  const fixture = await Fixture.findOne({ match: match._id }).populate("gameweek", "number").lean().exec();
+  if (fixture?.gameweek?.number != null) {
+    gameweekNumber = Number(fixture.gameweek.number);
+  }
+  if (gameweekNumber == null && match.gameweek != null) {
+    gameweekNumber = Number(match.gameweek);
+  }
+  if (gameweekNumber == null && match.date) {
+    const filter = { deadline: { $ne: null, $lte: new Date(match.date) } };
+    if (fixture?.competitionId) filter.competitionId = fixture.competitionId;
+    const gwByDate = await Gameweek.findOne(filter).sort({ number: -1 }).lean().exec();
+    if (gwByDate) gameweekNumber = gwByDate.number;
+  }
+  return gameweekNumber;
+}
+
+/**
+ * Compute fantasy points for every player in perfByPlayer.
+ * playerMap: { [playerId]: Player (lean, team populated or id) }
+ * Returns { [playerId]: points }
+ */
+export function computeMatchPlayerPoints(match, perfByPlayer, playerMap, rules = DEFAULT_SCORING_RULES) {
+  const homeScore = Number(match.homeScore ?? 0);
+  const awayScore = Number(match.awayScore ?? 0);
+  const homeTeamId = match.homeTeam ? String(match.homeTeam._id ?? match.homeTeam) : null;
+  const awayTeamId = match.awayTeam ? String(match.awayTeam._id ?? match.awayTeam) : null;
+
+  // Determine team outcome per team id: 'win'|'draw'|'loss'
+  const outcomeByTeam = {};
+  if (homeTeamId) {
+    if (homeScore > awayScore) outcomeByTeam[homeTeamId] = "win";
+    else if (homeScore === awayScore) outcomeByTeam[homeTeamId] = "draw";
+    else outcomeByTeam[homeTeamId] = "loss";
+  }
+  if (awayTeamId) {
+    if (awayScore > homeScore) outcomeByTeam[awayTeamId] = "win";
+    else if (awayScore === homeScore) outcomeByTeam[awayTeamId] = "draw";
+    else outcomeByTeam[awayTeamId] = "loss";
+  }
+
+  const playerPoints = {};
+  for (const pid of Object.keys(perfByPlayer)) {
+    const perf = perfByPlayer[pid] || {};
+    const p = playerMap[pid];
+    if (!p) continue;
+
+    // derive position category
+    let posCat = "MID";
+    const pos = String(p.position || "").toUpperCase();
+    if (pos === "GK") posCat = "GK";
+    else if (["CB", "LB", "RB", "LWB", "RWB"].some(x => pos.includes(x))) posCat = "DEF";
+    else if (["CM", "DM", "AM", "LM", "RM"].some(x => pos.includes(x))) posCat = "MID";
+    else if (["ST", "CF", "FW", "LW", "RW"].some(x => pos.includes(x))) posCat = "FWD";
+
+    // conceded goals relative to player's team
+    const playerTeamId = p.team ? String(p.team._id ?? p.team) : null;
+    let conceded = 0;
+    if (playerTeamId) {
+      if (playerTeamId === homeTeamId) conceded = awayScore;
+      else if (playerTeamId === awayTeamId) conceded = homeScore;
+    }
+
+    const teamOutcome = playerTeamId ? outcomeByTeam[playerTeamId] ?? null : null;
+
+    playerPoints[pid] = calculatePlayerMatchPoints(perf, posCat, conceded, perf.started, perf.subOn, teamOutcome, rules);
+  }
+  return playerPoints;
+}
+
+/**
+ * Lineup a fantasy team fields for a gameweek.
+ * preferSnapshot: use the stored lineupSnapshots[gw] when there is one (falls back to the live roster flags).
+ * Returns { starting: Set<playerId>, captain, viceCaptain, squad: Set<playerId>|null, fromSnapshot }
+ */
+export function resolveLineupForGw(ft, gameweekNumber, { preferSnapshot = false } = {}) {
+  if (preferSnapshot && gameweekNumber != null && ft.lineupSnapshots) {
+    const gwKey = String(gameweekNumber);
+    const snap = typeof ft.lineupSnapshots.get === "function" ? ft.lineupSnapshots.get(gwKey) : ft.lineupSnapshots[gwKey];
+    if (snap && Array.isArray(snap.starting) && snap.starting.length > 0) {
+      const starting = new Set(snap.starting.map(String));
+      let captain = snap.captain ? String(snap.captain) : null;
+      // end-of-gameweek auto-subs replace starters who did not play
+      if (snap.autoSubsAppliedAt) {
+        for (const sub of snap.autoSubs || []) {
+          starting.delete(String(sub.out));
+          starting.add(String(sub.in));
+        }
+        if (snap.effectiveCaptain) captain = String(snap.effectiveCaptain);
+      }
+      // squad as it was frozen (older snapshots without a bench fall back to the roster)
+      const bench = [snap.bench?.goalkeeper, ...(snap.bench?.outfield || [])].filter(Boolean).map(String);
+      const squad = bench.length > 0 ? new Set([...snap.starting.map(String), ...bench]) : null;
+      return {
+        starting,
+        captain,
+        viceCaptain: snap.viceCaptain ? String(snap.viceCaptain) : null,
+        squad,
+        fromSnapshot: true,
+      };
+    }
+  }
+  return {
+    starting: new Set((ft.players || []).filter((p) => !!p.isStarting).map((p) => String(p.player))),
+    captain: ft.captain ? String(ft.captain) : null,
+    viceCaptain: ft.viceCaptain ? String(ft.viceCaptain) : null,
+    squad: null,
+    fromSnapshot: false,
+  };
+}
+
+/**
+ * Freeze the lineup a team takes into a gameweek (in memory; the caller saves).
+ * A snapshot the manager set for that gameweek is kept when it is their latest lineup change and
+ * still matches the squad, otherwise the live lineup is copied. Already locked snapshots are left alone.
+ * Returns the locked snapshot, or null when the team has no valid XI.
+ */
+export function freezeLineupForGw(ft, gameweekNumber, lockedAt = new Date()) {
+  if (gameweekNumber == null) return null;
+  const gwKey = String(gameweekNumber);
+  if (!ft.lineupSnapshots) ft.lineupSnapshots = new Map();
+  const existing = typeof ft.lineupSnapshots.get === "function" ? ft.lineupSnapshots.get(gwKey) : ft.lineupSnapshots[gwKey];
+  if (existing?.lockedAt) return existing;
+
+  const rosterIds = new Set((ft.players || []).map(entryPlayerId));
+  const existingStarting = (existing?.starting || []).map(String);
+  const lastChange = ft.lastLineupSetAt ? new Date(ft.lastLineupSetAt).getTime() : 0;
+  const useExisting = existingStarting.length === 11
+    && existingStarting.every((pid) => rosterIds.has(pid))
+    && existing.setAt && new Date(existing.setAt).getTime() >= lastChange;
+
+  const live = resolveLineupForGw(ft, gameweekNumber);
+  const starting = useExisting ? existingStarting : Array.from(live.starting);
+  if (starting.length !== 11) return null;
+  const startingSet = new Set(starting);
+
+  const snapshot = {
+    starting,
+    bench: buildBench(ft.players, startingSet, useExisting ? existing.bench : ft.bench),
+    captain: useExisting ? (existing.captain ? String(existing.captain) : null) : live.captain,
+    viceCaptain: useExisting ? (existing.viceCaptain ? String(existing.viceCaptain) : null) : live.viceCaptain,
+    setAt: useExisting ? existing.setAt : new Date(),
+    isDefault: false,
+    lockedAt,
+  };
+  if (typeof ft.lineupSnapshots.set === "function") ft.lineupSnapshots.set(gwKey, snapshot);
+  else ft.lineupSnapshots[gwKey] = snapshot;
+  if (typeof ft.markModified === "function") ft.markModified("lineupSnapshots");
+  return snapshot;
+}
+
+/**
+ * Lock the lineup of every fantasy team active in a gameweek that is not locked yet.
+ * competitionId restricts it to that competition's teams (plus teams without a competition).
+ * Returns { locked, skipped }.
+ */
+export async function lockLineupsForGameweek(gameweekNumber, { competitionId = null, session = null } = {}) {
+  if (gameweekNumber == null) return { locked: 0, skipped: 0 };
+  const gw = Number(gameweekNumber);
+  const filter = {
+    [`lineupSnapshots.${gw}.lockedAt`]: null,
+    $or: [{ effectiveGameweek: null }, { effectiveGameweek: { $lte: gw } }],
+  };
+  if (competitionId) filter.competitionId = { $in: [competitionId, null] };
+
+  const query = FantasyTeam.find(filter);
+  if (session) query.session(session);
+  const teams = await query.exec();
+
+  const lockedAt = new Date();
+  let locked = 0;
+  let skipped = 0;
+  for (const ft of teams) {
+    if (!freezeLineupForGw(ft, gw, lockedAt)) {
+      skipped += 1;
+      continue;
+    }
+    await ft.save(session ? { session } : undefined);
+    locked += 1;
+  }
+  return { locked, skipped };
+}
+
+/**
+ * Put back the squad a team had before playing a Free Hit (in memory; the caller saves).
+ * The Free Hit lineup is frozen for its gameweek first, so scoring keeps using it.
+ */
+export function restoreFreeHitSquad(ft) {
+  const restore = ft.freeHitRestore;
+  if (!restore) return false;
+  freezeLineupForGw(ft, restore.gameweek);
+
+  ft.players = (restore.players || []).map((p) => (p && p.toObject ? p.toObject() : { ...p }));
+  ft.captain = restore.captain ?? null;
+  ft.viceCaptain = restore.viceCaptain ?? null;
+  ft.bench = plainBench(restore.bench);
+  ft.bank = restore.bank ?? null;
+  ft.freeHitRestore = null;
+  // lineups saved for later gameweeks with the Free Hit squad are stale now
+  ft.lastLineupSetAt = new Date();
+  return true;
+}
+
+// a Free Hit from a gameweek whose deadline passed that the deadline cron has not reverted yet
+function settlePastFreeHit(ft, upcomingGameweekNumber) {
+  if (!ft.freeHitRestore || upcomingGameweekNumber == null) return false;
+  if (Number(ft.freeHitRestore.gameweek) >= Number(upcomingGameweekNumber)) return false;
+  return restoreFreeHitSquad(ft);
+}
+
+/**
+ * Revert every Free Hit squad played for this gameweek (or an earlier one). Run once its lineups are locked.
+ * Returns the number of teams reverted.
+ */
+export async function revertFreeHitSquads(gameweekNumber, { competitionId = null } = {}) {
+  if (gameweekNumber == null) return 0;
+  const filter = { "freeHitRestore.gameweek": { $lte: Number(gameweekNumber) } };
+  if (competitionId) filter.competitionId = { $in: [competitionId, null] };
+
+  const teams = await FantasyTeam.find(filter).exec();
+  let reverted = 0;
+  for (const ft of teams) {
+    if (!restoreFreeHitSquad(ft)) continue;
+    await ft.save();
+    reverted += 1;
+  }
+  return reverted;
+}
+
+/**
+ * Score one fantasy team for one match.
+ * lineup: result of resolveLineupForGw
+ * Returns { total, contributors }
+ */
+export function scoreFantasyTeamForMatch(ft, playerPoints, gameweekNumber, lineup) {
+  const chipEffects = getChipEffectsForGw(ft, gameweekNumber);
+  const benchBoostActive = chipEffects.benchBoost;
+  const tripleCaptainActive = chipEffects.captainChip;
+
+  // the frozen squad when there is one, else roster players plus anyone in the lineup
+  const squadIds = new Set(lineup.squad || (ft.players || []).map((pe) => String(pe.player)));
+  for (const pid of lineup.starting) squadIds.add(pid);
+
+  const contributors = [];
+  let total = 0;
+
+  for (const pid of Object.keys(playerPoints)) {
+    if (!squadIds.has(pid)) continue; // not on this fantasy team
+    const isStarting = lineup.starting.has(pid);
+    const played = !!(benchBoostActive || isStarting);
+    if (!played) continue;
+
+    let pPts = Number(playerPoints[pid] || 0);
+    const isCaptain = lineup.captain && lineup.captain === pid;
+    const isVice = lineup.viceCaptain && lineup.viceCaptain === pid;
+    if (isCaptain) pPts = pPts * chipEffects.captainMultiplier;
+    total += pPts;
+    contributors.push({
+      playerId: pid,
+      points: Number(playerPoints[pid] || 0),
+      countedPoints: pPts,
+      isStarting,
+      isCaptain: !!isCaptain,
+      isVice: !!isVice,
+      benchBoostActive,
+      tripleCaptainActive,
+      captainMultiplier: isCaptain ? chipEffects.captainMultiplier : null,
+      chips: chipEffects.chips,
+    });
+  }
+
+  return { total, contributors };
+}
+
+/**
+ * Rebuild gameweekPoints and points on a fantasy team from its matchPoints entries.
+ */
+export function rebuildFantasyTeamTotals(ft) {
+  const newGwTotals = {};
+  const entries = ft.matchPoints && typeof ft.matchPoints.entries === "function"
+    ? Array.from(ft.matchPoints.values())
+    : Object.values(ft.matchPoints || {});
+  for (const val of entries) {
+    if (!val || val.gameweek == null) continue;
+    const gwKey = String(Number(val.gameweek));
+    newGwTotals[gwKey] = (newGwTotals[gwKey] || 0) + Number(val.points || 0);
+  }
+
+  // point hits for extra transfers count against their gameweek
+  const hits = ft.pointHits && typeof ft.pointHits.entries === "function"
+    ? Array.from(ft.pointHits.entries())
+    : Object.entries(ft.pointHits || {});
+  for (const [gwKey, hit] of hits) {
+    if (!Number(hit)) continue;
+    newGwTotals[gwKey] = (newGwTotals[gwKey] || 0) - Number(hit);
+  }
+
+  ft.gameweekPoints = newGwTotals;
+  ft.points = Object.values(newGwTotals).reduce((sum, pts) => sum + Number(pts || 0), 0);
+
+  if (typeof ft.markModified === "function") {
+    ft.markModified("matchPoints");
+    ft.markModified("gameweekPoints");
+  }
+}
+
 /**
  * computePointsForMatch
  *
@@ -934,95 +1566,10 @@ export async function computePointsForMatch(matchId) {
 
     if (!match) throw new Error("Match not found: " + matchId);
 
-    // Ensure home/away score are present (your pre-save should compute this)
-    const homeScore = Number(match.homeScore ?? 0);
-    const awayScore = Number(match.awayScore ?? 0);
-
-    const homeTeamId = match.homeTeam ? String(match.homeTeam._id) : null;
-    const awayTeamId = match.awayTeam ? String(match.awayTeam._id) : null;
-
     // Build per-player perf map from match events
-    const perfByPlayer = {};
-    (match.goals || []).forEach((g) => {
-      if (g.scorer) {
-        const sid = String(g.scorer);
-        perfByPlayer[sid] = perfByPlayer[sid] || { goals: 0, assists: 0, yellowCards: 0, redCard: false, manOfTheMatch: false, started: false, subOn: false };
-        perfByPlayer[sid].goals += 1;
-      }
-      if (g.assist) {
-        const aid = String(g.assist);
-        perfByPlayer[aid] = perfByPlayer[aid] || { goals: 0, assists: 0, yellowCards: 0, redCard: false, manOfTheMatch: false, started: false, subOn: false };
-        perfByPlayer[aid].assists += 1;
-      }
-      // ownGoal handling: ownGoal may be recorded using ownBy — leave as is (not credited to scorer)
-      if (g.ownBy) {
-        const oid = String(g.ownBy);
-        perfByPlayer[oid] = perfByPlayer[oid] || { goals: 0, assists: 0, yellowCards: 0, redCard: false, manOfTheMatch: false, started: false, subOn: false };
-        // own goals are typically penalized or treated specially — we won't add positive goals
-      }
-    });
-
-    (match.cards || []).forEach((c) => {
-      if (!c.player) return;
-      const pid = String(c.player);
-      perfByPlayer[pid] = perfByPlayer[pid] || { goals: 0, assists: 0, yellowCards: 0, redCard: false, manOfTheMatch: false, started: false, subOn: false };
-      if (String(c.type || "").toLowerCase().includes("yellow")) perfByPlayer[pid].yellowCards += 1;
-      if (String(c.type || "").toLowerCase().includes("red")) perfByPlayer[pid].redCard = true;
-    });
-
-    if (match.manOftheMatch) {
-      const motm = String(match.manOftheMatch);
-      perfByPlayer[motm] = perfByPlayer[motm] || { goals: 0, assists: 0, yellowCards: 0, redCard: false, manOfTheMatch: false, started: false, subOn: false };
-      perfByPlayer[motm].manOfTheMatch = true;
-    }
-
-    (match.lineups?.home || []).forEach((p) => {
-      const id = String(p);
-      perfByPlayer[id] = perfByPlayer[id] || { goals: 0, assists: 0, yellowCards: 0, redCard: false, manOfTheMatch: false, started: false, subOn: false };
-      perfByPlayer[id].started = true;
-    });
-    (match.lineups?.away || []).forEach((p) => {
-      const id = String(p);
-      perfByPlayer[id] = perfByPlayer[id] || { goals: 0, assists: 0, yellowCards: 0, redCard: false, manOfTheMatch: false, started: false, subOn: false };
-      perfByPlayer[id].started = true;
-    });
-
-    (match.substitutions || []).forEach((s) => {
-      if (s.playerIn) {
-        const id = String(s.playerIn);
-        perfByPlayer[id] = perfByPlayer[id] || { goals: 0, assists: 0, yellowCards: 0, redCard: false, manOfTheMatch: false, started: false, subOn: false };
-        perfByPlayer[id].subOn = true;
-      }
-      // If substitution has playerOut, ensure they exist in perf map (they probably do from lineups)
-      if (s.playerOut) {
-        const id = String(s.playerOut);
-        perfByPlayer[id] = perfByPlayer[id] || { goals: 0, assists: 0, yellowCards: 0, redCard: false, manOfTheMatch: false, started: false, subOn: false };
-      }
-    });
-
+    const perfByPlayer = buildMatchPerformances(match);
     const playerIds = Object.keys(perfByPlayer);
-    // Determine gameweekNumber
-    let gameweekNumber = null;
-    const fixture = await Fixture.findOne({ match: match._id }).populate("gameweek").lean().exec();
-    if (fixture) {
-      if (fixture.gameweek && typeof fixture.gameweek === "object" && fixture.gameweek.number != null) {
-        gameweekNumber = Number(fixture.gameweek.number);
-      } else if (fixture.gameweek && typeof fixture.gameweek === "string") {
-        const gw = await Gameweek.findById(fixture.gameweek).lean().exec();
-        if (gw) gameweekNumber = gw.number;
-      }
-    }
-    if (gameweekNumber == null && match.gameweek != null) {
-      gameweekNumber = Number(match.gameweek);
-    }
-    if (gameweekNumber == null) {
-      const gwDoc = await Gameweek.findOne({ fixtures: match._id }).lean().exec();
-      if (gwDoc) gameweekNumber = gwDoc.number;
-    }
-    if (gameweekNumber == null && match.date) {
-      const gwByDate = await Gameweek.findOne({ deadline: { $gt: new Date(match.date) } }).sort({ number: 1 }).lean().exec();
-      if (gwByDate) gameweekNumber = gwByDate.number;
-    }
+    const gameweekNumber = await resolveGameweekNumberForMatch(match);
 
     // if no players in perf map: update match.gameweek if known and return early
     if (playerIds.length === 0) {
@@ -1039,47 +1586,11 @@ export async function computePointsForMatch(matchId) {
     const playerMap = {};
     players.forEach((p) => { playerMap[String(p._id)] = p; });
 
-    // Determine team outcome per team id: 'win'|'draw'|'loss'
-    const outcomeByTeam = {};
-    if (homeTeamId) {
-      if (homeScore > awayScore) outcomeByTeam[homeTeamId] = "win";
-      else if (homeScore === awayScore) outcomeByTeam[homeTeamId] = "draw";
-      else outcomeByTeam[homeTeamId] = "loss";
-    }
-    if (awayTeamId) {
-      if (awayScore > homeScore) outcomeByTeam[awayTeamId] = "win";
-      else if (awayScore === homeScore) outcomeByTeam[awayTeamId] = "draw";
-      else outcomeByTeam[awayTeamId] = "loss";
-    }
+    // Ruleset: the one recorded on the match if it was processed before, else the competition's current one
+    const ruleset = await resolveScoringRulesetForMatch(match);
 
     // compute points per player
-    const playerPoints = {};
-    for (const pid of playerIds) {
-      const perf = perfByPlayer[pid] || {};
-      const p = playerMap[pid];
-      if (!p) continue;
-
-      // derive position category
-      let posCat = "MID";
-      const pos = String(p.position || "").toUpperCase();
-      if (pos === "GK") posCat = "GK";
-      else if (["CB", "LB", "RB", "LWB", "RWB"].some(x => pos.includes(x))) posCat = "DEF";
-      else if (["CM", "DM", "AM", "LM", "RM"].some(x => pos.includes(x))) posCat = "MID";
-      else if (["ST", "CF", "FW", "LW", "RW"].some(x => pos.includes(x))) posCat = "FWD";
-
-      // conceded goals relative to player's team
-      const playerTeamId = p.team ? String(p.team._id ?? p.team) : null;
-      let conceded = 0;
-      if (playerTeamId) {
-        if (playerTeamId === homeTeamId) conceded = awayScore;
-        else if (playerTeamId === awayTeamId) conceded = homeScore;
-      }
-
-      const teamOutcome = playerTeamId ? outcomeByTeam[playerTeamId] ?? null : null;
-
-      const pts = calculatePlayerMatchPoints(perf, posCat, conceded, perf.started, perf.subOn, teamOutcome);
-      playerPoints[pid] = pts;
-    }
+    const playerPoints = computeMatchPlayerPoints(match, perfByPlayer, playerMap, ruleset.rules);
 
     // Bulk update Player.fantasyStats and totalFantasyPoints
     const playerBulkOps = [];
@@ -1089,7 +1600,15 @@ export async function computePointsForMatch(matchId) {
         updateOne: {
           filter: { _id: new mongoose.Types.ObjectId(pid), "fantasyStats.match": { $ne: new mongoose.Types.ObjectId(match._id) } },
           update: {
-            $push: { fantasyStats: { match: match._id, gameweek: gameweekNumber, points: pts } },
+            $push: {
+              fantasyStats: {
+                match: match._id,
+                gameweek: gameweekNumber,
+                points: pts,
+                ruleset: ruleset.rulesetId,
+                rulesetVersion: ruleset.version,
+              },
+            },
             $inc: { totalFantasyPoints: pts },
           },
         },
@@ -1099,50 +1618,31 @@ export async function computePointsForMatch(matchId) {
       await Player.bulkWrite(playerBulkOps, { session });
     }
 
-    // Find fantasy teams containing any affected players
-    const fTeams = await FantasyTeam.find({ "players.player": { $in: playerIds } }).session(session).exec();
+    // lineups are normally frozen by the deadline cron; lock any team of this competition it missed before scoring
+    // (other competitions' gameweek with this number keeps its own deadline)
+    const competitionId = await resolveMatchCompetitionId(match, session);
+    await lockLineupsForGameweek(gameweekNumber, { competitionId, session });
+
+    // Find fantasy teams containing any affected players (in their frozen squad or current roster)
+    const playerObjectIds = playerIds.map((pid) => new mongoose.Types.ObjectId(pid));
+    const teamFilter = [{ "players.player": { $in: playerObjectIds } }];
+    if (gameweekNumber != null) {
+      const gwKey = String(gameweekNumber);
+      teamFilter.push(
+        { [`lineupSnapshots.${gwKey}.starting`]: { $in: playerObjectIds } },
+        { [`lineupSnapshots.${gwKey}.bench.goalkeeper`]: { $in: playerObjectIds } },
+        { [`lineupSnapshots.${gwKey}.bench.outfield`]: { $in: playerObjectIds } }
+      );
+    }
+    const fTeams = await FantasyTeam.find({ $or: teamFilter }).session(session).exec();
     const matchFantasyTeamPoints = {};
 
     for (const ft of fTeams) {
       // skip teams not active for that GW
       if (ft.effectiveGameweek && gameweekNumber && ft.effectiveGameweek > gameweekNumber) continue;
-      ensurePowerupsShape(ft);
-      const benchBoostActive = isPowerupActiveForGw(ft, "benchBoost", gameweekNumber);
-      const tripleCaptainActive = isPowerupActiveForGw(ft, "tripleCaptain", gameweekNumber);
-
-      // build roster map for lookup
-      const rosterMap = {};
-      for (const pe of ft.players || []) {
-        const pid = String(pe.player);
-        rosterMap[pid] = pe; // contains isStarting, position, etc
-      }
 
-      const contributors = [];
-      let teamTotalForMatch = 0;
-
-      for (const pid of Object.keys(playerPoints)) {
-        if (!rosterMap[pid]) continue; // not on this fantasy team
-        const pe = rosterMap[pid];
-        const perf = perfByPlayer[pid] || {};
-        const played = !!(benchBoostActive || pe.isStarting);
-        if (!played) continue;
-
-        let pPts = Number(playerPoints[pid] || 0);
-        const isCaptain = ft.captain && String(ft.captain) === pid;
-        const isVice = ft.viceCaptain && String(ft.viceCaptain) === pid;
-        if (isCaptain) pPts = pPts * (tripleCaptainActive ? 3 : 2);
-        teamTotalForMatch += pPts;
-        contributors.push({
-          playerId: pid,
-          points: Number(playerPoints[pid] || 0),
-          countedPoints: pPts,
-          isStarting: !!pe.isStarting,
-          isCaptain: !!isCaptain,
-          isVice: !!isVice,
-          benchBoostActive,
-          tripleCaptainActive,
-        });
-      }
+      const lineup = resolveLineupForGw(ft, gameweekNumber, { preferSnapshot: true });
+      const { total: teamTotalForMatch, contributors } = scoreFantasyTeamForMatch(ft, playerPoints, gameweekNumber, lineup);
 
       // Save matchPoints entry keyed by match._id
       const matchKey = String(match._id);
@@ -1155,86 +1655,19 @@ export async function computePointsForMatch(matchId) {
         ft.matchPoints[matchKey] = matchPointEntry;
       }
 
-      // Recompute gameweekPoints aggregator
-      const newGwTotals = {};
-      if (ft.matchPoints && typeof ft.matchPoints.entries === "function") {
-        for (const [, val] of ft.matchPoints.entries()) {
-          const gwKey = val && val.gameweek != null ? String(val.gameweek) : "null";
-          newGwTotals[gwKey] = (newGwTotals[gwKey] || 0) + Number(val.points || 0);
-        }
-      } else {
-        for (const mId of Object.keys(ft.matchPoints || {})) {
-          const val = ft.matchPoints[mId];
-          const gwKey = val && val.gameweek != null ? String(val.gameweek) : "null";
-          newGwTotals[gwKey] = (newGwTotals[gwKey] || 0) + Number(val.points || 0);
-        }
-      }
-
-      if (!ft.gameweekPoints) ft.gameweekPoints = {};
-      if (typeof ft.gameweekPoints.set === "function") {
-        for (const k of Object.keys(newGwTotals)) {
-          if (k === "null") continue;
-          ft.gameweekPoints.set(String(Number(k)), Number(newGwTotals[k] || 0));
-        }
-      } else {
-        ft.gameweekPoints = ft.gameweekPoints || {};
-        for (const k of Object.keys(newGwTotals)) {
-          if (k === "null") continue;
-          ft.gameweekPoints[String(Number(k))] = Number(newGwTotals[k] || 0);
-        }
-      }
-
-      // recompute total points
-      let recomputedTotal = 0;
-      if (ft.gameweekPoints && typeof ft.gameweekPoints.entries === "function") {
-        for (const [, v] of ft.gameweekPoints.entries()) recomputedTotal += Number(v || 0);
-      } else {
-        for (const k of Object.keys(ft.gameweekPoints || {})) recomputedTotal += Number(ft.gameweekPoints[k] || 0);
-      }
-      ft.points = recomputedTotal;
-
-      // create lineup snapshot for this gameweek if not present and if current starting XI has 11 players
-      try {
-        if (gameweekNumber != null) {
-          const gwKey = String(gameweekNumber);
-          const hasSnapshot = (typeof ft.lineupSnapshots?.get === "function")
-            ? ft.lineupSnapshots.has(gwKey)
-            : (ft.lineupSnapshots && Object.prototype.hasOwnProperty.call(ft.lineupSnapshots, gwKey));
-
-          const currentStarting = (ft.players || []).filter(p => !!p.isStarting).map(p => String(p.player));
-          if (!hasSnapshot && currentStarting.length === 11) {
-            const snapshot = {
-              starting: currentStarting,
-              captain: ft.captain ? String(ft.captain) : null,
-              viceCaptain: ft.viceCaptain ? String(ft.viceCaptain) : null,
-              setAt: new Date(),
-              isDefault: false,
-            };
-
-            if (!ft.lineupSnapshots) ft.lineupSnapshots = {};
-            if (typeof ft.lineupSnapshots.set === "function") {
-              ft.lineupSnapshots.set(gwKey, snapshot);
-            } else {
-              ft.lineupSnapshots[gwKey] = snapshot;
-            }
-          }
-        }
-      } catch (snapErr) {
-        console.warn("snapshot write issue (non-fatal):", snapErr);
-      }
-
-      if (typeof ft.markModified === "function") {
-        ft.markModified("matchPoints");
-        ft.markModified("gameweekPoints");
-        ft.markModified("lineupSnapshots");
-      }
+      // Recompute gameweekPoints aggregator and total points
+      rebuildFantasyTeamTotals(ft);
 
       await ft.save({ session });
       matchFantasyTeamPoints[String(ft._id)] = Number(teamTotalForMatch || 0);
     }
 
     // Update match doc with fantasy processing info
-    const matchUpdate = { fantasyProcessed: true };
+    const matchUpdate = {
+      fantasyProcessed: true,
+      scoringRuleset: ruleset.rulesetId,
+      scoringRulesetVersion: ruleset.version,
+    };
     if (gameweekNumber != null) matchUpdate.gameweek = gameweekNumber;
     if (Object.keys(matchFantasyTeamPoints).length > 0) matchUpdate.fantasyTeamPoints = matchFantasyTeamPoints;
     await Match.updateOne({ _id: match._id }, { $set: matchUpdate }).session(session).exec();
@@ -1255,6 +1688,242 @@ export async function computePointsForMatch(matchId) {
   }
 }
 
+/* -----------------------
+   Automatic substitutions
+   ----------------------- */
+
+/**
+ * All matches of a gameweek number and whether every one is fulltime.
+ * competitionId: only that competition's gameweek (its fixtures, plus fixture-less matches of teams created for it);
+ * without it every competition's gameweek with that number counts.
+ * Returns { matches, complete }
+ */
+export async function loadGameweekMatches(gameweekNumber, { competitionId = null } = {}) {
+  const number = Number(gameweekNumber);
+  const gwFilter = { number };
+  if (competitionId) gwFilter.competitionId = competitionId;
+  const gameweeks = await Gameweek.find(gwFilter).populate("fixtures", "match").lean().exec();
+  const matchIds = gameweeks.flatMap((gw) => (gw.fixtures || []).map((f) => f && f.match).filter(Boolean));
+
+  const byNumber = { gameweek: number };
+  if (competitionId) byNumber.homeTeam = { $in: await Team.find({ competitionId }).distinct("_id").exec() };
+  let matches = await Match.find({ $or: [{ _id: { $in: matchIds } }, byNumber] }).lean().exec();
+  if (competitionId) {
+    // matches found by number that belong to another competition's fixtures
+    const linked = new Set(matchIds.map(String));
+    const others = matches.filter((m) => !linked.has(String(m._id))).map((m) => m._id);
+    const elsewhere = others.length > 0 ? new Set((await Fixture.find({ match: { $in: others } }).distinct("match").exec()).map(String)) : new Set();
+    matches = matches.filter((m) => !elsewhere.has(String(m._id)));
+  }
+  // postponed matches are not played in this gameweek (a rescheduled one moves with its fixture);
+  // cancelled and abandoned ones never reach full time, so they do not hold the gameweek open
+  matches = matches.filter((m) => !["postponed", ...VOID_MATCH_STATUSES].includes(resolveMatchStatus(m)));
+  const complete = matches.length > 0 && matches.every((m) => !!m.fulltime);
+  return { matches, complete };
+}
+
+/**
+ * Bench in substitution priority order: the bench GK followed by the ordered outfield subs.
+ * Uses the bench frozen in the gameweek snapshot when there is one, else the team's current bench.
+ */
+export function getBenchOrder(ft, startingSet, snapshotBench = null) {
+  const hasSnapshotBench = snapshotBench && (snapshotBench.goalkeeper || (snapshotBench.outfield || []).length > 0);
+  const bench = hasSnapshotBench ? plainBench(snapshotBench) : buildBench(ft.players, startingSet, ft.bench);
+  return [bench.goalkeeper, ...bench.outfield].filter((pid) => pid && !startingSet.has(String(pid))).map(String);
+}
+
+/**
+ * FPL-style auto-subs for one team and one gameweek.
+ * - each starter who did not play is replaced by the first bench player (in priority order) who played,
+ *   GK only for GK, as long as the resulting XI still passes validateLineupCounts
+ * - the vice-captain takes the captain multiplier when the captain did not play
+ *
+ * originalStarting: array of player ids (manager's XI)
+ * playedSet: Set of player ids who appeared in any match of the gameweek
+ * positionById: { [playerId]: position }
+ * Returns { starting: Set, autoSubs: [{ out, in }], effectiveCaptain }
+ */
+export function computeAutoSubs(originalStarting, bench, captain, viceCaptain, playedSet, positionById) {
+  const starting = originalStarting.map(String);
+  const autoSubs = [];
+  const used = new Set();
+  const isGk = (pid) => normalizePosition(positionById[pid]) === "GK";
+  const asEntries = (ids) => ids.map((pid) => ({ player: pid, position: positionById[pid], isStarting: true }));
+
+  for (const starterId of originalStarting.map(String)) {
+    if (playedSet.has(starterId)) continue;
+    for (const benchId of bench) {
+      if (used.has(benchId) || !playedSet.has(benchId)) continue;
+      if (isGk(benchId) !== isGk(starterId)) continue;
+      const candidate = starting.map((pid) => (pid === starterId ? benchId : pid));
+      if (validateLineupCounts(asEntries(candidate))) continue;
+      starting.splice(starting.indexOf(starterId), 1, benchId);
+      used.add(benchId);
+      autoSubs.push({ out: starterId, in: benchId });
+      break;
+    }
+  }
+
+  let effectiveCaptain = captain ? String(captain) : null;
+  if (effectiveCaptain && !playedSet.has(effectiveCaptain) && viceCaptain && playedSet.has(String(viceCaptain))) {
+    effectiveCaptain = String(viceCaptain);
+  }
+
+  return { starting: new Set(starting), autoSubs, effectiveCaptain };
+}
+
+/**
+ * Apply auto-subs to one fantasy team (in memory) and rescore its matchPoints entries for the gameweek.
+ * Always starts again from the manager's original XI, so it can safely be re-run.
+ *
+ * context: { gameweekNumber, matchIds, playerPointsByMatch: { [matchId]: { [playerId]: points } }, playedSet, positionById }
+ * Returns true if the team was processed.
+ */
+export function applyAutoSubsToTeam(ft, context) {
+  const { gameweekNumber, matchIds, playerPointsByMatch, playedSet, positionById } = context;
+  if (gameweekNumber == null) return false;
+  if (ft.effectiveGameweek && ft.effectiveGameweek > gameweekNumber) return false;
+
+  const gwKey = String(gameweekNumber);
+  if (!ft.lineupSnapshots) ft.lineupSnapshots = new Map();
+  let snap = typeof ft.lineupSnapshots.get === "function" ? ft.lineupSnapshots.get(gwKey) : ft.lineupSnapshots[gwKey];
+  if (!snap || !Array.isArray(snap.starting) || snap.starting.length === 0) {
+    snap = freezeLineupForGw(ft, gameweekNumber);
+    if (!snap) return false;
+  }
+
+  const originalStarting = snap.starting.map(String);
+  const startingSet = new Set(originalStarting);
+
+  // bench boost: everyone already counts, nothing to substitute
+  let result = { starting: startingSet, autoSubs: [], effectiveCaptain: snap.captain ? String(snap.captain) : null };
+  if (!getChipEffectsForGw(ft, gameweekNumber).benchBoost) {
+    result = computeAutoSubs(
+      originalStarting,
+      getBenchOrder(ft, startingSet, snap.bench),
+      snap.captain,
+      snap.viceCaptain,
+      playedSet,
+      positionById
+    );
+  }
+
+  const updatedSnap = {
+    ...(snap.toObject ? snap.toObject() : snap),
+    autoSubs: result.autoSubs,
+    effectiveCaptain: result.effectiveCaptain,
+    autoSubsAppliedAt: new Date(),
+  };
+  if (typeof ft.lineupSnapshots.set === "function") ft.lineupSnapshots.set(gwKey, updatedSnap);
+  else ft.lineupSnapshots[gwKey] = updatedSnap;
+
+  // rescore every match of the gameweek with the substituted XI
+  const lineup = resolveLineupForGw(ft, gameweekNumber, { preferSnapshot: true });
+  const squadIds = new Set(lineup.squad || (ft.players || []).map((pe) => String(pe.player)));
+  for (const pid of lineup.starting) squadIds.add(pid);
+  if (!ft.matchPoints) ft.matchPoints = new Map();
+
+  for (const matchId of matchIds.map(String)) {
+    const playerPoints = playerPointsByMatch[matchId] || {};
+    if (!Object.keys(playerPoints).some((pid) => squadIds.has(pid))) continue;
+    const { total, contributors } = scoreFantasyTeamForMatch(ft, playerPoints, gameweekNumber, lineup);
+    const entry = { points: total, gameweek: Number(gameweekNumber), contributors };
+    if (typeof ft.matchPoints.set === "function") ft.matchPoints.set(matchId, entry);
+    else ft.matchPoints[matchId] = entry;
+  }
+
+  rebuildFantasyTeamTotals(ft);
+  if (typeof ft.markModified === "function") ft.markModified("lineupSnapshots");
+  return true;
+}
+
+/**
+ * Build the data applyAutoSubsToTeam needs for a completed gameweek.
+ * matches: every match of the gameweek (see loadGameweekMatches)
+ * fantasyTeams: teams that will be processed (used to look up squad positions)
+ * pointsOverride: { [matchId]: { [playerId]: points } } to use instead of the stored Player.fantasyStats
+ */
+export async function buildAutoSubContext(gameweekNumber, matches, fantasyTeams, pointsOverride = {}) {
+  const matchIds = matches.map((m) => m._id);
+  const playedSet = new Set();
+  for (const match of matches) {
+    for (const [pid, perf] of Object.entries(buildMatchPerformances(match))) {
+      if (playedInMatch(perf)) playedSet.add(pid);
+    }
+  }
+
+  const playerPointsByMatch = { ...pointsOverride };
+  const storedIds = matchIds.map(String).filter((id) => !playerPointsByMatch[id]);
+  if (storedIds.length > 0) {
+    const storedSet = new Set(storedIds);
+    const scoredPlayers = await Player.find({ "fantasyStats.match": { $in: storedIds } }).select("fantasyStats").lean().exec();
+    for (const p of scoredPlayers) {
+      for (const stat of p.fantasyStats || []) {
+        const mid = String(stat.match);
+        if (!storedSet.has(mid)) continue;
+        playerPointsByMatch[mid] = playerPointsByMatch[mid] || {};
+        playerPointsByMatch[mid][String(p._id)] = Number(stat.points || 0);
+      }
+    }
+  }
+
+  const gwKey = String(gameweekNumber);
+  const squadIds = new Set();
+  for (const ft of fantasyTeams) {
+    (ft.players || []).forEach((pe) => squadIds.add(String(pe.player)));
+    const snap = typeof ft.lineupSnapshots?.get === "function" ? ft.lineupSnapshots.get(gwKey) : ft.lineupSnapshots?.[gwKey];
+    (snap?.starting || []).forEach((pid) => squadIds.add(String(pid)));
+    [snap?.bench?.goalkeeper, ...(snap?.bench?.outfield || [])].filter(Boolean).forEach((pid) => squadIds.add(String(pid)));
+  }
+  const positions = await Player.find({ _id: { $in: Array.from(squadIds) } }).select("position").lean().exec();
+  const positionById = {};
+  positions.forEach((p) => { positionById[String(p._id)] = p.position; });
+
+  return { gameweekNumber: Number(gameweekNumber), matchIds, playerPointsByMatch, playedSet, positionById };
+}
+
+/**
+ * Run auto-subs for every fantasy team once all matches of a gameweek are fulltime.
+ * Player points come from Player.fantasyStats (already computed per match).
+ * Returns { applied, reason?, teamsProcessed, autoSubsMade }
+ */
+export async function processGameweekAutoSubs(gameweekNumber, { competitionId = null } = {}) {
+  if (gameweekNumber == null) return { applied: false, reason: "no gameweek" };
+  const { matches, complete } = await loadGameweekMatches(gameweekNumber, { competitionId });
+  if (!complete) return { applied: false, reason: "gameweek not complete" };
+
+  const gwKey = String(gameweekNumber);
+  const teamFilter = [{ [`lineupSnapshots.${gwKey}`]: { $exists: true } }];
+  for (const m of matches) teamFilter.push({ [`matchPoints.${String(m._id)}`]: { $exists: true } });
+  const query = { $or: teamFilter };
+  if (competitionId) query.competitionId = { $in: [competitionId, null] };
+  const fantasyTeams = await FantasyTeam.find(query).exec();
+
+  const context = await buildAutoSubContext(gameweekNumber, matches, fantasyTeams);
+  let teamsProcessed = 0;
+  let autoSubsMade = 0;
+  const matchPointsUpdate = {};
+
+  for (const ft of fantasyTeams) {
+    if (!applyAutoSubsToTeam(ft, context)) continue;
+    await ft.save();
+    teamsProcessed += 1;
+    autoSubsMade += (ft.lineupSnapshots.get(gwKey)?.autoSubs || []).length;
+    for (const matchId of context.matchIds.map(String)) {
+      const entry = ft.matchPoints?.get?.(matchId);
+      if (!entry) continue;
+      matchPointsUpdate[matchId] = matchPointsUpdate[matchId] || {};
+      matchPointsUpdate[matchId][`fantasyTeamPoints.${String(ft._id)}`] = Number(entry.points || 0);
+    }
+  }
+
+  for (const [matchId, $set] of Object.entries(matchPointsUpdate)) {
+    await Match.updateOne({ _id: matchId }, { $set }).exec();
+  }
+
+  return { applied: true, teamsProcessed, autoSubsMade };
+}
+
 
 
 
@@ -1332,6 +2001,79 @@ function validateLineupCounts(players) {
   return null;
 }
 
+/* -----------------------
+   Bench order
+   ----------------------- */
+
+function entryPlayerId(entry) {
+  const raw = entry && entry.player;
+  if (!raw) return null;
+  return typeof raw === "object" ? String(raw._id ?? raw) : String(raw);
+}
+
+/**
+ * Normalise the bench for a roster and starting XI into { goalkeeper, outfield }.
+ * Outfield priority: `requested` ids first, then the order in `current`, then roster order
+ * for anyone not mentioned (e.g. a starter who was just dropped).
+ */
+function buildBench(players, startingSet, current = null, requested = null) {
+  const benchEntries = (players || []).filter((p) => {
+    const pid = entryPlayerId(p);
+    return pid && !startingSet.has(pid);
+  });
+  const gkIds = benchEntries.filter((p) => normalizePosition(p.position) === "GK").map(entryPlayerId);
+  const outfieldIds = benchEntries.filter((p) => normalizePosition(p.position) !== "GK").map(entryPlayerId);
+
+  const rank = new Map();
+  for (const list of [requested, current?.outfield]) {
+    for (const id of list || []) {
+      const pid = String(id);
+      if (!rank.has(pid)) rank.set(pid, rank.size);
+    }
+  }
+  const rosterIndex = new Map(outfieldIds.map((pid, i) => [pid, i]));
+  const orderOf = (pid) => (rank.has(pid) ? rank.get(pid) : rank.size + rosterIndex.get(pid));
+  outfieldIds.sort((a, b) => orderOf(a) - orderOf(b));
+
+  const currentGk = current?.goalkeeper ? String(current.goalkeeper) : null;
+  return {
+    goalkeeper: gkIds.includes(currentGk) ? currentGk : gkIds[0] || null,
+    outfield: outfieldIds,
+  };
+}
+
+/**
+ * Check a requested outfield bench order: must list every outfield bench player exactly once.
+ * Returns an error message or null.
+ */
+function validateBenchOrder(players, startingSet, requested) {
+  if (!Array.isArray(requested)) return "benchOrder must be an array of player ids";
+  const expected = buildBench(players, startingSet).outfield;
+  const ids = requested.map(String);
+  if (new Set(ids).size !== ids.length) return "benchOrder contains duplicate players";
+  if (ids.length !== expected.length || !expected.every((pid) => ids.includes(pid))) {
+    return `benchOrder must list the ${expected.length} outfield bench players exactly once`;
+  }
+  return null;
+}
+
+// the same bench with one player id swapped for another (keeps the priority slot)
+function replaceInBench(bench, fromId, toId) {
+  const from = String(fromId);
+  const to = String(toId);
+  return {
+    goalkeeper: bench?.goalkeeper && String(bench.goalkeeper) === from ? to : bench?.goalkeeper ?? null,
+    outfield: (bench?.outfield || []).map((pid) => (String(pid) === from ? to : String(pid))),
+  };
+}
+
+function plainBench(bench) {
+  return {
+    goalkeeper: bench?.goalkeeper ? String(bench.goalkeeper) : null,
+    outfield: (bench?.outfield || []).map(String),
+  };
+}
+
 /**
  * POST /api/fantasy/substitute
  * body: { fantasyTeamId, out: <playerIdOut>, in: <playerIdIn> }
@@ -1389,14 +2131,20 @@ export const substitutePlayers = async (req, res) => {
     const vErr = validateLineupCounts(newPlayers);
     if (vErr) return res.status(400).json({ message: vErr });
 
+    // the outgoing starter takes the incoming sub's bench slot
+    const startingIds = newPlayers.filter((p) => p.isStarting).map((p) => String(p.player));
+    const currentBench = buildBench(team.players, new Set(team.players.filter((p) => p.isStarting).map(entryPlayerId)), team.bench);
+    const bench = buildBench(newPlayers, new Set(startingIds), replaceInBench(currentBench, inId, outId));
+
     // Save results to DB: update players array and lineup snapshot + lastLineupSetAt
     team.players = newPlayers;
+    team.bench = bench;
     team.lastLineupSetAt = new Date();
 
     // create a lineup snapshot under "default" — you can change key to a GW number if desired
-    const startingIds = newPlayers.filter((p) => p.isStarting).map((p) => String(p.player));
     const snapshot = {
       starting: startingIds,
+      bench,
       captain: team.captain ? String(team.captain) : null,
       viceCaptain: team.viceCaptain ? String(team.viceCaptain) : null,
       setAt: new Date(),
@@ -1451,16 +2199,8 @@ export const setCaptainVice = async (req, res, next) => {
       if (now >= new Date(upcomingGW.deadline))  return res.status(400).json({ message: "Cannot Captain after deadline" });
     }
 
-    const selectedPowerups = parsePowerupSelection(powerups);
-    for (const key of parsePowerupSelection(powerup)) selectedPowerups.add(key);
-    if (selectedPowerups.size > 0) {
-      ensurePowerupsShape(team);
-      assertPowerupSelectionAllowed(team, selectedPowerups, targetGw);
-      for (const key of selectedPowerups) {
-        activatePowerupForGw(team, key, targetGw);
-      }
-      team.markModified("powerups");
-    }
+    settlePastFreeHit(team, upcomingGW.number);
+    await applyPowerupSelection(team, [powerups, powerup], targetGw, upcomingGW.number);
     // Collect starting players ids
     const startingIds = team.players.filter((p) => p.isStarting).map((p) => String(p.player));
 
@@ -1486,6 +2226,7 @@ export const setCaptainVice = async (req, res, next) => {
     // also write snapshot
     const snapshot = {
       starting: startingIds,
+      bench: buildBench(team.players, new Set(startingIds), team.bench),
       captain: team.captain ? String(team.captain) : null,
       viceCaptain: team.viceCaptain ? String(team.viceCaptain) : null,
       setAt: new Date(),
@@ -1503,6 +2244,61 @@ export const setCaptainVice = async (req, res, next) => {
   }
 };
 
+/**
+ * PUT /api/fantasy/bench
+ * body: { fantasyTeamId, benchOrder: [outfield bench ids, first sub first] }
+ * Reorders the bench for the upcoming gameweek (and the default lineup) before its deadline.
+ */
+export const setBenchOrder = async (req, res, next) => {
+  try {
+    const userId = req.user?.id;
+    const { fantasyTeamId, benchOrder } = req.body;
+    if (!fantasyTeamId) return next(createError(400, "fantasyTeamId required"));
+    if (!Types.ObjectId.isValid(fantasyTeamId)) return next(createError(400, "Invalid team id"));
+
+    const team = await FantasyTeam.findById(fantasyTeamId).exec();
+    if (!team) return next(createError(404, "Fantasy team not found"));
+    if (!userId || String(team.user) !== String(userId)) return next(createError(403, "Not authorized"));
+
+    const upcomingGW = await getUpcomingGameweek();
+    if (!upcomingGW || !upcomingGW.deadline) return next(createError(400, "No active gameweek deadline"));
+    if (new Date() >= new Date(upcomingGW.deadline)) {
+      return next(createError(403, "Cannot reorder the bench after the gameweek deadline"));
+    }
+    settlePastFreeHit(team, upcomingGW.number);
+
+    const startingSet = new Set(team.players.filter((p) => p.isStarting).map(entryPlayerId));
+    const benchErr = validateBenchOrder(team.players, startingSet, benchOrder);
+    if (benchErr) return next(createError(400, benchErr));
+
+    const bench = buildBench(team.players, startingSet, team.bench, benchOrder);
+    const setAt = new Date();
+    const previousChange = team.lastLineupSetAt ? new Date(team.lastLineupSetAt).getTime() : 0;
+    team.bench = bench;
+    team.lastLineupSetAt = setAt;
+
+    // keep the upcoming gameweek's and the default snapshot in line with the new order
+    if (!team.lineupSnapshots) team.lineupSnapshots = new Map();
+    for (const key of [String(upcomingGW.number), "default"]) {
+      const snap = team.lineupSnapshots.get(key);
+      if (!snap) continue;
+      const snapStarting = new Set((snap.starting || []).map(String));
+      const snapBench = buildBench(team.players, snapStarting, bench, benchOrder);
+      // a snapshot that was the latest lineup stays the latest one (see freezeLineupForGw)
+      const wasLatest = snap.setAt && new Date(snap.setAt).getTime() >= previousChange;
+      team.lineupSnapshots.set(key, { ...(snap.toObject ? snap.toObject() : snap), bench: snapBench, setAt: wasLatest ? setAt : snap.setAt });
+    }
+    team.markModified("lineupSnapshots");
+
+    await team.save();
+
+    return res.status(200).json({ success: true, data: { bench: team.bench, gameweek: upcomingGW.number } });
+  } catch (err) {
+    console.error("[setBenchOrder] error:", err);
+    return next(err);
+  }
+};
+
 export default {
   createFantasyTeam,
   editFantasyTeam,
@@ -0,0 +1,631 @@
+// controllers/fantasyLeague.js
+import crypto from "crypto";
+import mongoose from "mongoose";
+import { createError } from "../error.js";
+import FantasyLeague from "../models/FantasyLeague.js";
+import FantasyTeam from "../models/Felteam.js";
+import Gameweek from "../models/Gameweek.js";
+import Match, { VOID_MATCH_STATUSES, resolveMatchStatus } from "../models/Match.js";
+import Season from "../models/Season.js";
+import { resolveSeason } from "./seasonScope.js";
+
+/* -----------------------
+   Config: league rules
+   ----------------------- */
+const INVITE_CODE_LENGTH = 6;
+const MAX_LEAGUE_MEMBERS = 50;
+const H2H_WIN_POINTS = 3;
+const H2H_DRAW_POINTS = 1;
+const H2H_LOSS_POINTS = 0;
+
+/* -----------------------
+   Helpers
+   ----------------------- */
+
+function generateInviteCode() {
+  // uppercase alphanumerics without the easily confused 0/O/1/I
+  const alphabet = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+  const bytes = crypto.randomBytes(INVITE_CODE_LENGTH);
+  let code = "";
+  for (let i = 0; i < INVITE_CODE_LENGTH; i++) code += alphabet[bytes[i] % alphabet.length];
+  return code;
+}
+
+async function generateUniqueInviteCode() {
+  for (let attempt = 0; attempt < 10; attempt++) {
+    const code = generateInviteCode();
+    const exists = await FantasyLeague.exists({ code });
+    if (!exists) return code;
+  }
+  throw createError(500, "Could not generate a unique invite code");
+}
+
+function readGameweekPoints(team, gameweekNumber) {
+  if (!team || !team.gameweekPoints) return 0;
+  const key = String(gameweekNumber);
+  const value = typeof team.gameweekPoints.get === "function" ? team.gameweekPoints.get(key) : team.gameweekPoints[key];
+  const n = Number(value);
+  return Number.isFinite(n) ? n : 0;
+}
+
+function isLeagueMember(league, fantasyTeamId) {
+  return (league.members || []).some((m) => String(m.fantasyTeam) === String(fantasyTeamId));
+}
+
+/**
+ * Load gameweeks relevant to a league (from its startGameweek onwards) and flag each one:
+ * - started: deadline has passed
+ * - finished: every fixture with a match is fulltime (cancelled and abandoned matches aside)
+ * Also returns the upcoming gameweek number (next deadline), if any.
+ */
+async function loadLeagueGameweeks(league) {
+  const filter = { number: { $gte: Number(league.startGameweek || 1) } };
+  if (league.competitionId) filter.competitionId = league.competitionId;
+
+  const gameweeks = await Gameweek.find(filter).sort({ number: 1 }).populate("fixtures", "match").lean().exec();
+  const matchIds = gameweeks.flatMap((gw) => (gw.fixtures || []).map((f) => f && f.match).filter(Boolean));
+  const matches = await Match.find({ _id: { $in: matchIds } }).select("_id fulltime status").lean().exec();
+  const fulltimeById = new Map(matches.map((m) => [String(m._id), !!m.fulltime || VOID_MATCH_STATUSES.includes(resolveMatchStatus(m))]));
+
+  const now = new Date();
+  let upcoming = null;
+  const rows = gameweeks.map((gw) => {
+    const gwMatchIds = (gw.fixtures || []).map((f) => f && f.match).filter(Boolean).map(String);
+    const started = !!gw.deadline && new Date(gw.deadline) <= now;
+    const finished = started && gwMatchIds.length > 0 && gwMatchIds.every((id) => fulltimeById.get(id) === true);
+    if (!started && gw.deadline && upcoming == null) upcoming = gw.number;
+    return { number: gw.number, deadline: gw.deadline || null, started, finished };
+  });
+
+  return { gameweeks: rows, upcoming };
+}
+
+/**
+ * Circle-method pairing for one round.
+ * memberIds: array of fantasy team id strings (stable order)
+ * roundIndex: 0-based round; rotates so everyone meets everyone over (n-1) rounds
+ * Returns [{ home, away }] where away is null for the member with a bye.
+ */
+function pairMembersForRound(memberIds, roundIndex) {
+  const arr = memberIds.slice();
+  if (arr.length < 2) return arr.map((id) => ({ home: id, away: null }));
+  if (arr.length % 2 === 1) arr.push(null);
+
+  const m = arr.length;
+  const rotations = ((roundIndex % (m - 1)) + (m - 1)) % (m - 1);
+  for (let r = 0; r < rotations; r++) arr.splice(1, 0, arr.pop());
+
+  const pairs = [];
+  for (let i = 0; i < m / 2; i++) {
+    let home = arr[i];
+    let away = arr[m - 1 - i];
+    // alternate sides between rounds so nobody is always "home"
+    if (roundIndex % 2 === 1) [home, away] = [away, home];
+    if (home === null) [home, away] = [away, home];
+    pairs.push({ home, away });
+  }
+  return pairs;
+}
+
+/**
+ * Create head-to-head pairings for the given gameweek numbers if not already present.
+ * Pairings are drawn from the current membership ordered by join date.
+ * Returns true if the league document was modified.
+ */
+function ensureH2HPairings(league, gameweekNumbers) {
+  if (league.mode !== "h2h") return false;
+  const paired = new Set((league.h2hMatches || []).map((m) => Number(m.gameweek)));
+  const memberIds = (league.members || [])
+    .slice()
+    .sort((a, b) => new Date(a.joinedAt) - new Date(b.joinedAt))
+    .map((m) => String(m.fantasyTeam));
+  if (memberIds.length < 2) return false;
+
+  let modified = false;
+  for (const gw of gameweekNumbers) {
+    if (paired.has(Number(gw))) continue;
+    const roundIndex = Number(gw) - Number(league.startGameweek || 1);
+    for (const pair of pairMembersForRound(memberIds, roundIndex)) {
+      league.h2hMatches.push({ gameweek: Number(gw), home: pair.home, away: pair.away });
+    }
+    modified = true;
+  }
+  return modified;
+}
+
+/**
+ * Drop pairings for gameweeks whose deadline has not passed yet, so that they are
+ * redrawn with the new membership next time they are requested.
+ */
+function dropUnstartedPairings(league, gameweeks) {
+  const started = new Set(gameweeks.filter((gw) => gw.started).map((gw) => gw.number));
+  const before = (league.h2hMatches || []).length;
+  league.h2hMatches = (league.h2hMatches || []).filter((m) => started.has(Number(m.gameweek)));
+  return league.h2hMatches.length !== before;
+}
+
+/**
+ * Pair gameweeks that have started plus the upcoming one.
+ * Only called on write paths (membership changes and the deadline cron); returns true if the league
+ * document was modified, the caller saves it. Reads show the stored pairings as they are.
+ */
+function syncH2HPairings(league, gameweeks, upcoming) {
+  if (league.mode !== "h2h") return false;
+  const toPair = gameweeks.filter((gw) => gw.started).map((gw) => gw.number);
+  if (upcoming != null) toPair.push(upcoming);
+  return ensureH2HPairings(league, toPair);
+}
+
+// redraw the pairings of gameweeks that have not started for the league's new membership
+async function repairAfterMembershipChange(league) {
+  if (league.mode !== "h2h") return;
+  const { gameweeks, upcoming } = await loadLeagueGameweeks(league);
+  dropUnstartedPairings(league, gameweeks);
+  syncH2HPairings(league, gameweeks, upcoming);
+}
+
+/**
+ * Gameweek rollover (deadline cron): pair the gameweek that just started and the next one
+ * in every head-to-head league of the gameweek's competition (leagues not tied to one are paired
+ * from gameweeks without a competition).
+ * Returns the number of leagues updated.
+ */
+export async function syncH2HPairingsForCompetition(competitionId) {
+  const leagues = await FantasyLeague.find({ mode: "h2h", competitionId: competitionId ?? null }).exec();
+  let updated = 0;
+  for (const league of leagues) {
+    const { gameweeks, upcoming } = await loadLeagueGameweeks(league);
+    if (!syncH2HPairings(league, gameweeks, upcoming)) continue;
+    await league.save();
+    updated += 1;
+  }
+  return updated;
+}
+
+function h2hOutcome(pointsFor, pointsAgainst) {
+  if (pointsFor > pointsAgainst) return "win";
+  if (pointsFor < pointsAgainst) return "loss";
+  return "draw";
+}
+
+/**
+ * Resolve the h2h matches of a league into scored results.
+ * teamsById: Map of fantasy team id -> team doc (with gameweekPoints)
+ * gameweekState: Map of gameweek number -> { started, finished }
+ */
+function buildH2HResults(league, teamsById, gameweekState) {
+  const averageByGw = {};
+  const memberIds = (league.members || []).map((m) => String(m.fantasyTeam));
+  const averageFor = (gw) => {
+    if (averageByGw[gw] == null) {
+      const pts = memberIds.map((id) => readGameweekPoints(teamsById.get(id), gw));
+      averageByGw[gw] = pts.length ? Math.round(pts.reduce((s, p) => s + p, 0) / pts.length) : 0;
+    }
+    return averageByGw[gw];
+  };
+
+  return (league.h2hMatches || []).map((m) => {
+    const gw = Number(m.gameweek);
+    const state = gameweekState.get(gw) || { started: false, finished: false };
+    const homeId = String(m.home);
+    const awayId = m.away ? String(m.away) : null;
+    const homeTeam = teamsById.get(homeId);
+    const awayTeam = awayId ? teamsById.get(awayId) : null;
+
+    const homePoints = state.started ? readGameweekPoints(homeTeam, gw) : null;
+    const awayPoints = state.started ? (awayId ? readGameweekPoints(awayTeam, gw) : averageFor(gw)) : null;
+
+    let result = null;
+    if (state.finished) {
+      const outcome = h2hOutcome(homePoints, awayPoints);
+      result = outcome === "win" ? "home" : outcome === "loss" ? "away" : "draw";
+    }
+
+    return {
+      _id: m._id,
+      gameweek: gw,
+      home: { fantasyTeam: homeId, teamName: homeTeam?.teamName ?? null, points: homePoints },
+      away: awayId
+        ? { fantasyTeam: awayId, teamName: awayTeam?.teamName ?? null, points: awayPoints }
+        : { fantasyTeam: null, teamName: "League average", points: awayPoints },
+      finished: state.finished,
+      result,
+    };
+  });
+}
+
+function buildClassicStandings(league, teamsById, gameweeks) {
+  const counted = gameweeks.filter((gw) => gw.started).map((gw) => gw.number);
+  const rows = (league.members || []).map((member) => {
+    const id = String(member.fantasyTeam);
+    const team = teamsById.get(id);
+    const total = counted.reduce((sum, gw) => sum + readGameweekPoints(team, gw), 0);
+    const lastGw = counted.length ? counted[counted.length - 1] : null;
+    return {
+      fantasyTeam: id,
+      teamName: team?.teamName ?? null,
+      user: member.user,
+      gameweekPoints: lastGw != null ? readGameweekPoints(team, lastGw) : 0,
+      totalPoints: total,
+    };
+  });
+  rows.sort((a, b) => b.totalPoints - a.totalPoints || String(a.teamName).localeCompare(String(b.teamName)));
+  return rows.map((row, i) => ({ rank: i + 1, ...row }));
+}
+
+function buildH2HStandings(league, teamsById, results) {
+  const table = new Map();
+  for (const member of league.members || []) {
+    const id = String(member.fantasyTeam);
+    table.set(id, {
+      fantasyTeam: id,
+      teamName: teamsById.get(id)?.teamName ?? null,
+      user: member.user,
+      played: 0,
+      won: 0,
+      drawn: 0,
+      lost: 0,
+      pointsFor: 0,
+      pointsAgainst: 0,
+      points: 0,
+    });
+  }
+
+  const apply = (id, pointsFor, pointsAgainst) => {
+    const row = table.get(id);
+    if (!row) return; // member has since left the league
+    row.played += 1;
+    row.pointsFor += pointsFor;
+    row.pointsAgainst += pointsAgainst;
+    const outcome = h2hOutcome(pointsFor, pointsAgainst);
+    if (outcome === "win") {
+      row.won += 1;
+      row.points += H2H_WIN_POINTS;
+    } else if (outcome === "draw") {
+      row.drawn += 1;
+      row.points += H2H_DRAW_POINTS;
+    } else {
+      row.lost += 1;
+      row.points += H2H_LOSS_POINTS;
+    }
+  };
+
+  for (const r of results) {
+    if (!r.finished) continue;
+    apply(r.home.fantasyTeam, r.home.points, r.away.points);
+    if (r.away.fantasyTeam) apply(r.away.fantasyTeam, r.away.points, r.home.points);
+  }
+
+  const rows = Array.from(table.values());
+  rows.sort((a, b) => b.points - a.points || b.pointsFor - a.pointsFor || String(a.teamName).localeCompare(String(b.teamName)));
+  return rows.map((row, i) => ({ rank: i + 1, ...row }));
+}
+
+async function loadTeamsForLeague(league) {
+  const ids = new Set((league.members || []).map((m) => String(m.fantasyTeam)));
+  for (const m of league.h2hMatches || []) {
+    ids.add(String(m.home));
+    if (m.away) ids.add(String(m.away));
+  }
+  const teams = await FantasyTeam.find({ _id: { $in: Array.from(ids) } })
+    .select("teamName user gameweekPoints points")
+    .exec();
+  return new Map(teams.map((t) => [String(t._id), t]));
+}
+
+async function findLeagueOr404(id) {
+  if (!mongoose.Types.ObjectId.isValid(String(id))) throw createError(400, "Invalid league id");
+  const league = await FantasyLeague.findById(id).exec();
+  if (!league) throw createError(404, "League not found");
+  return league;
+}
+
+// the user's fantasy team, which has to be in the league's competition (a user has a single fantasy team)
+async function findUserFantasyTeam(userId, league) {
+  const filter = { user: userId };
+  if (league && league.competitionId) filter.competitionId = league.competitionId;
+  const team = await FantasyTeam.findOne(filter).exec();
+  if (!team) {
+    throw createError(400, filter.competitionId ? "You need a fantasy team in this league's competition to join it" : "Create a fantasy team before joining a league");
+  }
+  return team;
+}
+
+async function addMemberToLeague(league, team, userId) {
+  if (isLeagueMember(league, team._id)) throw createError(400, "You are already a member of this league");
+  if ((league.members || []).length >= Number(league.maxMembers || MAX_LEAGUE_MEMBERS)) {
+    throw createError(400, "League is full");
+  }
+  league.members.push({ fantasyTeam: team._id, user: userId, joinedAt: new Date() });
+  await repairAfterMembershipChange(league);
+  await league.save();
+  return league;
+}
+
+/* -----------------------
+   Controller actions
+   ----------------------- */
+
+/**
+ * Create a mini-league; the creator joins automatically and becomes its admin.
+ * Body: { name, visibility?: 'private'|'public', mode?: 'classic'|'h2h', competitionId?, startGameweek?, maxMembers? }
+ */
+export const createLeague = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { name, visibility = "private", mode = "classic", competitionId, startGameweek, maxMembers } = req.body;
+    if (!name) return next(createError(400, "name required"));
+    if (!["private", "public"].includes(visibility)) return next(createError(400, "visibility must be 'private' or 'public'"));
+    if (!["classic", "h2h"].includes(mode)) return next(createError(400, "mode must be 'classic' or 'h2h'"));
+    if (competitionId && !mongoose.Types.ObjectId.isValid(String(competitionId))) {
+      return next(createError(400, "Invalid competitionId"));
+    }
+
+    const team = await findUserFantasyTeam(userId, competitionId ? { competitionId } : null);
+
+    // default start: the next gameweek whose deadline is still open
+    let start = Number(startGameweek);
+    if (!Number.isFinite(start) || start < 1) {
+      const upcomingFilter = { deadline: { $ne: null, $gt: new Date() } };
+      if (competitionId) upcomingFilter.competitionId = competitionId;
+      const upcoming = await Gameweek.findOne(upcomingFilter).sort({ number: 1 }).lean().exec();
+      start = upcoming ? upcoming.number : 1;
+    }
+
+    const size = Number(maxMembers);
+    const league = await FantasyLeague.create({
+      name,
+      visibility,
+      mode,
+      code: await generateUniqueInviteCode(),
+      admin: userId,
+      competitionId: competitionId || null,
+      startGameweek: Math.floor(start),
+      maxMembers: Number.isFinite(size) && size >= 2 ? Math.min(Math.floor(size), MAX_LEAGUE_MEMBERS) : MAX_LEAGUE_MEMBERS,
+      members: [{ fantasyTeam: team._id, user: userId, joinedAt: new Date() }],
+    });
+
+    return res.status(201).json({ success: true, data: league });
+  } catch (err) {
+    console.error("[createLeague] error:", err);
+    next(err);
+  }
+};
+
+/**
+ * List public leagues.
+ * Query params: competitionId?
+ */
+export const getPublicLeagues = async (req, res, next) => {
+  try {
+    const { competitionId } = req.query;
+    const filter = { visibility: "public" };
+    if (competitionId) filter.competitionId = competitionId;
+    const leagues = await FantasyLeague.find(filter)
+      .select("name mode competitionId startGameweek maxMembers members createdAt")
+      .sort({ createdAt: -1 })
+      .lean()
+      .exec();
+    const data = leagues.map(({ members, ...rest }) => ({ ...rest, memberCount: (members || []).length }));
+    return res.status(200).json({ success: true, data });
+  } catch (err) {
+    console.error("[getPublicLeagues] error:", err);
+    next(err);
+  }
+};
+
+/**
+ * Leagues the logged in user belongs to.
+ */
+export const getMyLeagues = async (req, res, next) => {
+  try {
+    const leagues = await FantasyLeague.find({ "members.user": req.user.id }).sort({ createdAt: -1 }).lean().exec();
+    return res.status(200).json({ success: true, data: leagues });
+  } catch (err) {
+    console.error("[getMyLeagues] error:", err);
+    next(err);
+  }
+};
+
+/**
+ * Join a league using its invite code.
+ * Body: { code }
+ */
+export const joinLeagueByCode = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const code = String(req.body.code || "").trim().toUpperCase();
+    if (!code) return next(createError(400, "code required"));
+
+    const league = await FantasyLeague.findOne({ code }).exec();
+    if (!league) return next(createError(404, "No league found for this code"));
+
+    const team = await findUserFantasyTeam(userId, league);
+    await addMemberToLeague(league, team, userId);
+    return res.status(200).json({ success: true, data: league });
+  } catch (err) {
+    console.error("[joinLeagueByCode] error:", err);
+    next(err);
+  }
+};
+
+/**
+ * Join a public league directly.
+ */
+export const joinPublicLeague = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const league = await findLeagueOr404(req.params.id);
+    if (league.visibility !== "public") return next(createError(403, "This league can only be joined with an invite code"));
+
+    const team = await findUserFantasyTeam(userId, league);
+    await addMemberToLeague(league, team, userId);
+    return res.status(200).json({ success: true, data: league });
+  } catch (err) {
+    console.error("[joinPublicLeague] error:", err);
+    next(err);
+  }
+};
+
+/**
+ * Leave a league. The league admin must hand over or delete the league instead.
+ */
+export const leaveLeague = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const league = await findLeagueOr404(req.params.id);
+    if (String(league.admin) === String(userId)) {
+      return next(createError(400, "League admin cannot leave the league"));
+    }
+
+    const before = league.members.length;
+    league.members = league.members.filter((m) => String(m.user) !== String(userId));
+    if (league.members.length === before) return next(createError(400, "You are not a member of this league"));
+
+    await repairAfterMembershipChange(league);
+    await league.save();
+    return res.status(200).json({ success: true, message: "You have left the league" });
+  } catch (err) {
+    console.error("[leaveLeague] error:", err);
+    next(err);
+  }
+};
+
+/**
+ * Remove a member (league admin only).
+ * Params: id (league), fantasyTeamId
+ */
+export const kickMember = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { fantasyTeamId } = req.params;
+    const league = await findLeagueOr404(req.params.id);
+    if (String(league.admin) !== String(userId)) return next(createError(403, "Only the league admin can remove members"));
+
+    const target = league.members.find((m) => String(m.fantasyTeam) === String(fantasyTeamId));
+    if (!target) return next(createError(404, "Team is not a member of this league"));
+    if (String(target.user) === String(userId)) return next(createError(400, "League admin cannot remove themselves"));
+
+    league.members = league.members.filter((m) => String(m.fantasyTeam) !== String(fantasyTeamId));
+    await repairAfterMembershipChange(league);
+    await league.save();
+    return res.status(200).json({ success: true, message: "Member removed", data: league });
+  } catch (err) {
+    console.error("[kickMember] error:", err);
+    next(err);
+  }
+};
+
+/**
+ * Current standings of a league (read-only: h2h pairings as stored).
+ * classic: ranked by total points since startGameweek
+ * h2h: ranked by league points (3 win / 1 draw / 0 loss), then total fantasy points scored
+ */
+export async function computeLeagueStandings(league) {
+  const { gameweeks } = await loadLeagueGameweeks(league);
+
+  const teamsById = await loadTeamsForLeague(league);
+  if (league.mode === "h2h") {
+    const state = new Map(gameweeks.map((gw) => [gw.number, gw]));
+    return buildH2HStandings(league, teamsById, buildH2HResults(league, teamsById, state));
+  }
+  return buildClassicStandings(league, teamsById, gameweeks);
+}
+
+/**
+ * League details and standings.
+ * Query params: season? (season number or id of the league's competition; past seasons come from the archive)
+ */
+export const getLeagueStandings = async (req, res, next) => {
+  try {
+    const league = await findLeagueOr404(req.params.id);
+    const { h2hMatches, ...leagueInfo } = league.toObject();
+
+    if (req.query.season != null && req.query.season !== "") {
+      if (!league.competitionId) return next(createError(400, "This league is not tied to a competition"));
+      const scope = await resolveSeason(league.competitionId, req.query.season);
+      if (scope.archived) {
+        const season = await Season.findById(scope.season._id).select("archive.fantasyLeagues").lean().exec();
+        const archived = (season?.archive?.fantasyLeagues || []).find((l) => String(l.league) === String(league._id));
+        if (!archived) return next(createError(404, "This league has no standings for that season"));
+        return res.status(200).json({ success: true, data: { league: leagueInfo, season: scope.number, standings: archived.standings } });
+      }
+    }
+
+    const standings = await computeLeagueStandings(league);
+    return res.status(200).json({ success: true, data: { league: leagueInfo, standings } });
+  } catch (err) {
+    console.error("[getLeagueStandings] error:", err);
+    next(err);
+  }
+};
+
+/**
+ * Head-to-head fixtures (with scores once the gameweek has started).
+ * Query params: gameweek?
+ */
+export const getLeagueFixtures = async (req, res, next) => {
+  try {
+    const league = await findLeagueOr404(req.params.id);
+    if (league.mode !== "h2h") return next(createError(400, "Fixtures are only available for head-to-head leagues"));
+
+    const { gameweeks } = await loadLeagueGameweeks(league);
+
+    const teamsById = await loadTeamsForLeague(league);
+    const state = new Map(gameweeks.map((gw) => [gw.number, gw]));
+    let fixtures = buildH2HResults(league, teamsById, state);
+
+    if (req.query.gameweek != null) {
+      const gwNumber = parseInt(req.query.gameweek, 10);
+      if (!Number.isFinite(gwNumber)) return next(createError(400, "gameweek must be a number"));
+      fixtures = fixtures.filter((f) => f.gameweek === gwNumber);
+    }
+
+    return res.status(200).json({ success: true, data: fixtures });
+  } catch (err) {
+    console.error("[getLeagueFixtures] error:", err);
+    next(err);
+  }
+};
+
+/**
+ * Per-gameweek results for a league.
+ * classic: every member's points for the gameweek, ranked
+ * h2h: the gameweek's pairings with scores and results
+ */
+export const getLeagueGameweekResults = async (req, res, next) => {
+  try {
+    const gwNumber = parseInt(req.params.gameweek, 10);
+    if (!Number.isFinite(gwNumber)) return next(createError(400, "gameweek must be a number"));
+
+    const league = await findLeagueOr404(req.params.id);
+    const { gameweeks } = await loadLeagueGameweeks(league);
+    const gwState = gameweeks.find((gw) => gw.number === gwNumber);
+    if (!gwState) return next(createError(404, "Gameweek not part of this league"));
+
+    const teamsById = await loadTeamsForLeague(league);
+
+    if (league.mode === "h2h") {
+      const state = new Map(gameweeks.map((gw) => [gw.number, gw]));
+      const results = buildH2HResults(league, teamsById, state).filter((r) => r.gameweek === gwNumber);
+      return res.status(200).json({ success: true, data: { gameweek: gwNumber, finished: gwState.finished, results } });
+    }
+
+    const results = (league.members || [])
+      .map((m) => {
+        const team = teamsById.get(String(m.fantasyTeam));
+        return {
+          fantasyTeam: String(m.fantasyTeam),
+          teamName: team?.teamName ?? null,
+          points: gwState.started ? readGameweekPoints(team, gwNumber) : null,
+        };
+      })
+      .sort((a, b) => Number(b.points || 0) - Number(a.points || 0))
+      .map((row, i) => ({ rank: i + 1, ...row }));
+
+    return res.status(200).json({ success: true, data: { gameweek: gwNumber, finished: gwState.finished, results } });
+  } catch (err) {
+    console.error("[getLeagueGameweekResults] error:", err);
+    next(err);
+  }
+};
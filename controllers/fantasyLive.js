@@ -0,0 +1,217 @@
+// controllers/fantasyLive.js
+import mongoose from "mongoose";
+import { createError } from "../error.js";
+import Gameweek from "../models/Gameweek.js";
+import Player from "../models/Player.js";
+import FantasyTeam from "../models/Felteam.js";
+import {
+  buildMatchPerformances,
+  computeMatchPlayerPoints,
+  resolveLineupForGw,
+  scoreFantasyTeamForMatch,
+  loadGameweekMatches,
+} from "./fantasy.js";
+import { resolveScoringRulesetForMatch } from "./scoringRuleset.js";
+
+/* -----------------------
+   Helpers
+   ----------------------- */
+
+// a match counts as in progress once it kicked off or has any event recorded, until fulltime
+function isMatchInProgress(match, now = new Date()) {
+  if (match.fulltime) return false;
+  if (match.date && new Date(match.date) <= now) return true;
+  return ["goals", "cards", "substitutions"].some((k) => (match[k] || []).length > 0)
+    || (match.lineups?.home || []).length > 0
+    || (match.lineups?.away || []).length > 0;
+}
+
+/**
+ * Provisional player points for an in-progress match, using the current score and events.
+ * Read-only: nothing is written to Player.fantasyStats.
+ * Returns { [playerId]: points }
+ */
+export async function computeProvisionalPlayerPoints(match) {
+  const perfByPlayer = buildMatchPerformances(match);
+  const playerIds = Object.keys(perfByPlayer);
+  if (playerIds.length === 0) return {};
+
+  const players = await Player.find({ _id: { $in: playerIds } }).select("position team").lean().exec();
+  const playerMap = {};
+  players.forEach((p) => { playerMap[String(p._id)] = p; });
+
+  const ruleset = await resolveScoringRulesetForMatch(match);
+  return computeMatchPlayerPoints(match, perfByPlayer, playerMap, ruleset.rules);
+}
+
+// confirmed points of finished matches, as stored on the players when the match was processed
+async function loadConfirmedPlayerPoints(matchIds) {
+  const byMatch = {};
+  if (matchIds.length === 0) return byMatch;
+  const idSet = new Set(matchIds.map(String));
+  const scored = await Player.find({ "fantasyStats.match": { $in: matchIds } }).select("fantasyStats").lean().exec();
+  for (const p of scored) {
+    for (const stat of p.fantasyStats || []) {
+      const mid = String(stat.match);
+      if (!idSet.has(mid)) continue;
+      byMatch[mid] = byMatch[mid] || {};
+      byMatch[mid][String(p._id)] = Number(stat.points || 0);
+    }
+  }
+  return byMatch;
+}
+
+/**
+ * Provisional gameweek breakdown for one fantasy team.
+ * matchesById: { [matchId]: { status: "final"|"live", playerPoints } }
+ */
+function buildTeamBreakdown(ft, gameweekNumber, matchesById) {
+  const lineup = resolveLineupForGw(ft, gameweekNumber, { preferSnapshot: true });
+  const players = new Map();
+  let confirmed = 0;
+  let provisional = 0;
+
+  for (const [matchId, { status, playerPoints }] of Object.entries(matchesById)) {
+    const { total, contributors } = scoreFantasyTeamForMatch(ft, playerPoints, gameweekNumber, lineup);
+    if (status === "final") confirmed += total;
+    else provisional += total;
+
+    for (const c of contributors) {
+      const row = players.get(c.playerId) || {
+        playerId: c.playerId,
+        isStarting: c.isStarting,
+        isCaptain: c.isCaptain,
+        isVice: c.isVice,
+        points: 0,
+        countedPoints: 0,
+        matches: [],
+      };
+      row.points += c.points;
+      row.countedPoints += c.countedPoints;
+      row.matches.push({ matchId, status, points: c.points, countedPoints: c.countedPoints });
+      players.set(c.playerId, row);
+    }
+  }
+
+  return {
+    fantasyTeamId: String(ft._id),
+    teamName: ft.teamName,
+    user: ft.user,
+    gameweek: Number(gameweekNumber),
+    confirmedPoints: confirmed,
+    provisionalPoints: provisional,
+    total: confirmed + provisional,
+    players: Array.from(players.values()).sort((a, b) => b.countedPoints - a.countedPoints),
+  };
+}
+
+/**
+ * Provisional points of every fantasy team holding a player from an in-progress match (for the live channel).
+ * Returns { gameweekNumber, teams: [{ fantasyTeamId, points }] }
+ */
+export async function computeProvisionalTeamPointsForMatch(match, gameweekNumber) {
+  const playerPoints = await computeProvisionalPlayerPoints(match);
+  const playerIds = Object.keys(playerPoints);
+  if (playerIds.length === 0 || gameweekNumber == null) return { gameweekNumber, teams: [] };
+
+  const ids = playerIds.map((pid) => new mongoose.Types.ObjectId(pid));
+  const gwKey = String(gameweekNumber);
+  const fantasyTeams = await FantasyTeam.find({
+    $or: [
+      { "players.player": { $in: ids } },
+      { [`lineupSnapshots.${gwKey}.starting`]: { $in: ids } },
+    ],
+  }).exec();
+
+  const teams = [];
+  for (const ft of fantasyTeams) {
+    if (ft.effectiveGameweek && ft.effectiveGameweek > gameweekNumber) continue;
+    const lineup = resolveLineupForGw(ft, gameweekNumber, { preferSnapshot: true });
+    const { total } = scoreFantasyTeamForMatch(ft, playerPoints, gameweekNumber, lineup);
+    teams.push({ fantasyTeamId: String(ft._id), points: total });
+  }
+  return { gameweekNumber, teams };
+}
+
+/* -----------------------
+   Controller actions
+   ----------------------- */
+
+/**
+ * GET /api/fantasy/live/:gameweek   (":gameweek" may be "current")
+ * Query: fantasyTeamId?, competitionId? (defaults to the fantasy team's; "current" is the latest started gameweek of it)
+ * Each fantasy team's gameweek total so far: confirmed points from finished matches plus
+ * provisional points from matches in progress, with a per-player breakdown.
+ * No season query: gameweek numbers keep counting up across seasons, so a gameweek is in one season only.
+ */
+export const getLiveGameweekPoints = async (req, res, next) => {
+  try {
+    const { fantasyTeamId } = req.query;
+    let { competitionId } = req.query;
+    if (fantasyTeamId && !mongoose.Types.ObjectId.isValid(String(fantasyTeamId))) {
+      return next(createError(400, "Invalid fantasyTeamId"));
+    }
+    if (competitionId && !mongoose.Types.ObjectId.isValid(String(competitionId))) {
+      return next(createError(400, "Invalid competitionId"));
+    }
+    // a single team is scored in its own competition's gameweek
+    if (fantasyTeamId && !competitionId) {
+      const ft = await FantasyTeam.findById(fantasyTeamId).select("competitionId").lean().exec();
+      if (!ft) return next(createError(404, "Fantasy team not found"));
+      competitionId = ft.competitionId ? String(ft.competitionId) : null;
+    }
+
+    let gameweekNumber = null;
+    if (String(req.params.gameweek).toLowerCase() === "current") {
+      const gwFilter = { deadline: { $ne: null, $lte: new Date() } };
+      if (competitionId) gwFilter.competitionId = competitionId;
+      const current = await Gameweek.findOne(gwFilter).sort({ deadline: -1 }).lean().exec();
+      if (!current) return next(createError(404, "No gameweek has started yet"));
+      gameweekNumber = current.number;
+    } else {
+      gameweekNumber = parseInt(req.params.gameweek, 10);
+      if (!Number.isFinite(gameweekNumber) || gameweekNumber < 1) return next(createError(400, "Invalid gameweek"));
+    }
+
+    const { matches } = await loadGameweekMatches(gameweekNumber, { competitionId });
+    const now = new Date();
+    const finished = matches.filter((m) => m.fulltime);
+    const live = matches.filter((m) => isMatchInProgress(m, now));
+
+    const matchesById = {};
+    const confirmedByMatch = await loadConfirmedPlayerPoints(finished.map((m) => m._id));
+    for (const m of finished) {
+      matchesById[String(m._id)] = { status: "final", playerPoints: confirmedByMatch[String(m._id)] || {} };
+    }
+    for (const m of live) {
+      matchesById[String(m._id)] = { status: "live", playerPoints: await computeProvisionalPlayerPoints(m) };
+    }
+
+    const filter = { $or: [{ effectiveGameweek: null }, { effectiveGameweek: { $lte: gameweekNumber } }] };
+    if (fantasyTeamId) filter._id = fantasyTeamId;
+    if (competitionId) filter.competitionId = competitionId;
+    const fantasyTeams = await FantasyTeam.find(filter).populate("user", "username").exec();
+    if (fantasyTeamId && fantasyTeams.length === 0) return next(createError(404, "Fantasy team not found"));
+
+    const teams = fantasyTeams
+      .map((ft) => buildTeamBreakdown(ft, gameweekNumber, matchesById))
+      .sort((a, b) => b.total - a.total);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        gameweek: gameweekNumber,
+        matches: matches.map((m) => ({
+          matchId: String(m._id),
+          status: m.fulltime ? "final" : isMatchInProgress(m, now) ? "live" : "upcoming",
+          homeScore: m.homeScore ?? 0,
+          awayScore: m.awayScore ?? 0,
+        })),
+        teams,
+      },
+    });
+  } catch (err) {
+    console.error("[getLiveGameweekPoints] error:", err);
+    next(err);
+  }
+};
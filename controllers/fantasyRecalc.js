@@ -0,0 +1,320 @@
+// controllers/fantasyRecalc.js
+import mongoose from "mongoose";
+import { createError } from "../error.js";
+import User from "../models/User.js";
+import Player from "../models/Player.js";
+import Team from "../models/Team.js";
+import Match from "../models/Match.js";
+import Fixture from "../models/Fixtures.js";
+import FantasyTeam from "../models/Felteam.js";
+import Gameweek from "../models/Gameweek.js";
+import {
+  buildMatchPerformances,
+  resolveGameweekNumberForMatch,
+  computeMatchPlayerPoints,
+  resolveLineupForGw,
+  scoreFantasyTeamForMatch,
+  rebuildFantasyTeamTotals,
+  loadGameweekMatches,
+  buildAutoSubContext,
+  applyAutoSubsToTeam,
+} from "./fantasy.js";
+import { resolveScoringRulesetForMatch } from "./scoringRuleset.js";
+import { resolveSeason, seasonGameweekFilter } from "./seasonScope.js";
+
+/* -----------------------
+   Helpers
+   ----------------------- */
+
+function asNumber(value) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : 0;
+}
+
+function mapToObject(value) {
+  if (!value) return {};
+  if (typeof value.entries === "function") return Object.fromEntries(value.entries());
+  return { ...value };
+}
+
+/**
+ * Every fulltime match of a competition's current season: linked through the season's fixtures, or
+ * played between teams registered to the competition since the season started (and not linked to
+ * another fixture). Earlier seasons were archived and taken off the totals, so they are left alone.
+ * Ordered by kick-off so snapshots/gameweeks resolve the same way they did live.
+ */
+async function loadCompetitionFulltimeMatches(competitionId) {
+  const scope = await resolveSeason(competitionId);
+  const seasonGwIds = await Gameweek.find({ competitionId, ...seasonGameweekFilter(scope) }).distinct("_id").exec();
+  const fixtureMatchIds = await Fixture.find({ competitionId, gameweek: { $in: seasonGwIds }, match: { $ne: null } }).distinct("match").exec();
+  const teamIds = await Team.find({ competitionId }).distinct("_id").exec();
+
+  const ownTeamMatches = { homeTeam: { $in: teamIds }, awayTeam: { $in: teamIds } };
+  if (scope.season) ownTeamMatches.createdAt = { $gte: scope.season.startedAt };
+  const candidates = await Match.find({
+    fulltime: true,
+    $or: [{ _id: { $in: fixtureMatchIds } }, ownTeamMatches],
+  })
+    .lean()
+    .exec();
+
+  // fixture-linked matches of other competitions or of earlier seasons of this one
+  const seasonIds = new Set(fixtureMatchIds.map(String));
+  const unlinked = candidates.filter((m) => !seasonIds.has(String(m._id))).map((m) => m._id);
+  const linkedElsewhere = unlinked.length > 0
+    ? new Set((await Fixture.find({ match: { $in: unlinked } }).distinct("match").exec()).map(String))
+    : new Set();
+  const matches = candidates.filter((m) => seasonIds.has(String(m._id)) || !linkedElsewhere.has(String(m._id)));
+
+  matches.sort((a, b) => {
+    const da = a.date ? new Date(a.date).getTime() : 0;
+    const db = b.date ? new Date(b.date).getTime() : 0;
+    if (da !== db) return da - db;
+    return new Date(a.createdAt).getTime() - new Date(b.createdAt).getTime();
+  });
+  return matches;
+}
+
+/**
+ * Rebuild fantasy points for a competition's current season from raw Match events.
+ *
+ * - Player.fantasyStats entries for the competition's matches are recomputed (entries for other
+ *   matches are kept) and totalFantasyPoints is re-summed from fantasyStats.
+ * - FantasyTeam.matchPoints entries for those matches are recomputed using the lineup snapshot
+ *   stored for the gameweek (falling back to the current lineup), auto-subs are redone for completed
+ *   gameweeks, then gameweekPoints/points are rebuilt.
+ * - Each match keeps the scoring ruleset recorded when it was first processed.
+ *
+ * dryRun (default true) computes everything in memory and only returns the diff report.
+ */
+export async function recalculateCompetitionFantasy(competitionId, { dryRun = true } = {}) {
+  if (!competitionId || !mongoose.Types.ObjectId.isValid(String(competitionId))) {
+    throw createError(400, "Valid competitionId is required");
+  }
+
+  const matches = await loadCompetitionFulltimeMatches(competitionId);
+  const matchIds = matches.map((m) => m._id);
+  const matchIdSet = new Set(matchIds.map(String));
+
+  // 1) Per-match player points from raw events
+  const perMatch = [];
+  const involvedIds = new Set();
+  for (const match of matches) {
+    const perfByPlayer = buildMatchPerformances(match);
+    Object.keys(perfByPlayer).forEach((id) => involvedIds.add(id));
+    perMatch.push({ match, perfByPlayer });
+  }
+
+  const involvedPlayers = await Player.find({ _id: { $in: Array.from(involvedIds) } }).populate("team").lean().exec();
+  const playerMap = {};
+  involvedPlayers.forEach((p) => { playerMap[String(p._id)] = p; });
+
+  const newStatsByPlayer = {};
+  for (const entry of perMatch) {
+    const { match, perfByPlayer } = entry;
+    entry.gameweekNumber = match.gameweek != null ? Number(match.gameweek) : await resolveGameweekNumberForMatch(match);
+    entry.ruleset = await resolveScoringRulesetForMatch(match);
+    entry.playerPoints = computeMatchPlayerPoints(match, perfByPlayer, playerMap, entry.ruleset.rules);
+
+    for (const [pid, pts] of Object.entries(entry.playerPoints)) {
+      newStatsByPlayer[pid] = newStatsByPlayer[pid] || [];
+      newStatsByPlayer[pid].push({
+        match: match._id,
+        gameweek: entry.gameweekNumber,
+        points: pts,
+        ruleset: entry.ruleset.rulesetId,
+        rulesetVersion: entry.ruleset.version,
+      });
+    }
+  }
+
+  // 2) Players: replace competition entries, keep the rest, re-sum totals
+  const playerDocs = await Player.find({
+    $or: [{ _id: { $in: Array.from(involvedIds) } }, { "fantasyStats.match": { $in: matchIds } }],
+  }).exec();
+
+  const playerUpdates = [];
+  const playerDiffs = [];
+  for (const player of playerDocs) {
+    const pid = String(player._id);
+    const existing = (player.fantasyStats || []).map((e) => (e.toObject ? e.toObject() : e));
+    const createdAtByMatch = new Map(existing.map((e) => [String(e.match), e.createdAt]));
+    const kept = existing.filter((e) => !matchIdSet.has(String(e.match)));
+    const rebuilt = (newStatsByPlayer[pid] || []).map((e) => ({ ...e, createdAt: createdAtByMatch.get(String(e.match)) || new Date() }));
+    const fantasyStats = kept.concat(rebuilt);
+    const totalFantasyPoints = fantasyStats.reduce((sum, e) => sum + asNumber(e.points), 0);
+
+    const before = asNumber(player.totalFantasyPoints);
+    const beforeCompetition = existing.filter((e) => matchIdSet.has(String(e.match))).reduce((s, e) => s + asNumber(e.points), 0);
+    const afterCompetition = rebuilt.reduce((s, e) => s + asNumber(e.points), 0);
+    if (before !== totalFantasyPoints || beforeCompetition !== afterCompetition) {
+      playerDiffs.push({
+        playerId: pid,
+        name: player.name,
+        before,
+        after: totalFantasyPoints,
+        delta: totalFantasyPoints - before,
+      });
+    }
+    playerUpdates.push({
+      updateOne: { filter: { _id: player._id }, update: { $set: { fantasyStats, totalFantasyPoints } } },
+    });
+  }
+
+  // 3) Fantasy teams: recompute matchPoints for competition matches
+  const teamFilter = [{ "players.player": { $in: Array.from(involvedIds) } }];
+  for (const id of matchIds) teamFilter.push({ [`matchPoints.${String(id)}`]: { $exists: true } });
+  const fantasyTeams = matchIds.length ? await FantasyTeam.find({ $or: teamFilter }).exec() : [];
+
+  const beforeByTeam = new Map();
+  for (const ft of fantasyTeams) {
+    beforeByTeam.set(String(ft._id), { points: asNumber(ft.points), gameweekPoints: mapToObject(ft.gameweekPoints) });
+
+    const matchPoints = mapToObject(ft.matchPoints);
+    for (const key of Object.keys(matchPoints)) {
+      if (matchIdSet.has(key)) delete matchPoints[key];
+    }
+
+    for (const { match, playerPoints, gameweekNumber } of perMatch) {
+      if (ft.effectiveGameweek && gameweekNumber && ft.effectiveGameweek > gameweekNumber) continue;
+
+      const lineup = resolveLineupForGw(ft, gameweekNumber, { preferSnapshot: true });
+      const squadIds = new Set(lineup.squad || (ft.players || []).map((pe) => String(pe.player)));
+      for (const pid of lineup.starting) squadIds.add(pid);
+      if (!Object.keys(playerPoints).some((pid) => squadIds.has(pid))) continue;
+
+      const { total, contributors } = scoreFantasyTeamForMatch(ft, playerPoints, gameweekNumber, lineup);
+      matchPoints[String(match._id)] = { points: total, gameweek: gameweekNumber, contributors };
+    }
+
+    ft.matchPoints = matchPoints;
+    rebuildFantasyTeamTotals(ft);
+  }
+
+  // Completed gameweeks: redo auto-subs, since who played may have changed
+  const pointsOverride = {};
+  for (const { match, playerPoints } of perMatch) pointsOverride[String(match._id)] = playerPoints;
+  const gameweekNumbers = Array.from(new Set(perMatch.map((e) => e.gameweekNumber).filter((gw) => gw != null)));
+  for (const gw of gameweekNumbers) {
+    const { matches: gwMatches, complete } = await loadGameweekMatches(gw, { competitionId });
+    if (!complete) continue;
+    const context = await buildAutoSubContext(gw, gwMatches, fantasyTeams, pointsOverride);
+    for (const ft of fantasyTeams) applyAutoSubsToTeam(ft, context);
+  }
+
+  const teamPointsByMatch = {};
+  const teamDiffs = [];
+  for (const ft of fantasyTeams) {
+    const before = beforeByTeam.get(String(ft._id));
+    const beforePoints = before.points;
+    const beforeGw = before.gameweekPoints;
+
+    const matchPoints = mapToObject(ft.matchPoints);
+    for (const matchId of matchIdSet) {
+      if (!matchPoints[matchId]) continue;
+      teamPointsByMatch[matchId] = teamPointsByMatch[matchId] || {};
+      teamPointsByMatch[matchId][String(ft._id)] = asNumber(matchPoints[matchId].points);
+    }
+
+    const afterPoints = asNumber(ft.points);
+    const afterGw = mapToObject(ft.gameweekPoints);
+    const gwKeys = Array.from(new Set([...Object.keys(beforeGw), ...Object.keys(afterGw)])).sort((a, b) => Number(a) - Number(b));
+    const gameweeks = gwKeys
+      .map((gw) => ({ gameweek: Number(gw), before: asNumber(beforeGw[gw]), after: asNumber(afterGw[gw]) }))
+      .filter((row) => row.before !== row.after)
+      .map((row) => ({ ...row, delta: row.after - row.before }));
+
+    if (afterPoints !== beforePoints || gameweeks.length > 0) {
+      teamDiffs.push({
+        fantasyTeamId: String(ft._id),
+        teamName: ft.teamName,
+        user: ft.user,
+        before: beforePoints,
+        after: afterPoints,
+        delta: afterPoints - beforePoints,
+        gameweeks,
+      });
+    }
+  }
+
+  teamDiffs.sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+  playerDiffs.sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+
+  const report = {
+    competitionId: String(competitionId),
+    dryRun: !!dryRun,
+    matchesProcessed: matches.length,
+    teamsChecked: fantasyTeams.length,
+    teamsChanged: teamDiffs.length,
+    playersChecked: playerDocs.length,
+    playersChanged: playerDiffs.length,
+    teams: teamDiffs,
+    players: playerDiffs,
+  };
+
+  if (dryRun) return report;
+
+  // 4) Commit everything in one transaction
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    if (playerUpdates.length > 0) await Player.bulkWrite(playerUpdates, { session });
+    for (const ft of fantasyTeams) await ft.save({ session });
+
+    for (const { match, gameweekNumber, ruleset } of perMatch) {
+      const update = {
+        fantasyProcessed: true,
+        fantasyTeamPoints: teamPointsByMatch[String(match._id)] || {},
+        scoringRuleset: ruleset.rulesetId,
+        scoringRulesetVersion: ruleset.version,
+      };
+      if (gameweekNumber != null) update.gameweek = gameweekNumber;
+      await Match.updateOne({ _id: match._id }, { $set: update }).session(session).exec();
+    }
+
+    await session.commitTransaction();
+    session.endSession();
+  } catch (err) {
+    try {
+      await session.abortTransaction();
+    } catch (e) {
+      /* ignore */
+    }
+    session.endSession();
+    throw err;
+  }
+
+  return report;
+}
+
+/* -----------------------
+   Controller actions
+   ----------------------- */
+
+/**
+ * POST /api/fantasy/recalculate (admin)
+ * Body: { competitionId, dryRun?: boolean }
+ *
+ * Defaults to a dry run returning the per-team diff; send dryRun: false to commit.
+ */
+export const recalculateFantasy = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).lean().exec();
+    if (!user || user.role !== "admin") {
+      return next(createError(403, "Only admins can recalculate fantasy points"));
+    }
+
+    const { competitionId, dryRun } = req.body;
+    const isDryRun = !(dryRun === false || String(dryRun).toLowerCase() === "false");
+    const report = await recalculateCompetitionFantasy(competitionId, { dryRun: isDryRun });
+
+    return res.status(200).json({
+      success: true,
+      message: isDryRun ? "Dry run complete, nothing was written" : "Fantasy points recalculated",
+      data: report,
+    });
+  } catch (err) {
+    console.error("[recalculateFantasy] error:", err);
+    next(err);
+  }
+};
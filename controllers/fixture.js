@@ -6,6 +6,8 @@ import Match from "../models/Match.js";
 import Team from "../models/Team.js";
 import User from "../models/User.js";
 import { createError } from "../error.js";
+import { ensureTeamCompetitionStats } from "./teamStats.js";
+import { resolveSeason, seasonGameweekFilter } from "./seasonScope.js";
 
 /* -----------------------
    Helpers
@@ -61,17 +63,26 @@ const validateTeams = async (teamIdsRaw) => {
   return teams; // array of team docs
 };
 
+const BYE = "__BYE__";
+
 /**
- * Generate round-robin rounds (circle method).
+ * Generate single round-robin rounds (circle method) with balanced home/away.
  * Accepts array of team id strings (already normalized).
+ *
+ * - the fixed team alternates home and away, every other board keeps its side, and the rounds
+ *   start at the third rotation: nobody gets three home (or away) games in a row, in one leg
+ *   or with the mirrored second leg appended (from 5 teams; with 4 it cannot be avoided).
+ *   A bye round ends a run.
+ * - odd team counts: the team sitting out a round gets { home: teamId, away: null, bye: true }
+ *   when includeByes is set (otherwise the bye is left out of the round)
  */
-function generateRoundRobinRounds(teamIdStrings) {
+function generateRoundRobinRounds(teamIdStrings, { includeByes = false } = {}) {
   const teams = teamIdStrings.map((t) => String(t));
   const n = teams.length;
   const isOdd = n % 2 === 1;
   const arr = teams.slice();
 
-  if (isOdd) arr.push("__BYE__");
+  if (isOdd) arr.push(BYE);
 
   const rounds = [];
   const m = arr.length;
@@ -80,31 +91,55 @@ function generateRoundRobinRounds(teamIdStrings) {
   for (let r = 0; r < roundsCount; r++) {
     const pairs = [];
     for (let i = 0; i < m / 2; i++) {
-      const a = arr[i];
-      const b = arr[m - 1 - i];
-      if (a === "__BYE__" || b === "__BYE__") {
-        // skip bye pair
+      let home = arr[i];
+      let away = arr[m - 1 - i];
+      // fixed team: home in odd rotations; boards 1, 3, 5... play the other way round
+      if (i === 0 ? r % 2 === 0 : i % 2 === 1) [home, away] = [away, home];
+
+      if (home === BYE || away === BYE) {
+        if (includeByes) pairs.push({ home: home === BYE ? away : home, away: null, bye: true });
         continue;
       }
-      pairs.push({ home: a, away: b });
+      pairs.push({ home, away });
     }
     rounds.push(pairs);
     // rotate (keep first)
     arr.splice(1, 0, arr.pop());
   }
 
-  return rounds;
+  const start = rounds.length > 2 ? 2 : 0;
+  return rounds.slice(start).concat(rounds.slice(0, start));
+}
+
+// second leg: same rounds in the same order with home and away swapped
+function mirrorRounds(rounds) {
+  return rounds.map((pairs) => pairs.map((p) => (p.bye ? { ...p } : { home: p.away, away: p.home })));
 }
 
 /**
  * Create matches & fixtures for a single round (one gameweek)
- * roundPairs: array of { home: "id", away: "id" } (strings)
+ * roundPairs: array of { home: "id", away: "id" } (strings), or { home: "id", bye: true } for a team sitting out
  * competitionOid: ObjectId
  */
 async function createRoundMatchesAndFixtures(roundPairs = [], competitionOid) {
   const createdFixtureIds = [];
 
   for (const pair of roundPairs) {
+    if (pair.bye) {
+      const teamId = normalizeIdToString(pair.home);
+      if (!teamId) continue;
+      const byeFixture = await Fixture.create({
+        gameweek: null,
+        homeTeam: new mongoose.Types.ObjectId(teamId),
+        awayTeam: null,
+        bye: true,
+        match: null,
+        competitionId: competitionOid,
+      });
+      createdFixtureIds.push(byeFixture._id);
+      continue;
+    }
+
     const homeId = normalizeIdToString(pair.home);
     const awayId = normalizeIdToString(pair.away);
     if (!homeId || !awayId) continue;
@@ -139,20 +174,45 @@ async function createRoundMatchesAndFixtures(roundPairs = [], competitionOid) {
   return createdFixtureIds;
 }
 
+/**
+ * Create the regular-season gameweek for one round and link its fixtures to it.
+ */
+async function createRoundGameweek(roundPairs, competitionOid, number) {
+  const fixtureIds = await createRoundMatchesAndFixtures(roundPairs, competitionOid);
+
+  const savedGw = await Gameweek.create({
+    number,
+    fixtures: fixtureIds,
+    competitionId: competitionOid,
+    stage: "regular",
+  });
+
+  await Fixture.updateMany({ _id: { $in: fixtureIds } }, { $set: { gameweek: savedGw._id } }).exec();
+  return savedGw;
+}
+
 /* -----------------------
    generateFixturesAuto (improved)
    ----------------------- */
 
+/**
+ * POST /api/fixtures/generate
+ * Body: { teams, competitionId, legs?: 1|2 (default 2), roundsToGenerate?, createPlaceholders? }
+ * Full (double) round-robin: one gameweek per round, a bye fixture for the team sitting out
+ * when the team count is odd, and the second leg mirrored to the first in the same round order.
+ * roundsToGenerate caps the number of gameweeks created (default: every round).
+ */
 export const generateFixturesAuto = async (req, res, next) => {
   try {
     await checkAdminRole(req.user.id);
 
-    const { teams: teamIdsRaw, competitionId, roundsToGenerate, createPlaceholders = false } = req.body;
+    const { teams: teamIdsRaw, competitionId, roundsToGenerate, legs = 2, createPlaceholders = false } = req.body;
 
     if (!Array.isArray(teamIdsRaw) || teamIdsRaw.length < 2) {
       return next(createError(400, "teams must be an array of at least 2 team IDs"));
     }
     if (!competitionId) return next(createError(400, "competitionId is required"));
+    if (![1, 2].includes(Number(legs))) return next(createError(400, "legs must be 1 or 2"));
 
     // Normalize competition id and create OID
     let competitionOid;
@@ -167,11 +227,14 @@ export const generateFixturesAuto = async (req, res, next) => {
 
     // normalize team ids to simple strings for scheduling
     const teamIdStrings = teamIdsRaw.map((t) => normalizeIdToString(t)).filter(Boolean);
+    if (new Set(teamIdStrings).size !== teamIdStrings.length) return next(createError(400, "teams must not contain duplicates"));
+    await ensureTeamCompetitionStats(teamIdStrings, competitionOid);
 
-    // Build round-robin schedule
-    const rounds = generateRoundRobinRounds(teamIdStrings);
+    // Build round-robin schedule (second leg mirrored)
+    const firstLeg = generateRoundRobinRounds(teamIdStrings, { includeByes: true });
+    const rounds = Number(legs) === 2 ? firstLeg.concat(mirrorRounds(firstLeg)) : firstLeg;
     const roundsCountAvailable = rounds.length;
-    const R = roundsToGenerate ? Math.min(roundsToGenerate, roundsCountAvailable) : Math.min(5, roundsCountAvailable);
+    const R = roundsToGenerate ? Math.min(roundsToGenerate, roundsCountAvailable) : roundsCountAvailable;
 
     // find next gameweek number for this competition
     // use competitionOid for correctness
@@ -182,27 +245,13 @@ export const generateFixturesAuto = async (req, res, next) => {
 
     // Generate R regular-season rounds
     for (let roundIndex = 0; roundIndex < R; roundIndex++) {
-      const roundPairs = rounds[roundIndex] || [];
-
-      // create matches & fixtures for this round
-      const fixtureIds = await createRoundMatchesAndFixtures(roundPairs, competitionOid);
-
-      // create gameweek document (store competitionId as ObjectId)
-      const savedGw = await Gameweek.create({
-        number: nextNumber,
-        fixtures: fixtureIds,
-        competitionId: competitionOid,
-        stage: "regular",
-      });
-
-      // attach gameweek id to fixtures
-      await Fixture.updateMany({ _id: { $in: fixtureIds } }, { $set: { gameweek: savedGw._id } }).exec();
-
+      const savedGw = await createRoundGameweek(rounds[roundIndex] || [], competitionOid, nextNumber);
       createdGameweeks.push(savedGw);
       nextNumber += 1;
     }
 
-    // Optionally create placeholders for playoff/semifinal/final (admin fills later)
+    // Optionally create placeholders for playoff/semifinal/final
+    // (seeded from the table by the bracket engine once the regular stage is complete, or filled by hand)
     const placeholders = [];
     if (createPlaceholders) {
       // Playoff (2 fixtures: 3v6 and 4v5) -> create placeholders
@@ -273,7 +322,7 @@ export const generateFixturesAuto = async (req, res, next) => {
 
     return res.status(201).json({
       success: true,
-      message: `Generated ${createdGameweeks.length} regular gameweeks${createPlaceholders ? " and placeholders" : ""}`,
+      message: `Generated ${createdGameweeks.length} regular gameweeks (${Number(legs)} leg${Number(legs) === 2 ? "s" : ""})${createPlaceholders ? " and placeholders" : ""}`,
       gameweeks: createdGameweeks,
       placeholders,
     });
@@ -284,6 +333,65 @@ export const generateFixturesAuto = async (req, res, next) => {
 };
 
 
+/**
+ * Append the second leg to a competition whose regular season (current season) has one leg so far.
+ * POST /api/fixtures/second-leg
+ * Body: { competitionId }
+ * Every regular gameweek is mirrored (home and away swapped, byes kept) into new gameweeks, in the same order.
+ */
+export const appendSecondLeg = async (req, res, next) => {
+  try {
+    await checkAdminRole(req.user.id);
+
+    const { competitionId } = req.body;
+    let competitionOid;
+    try {
+      competitionOid = toObjectId(competitionId);
+    } catch (err) {
+      return next(createError(400, "Invalid competitionId"));
+    }
+
+    const season = await resolveSeason(competitionOid);
+    const gameweeks = await Gameweek.find({ competitionId: competitionOid, ...seasonGameweekFilter(season) })
+      .sort({ number: 1 })
+      .populate("fixtures")
+      .lean()
+      .exec();
+    const regular = gameweeks.filter((gw) => gw.stage === "regular");
+    if (regular.length === 0) return next(createError(404, "No regular-season gameweeks found for this competition"));
+    const lastGw = gameweeks[gameweeks.length - 1];
+    if (lastGw.stage !== "regular") {
+      return next(createError(409, "Knockout gameweeks already follow the regular season"));
+    }
+
+    const firstLeg = regular.map((gw) => (gw.fixtures || [])
+      .filter((f) => f && f.homeTeam && (f.bye || f.awayTeam))
+      .map((f) => (f.bye ? { home: String(f.homeTeam), away: null, bye: true } : { home: String(f.homeTeam), away: String(f.awayTeam) })));
+
+    // a pairing already played both ways means the second leg exists
+    const pairings = new Set(firstLeg.flat().filter((p) => !p.bye).map((p) => `${p.home}:${p.away}`));
+    const alreadyMirrored = firstLeg.flat().some((p) => !p.bye && pairings.has(`${p.away}:${p.home}`));
+    if (alreadyMirrored) return next(createError(409, "The second leg has already been generated"));
+
+    let nextNumber = lastGw.number + 1;
+    const createdGameweeks = [];
+    for (const roundPairs of mirrorRounds(firstLeg)) {
+      const savedGw = await createRoundGameweek(roundPairs, competitionOid, nextNumber);
+      createdGameweeks.push(savedGw);
+      nextNumber += 1;
+    }
+
+    return res.status(201).json({
+      success: true,
+      message: `Generated ${createdGameweeks.length} second-leg gameweeks`,
+      gameweeks: createdGameweeks,
+    });
+  } catch (err) {
+    console.error("[appendSecondLeg] error:", err);
+    next(err);
+  }
+};
+
 /**
  * Create fixtures manually (admin)
  * POST /api/fixtures/manual
@@ -354,6 +462,9 @@ export const createFixturesManually = async (req, res, next) => {
       nextNumber += 1;
     }
 
+    const fixtureTeamIds = gameweeks.flatMap((gw) => gw.fixtures.flatMap((f) => [f.homeTeam, f.awayTeam]));
+    await ensureTeamCompetitionStats(fixtureTeamIds.map(normalizeIdToString), toObjectId(competitionId));
+
     return res.status(201).json({ success: true, message: "Manual gameweeks created", createdGameweeks });
   } catch (err) {
     console.error("[createFixturesManually] error:", err);
@@ -377,6 +488,7 @@ export const generatePartialFixtures = async (req, res, next) => {
     if (!competitionId) return next(createError(400, "competitionId is required"));
 
     await validateTeams(teamIds);
+    await ensureTeamCompetitionStats(teamIds.map(normalizeIdToString), toObjectId(competitionId));
 
     const allRounds = generateRoundRobinRounds(teamIds);
     const roundsAvailable = allRounds.length;
@@ -544,6 +656,8 @@ export const fillKnockoutFixtures = async (req, res, next) => {
       if (!fixtureId || !homeTeam || !awayTeam) {
         return next(createError(400, "fixtureId, homeTeam and awayTeam are required for each pairing"));
       }
+      const existing = await Fixture.findById(fixtureId).select("bracket").lean().exec();
+      if (existing?.bracket) return next(createError(409, "This fixture is managed by the knockout bracket"));
 
       const match = await Match.create({
         homeTeam: mongoose.Types.ObjectId(homeTeam),
@@ -592,8 +706,13 @@ export const getPlaceholdersByCompetition = async (req, res, next) => {
     const { competitionId } = req.params;
     if (!competitionId) return next(createError(400, "competitionId is required"));
 
-    // find fixtures where match is null (placeholders)
-    const fixtures = await Fixture.find({ competitionId, match: null }).populate("gameweek").lean().exec();
+    // find fixtures where match is null (placeholders, not byes) in the season's gameweeks (?season=, default current)
+    const season = await resolveSeason(competitionId, req.query.season);
+    const seasonGws = await Gameweek.find({ competitionId, ...seasonGameweekFilter(season) }).distinct("_id").exec();
+    const fixtures = await Fixture.find({ competitionId, gameweek: { $in: seasonGws }, match: null, bye: { $ne: true } })
+      .populate("gameweek")
+      .lean()
+      .exec();
 
     const grouped = fixtures.reduce((acc, f) => {
       const stage = (f.gameweek && f.gameweek.stage) || "unknown";
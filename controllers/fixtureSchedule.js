@@ -0,0 +1,252 @@
+// controllers/fixtureSchedule.js
+import mongoose from "mongoose";
+import Gameweek from "../models/Gameweek.js";
+import Fixture from "../models/Fixtures.js";
+import Match, { MATCH_STATUS_TRANSITIONS, resolveMatchStatus, matchClock } from "../models/Match.js";
+import User from "../models/User.js";
+import { createError } from "../error.js";
+import { emitToMatch } from "../socket.js";
+
+/**
+ * Postponing and rescheduling fixtures.
+ * A postponed fixture stays in its gameweek without counting for it (no deadline, no auto-sub wait);
+ * rescheduling gives it a date and moves it to the gameweek it is played in, which may leave a blank
+ * gameweek behind and make a double one. Fantasy points follow the fixture's gameweek.
+ */
+
+// the deadline is this long before the first kick-off
+const DEADLINE_LEAD_MS = 60 * 60 * 1000;
+// matches that will not be played in their gameweek
+const NOT_PLAYED = ["postponed", "cancelled"];
+
+/**
+ * Deadline of a gameweek: an hour before its earliest kick-off, once every match still to be played
+ * in it has a date. Postponed and cancelled matches are left out.
+ * Returns { deadline, blank }: deadline is null while a date is missing or when nothing is left to play;
+ * blank when every fixture's match is postponed or cancelled (byes are left out; a fixture still waiting
+ * for its match keeps the gameweek from being blank).
+ */
+export async function computeGameweekDeadline(gameweek, session = null) {
+  const fixtureIds = (gameweek.fixtures || []).map((f) => f?._id ?? f);
+  const fixtures = await Fixture.find({ _id: { $in: fixtureIds }, bye: { $ne: true } }).select("match").session(session).lean().exec();
+  const matchIds = fixtures.filter((f) => f.match).map((f) => f.match);
+  const matches = await Match.find({ _id: { $in: matchIds } }).select("date status fulltime").session(session).lean().exec();
+  const played = matches.filter((m) => !NOT_PLAYED.includes(resolveMatchStatus(m)));
+  if (played.length === 0) return { deadline: null, blank: matchIds.length === fixtures.length };
+  if (played.some((m) => !m.date)) return { deadline: null, blank: false };
+  const earliest = Math.min(...played.map((m) => new Date(m.date).getTime()));
+  return { deadline: new Date(earliest - DEADLINE_LEAD_MS), blank: false };
+}
+
+/**
+ * Recompute the deadlines and blank flags of gameweeks whose lineups are not locked yet
+ * (a gameweek left with nothing to compute from keeps its deadline).
+ * Returns [{ gameweekId, number, deadline, blank }] for the gameweeks that changed.
+ */
+export async function refreshGameweekDeadlines(gameweekIds, session = null) {
+  const gameweeks = await Gameweek.find({ _id: { $in: gameweekIds }, lineupsLockedAt: null }).session(session).exec();
+  const changed = [];
+  for (const gameweek of gameweeks) {
+    const { deadline, blank } = await computeGameweekDeadline(gameweek, session);
+    const blankChanged = !!gameweek.blank !== blank;
+    const deadlineChanged = !!deadline && (!gameweek.deadline || gameweek.deadline.getTime() !== deadline.getTime());
+    if (!blankChanged && !deadlineChanged) continue;
+    gameweek.blank = blank;
+    if (deadlineChanged) gameweek.deadline = deadline;
+    await gameweek.save({ session });
+    changed.push({ gameweekId: String(gameweek._id), number: gameweek.number, deadline: gameweek.deadline, blank });
+  }
+  return changed;
+}
+
+// fixtures per team in a gameweek (ignoring postponed/cancelled): 0 = blank, 2+ = double
+async function countTeamFixtures(gameweekId, teamIds, session) {
+  const fixtures = await Fixture.find({ gameweek: gameweekId, match: { $ne: null } })
+    .select("homeTeam awayTeam match")
+    .populate("match", "status fulltime")
+    .session(session)
+    .lean()
+    .exec();
+  const counts = Object.fromEntries(teamIds.map((id) => [String(id), 0]));
+  for (const f of fixtures) {
+    if (!f.match || NOT_PLAYED.includes(resolveMatchStatus(f.match))) continue;
+    for (const side of [f.homeTeam, f.awayTeam]) {
+      if (side && Object.prototype.hasOwnProperty.call(counts, String(side))) counts[String(side)] += 1;
+    }
+  }
+  return counts;
+}
+
+async function loadFixtureWithMatch(fixtureId, session) {
+  if (!mongoose.Types.ObjectId.isValid(String(fixtureId))) throw createError(400, "Valid fixture id is required");
+  const fixture = await Fixture.findById(fixtureId).session(session).exec();
+  if (!fixture) throw createError(404, "Fixture not found");
+  if (!fixture.match) throw createError(409, "Fixture has no match yet");
+  const match = await Match.findById(fixture.match).session(session).exec();
+  if (!match) throw createError(404, "Match not found");
+  return { fixture, match };
+}
+
+async function checkAdmin(userId, session) {
+  const user = await User.findById(userId).session(session).lean().exec();
+  if (!user || user.role !== "admin") throw createError(403, "Unauthorized action. Only admin can perform this.");
+}
+
+async function runInTransaction(work) {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    const result = await work(session);
+    await session.commitTransaction();
+    session.endSession();
+    return result;
+  } catch (err) {
+    try {
+      await session.abortTransaction();
+    } catch (e) {
+      /* ignore */
+    }
+    session.endSession();
+    throw err;
+  }
+}
+
+/* -----------------------
+   Controller actions
+   ----------------------- */
+
+/**
+ * POST /api/fixture/:id/postpone (admin)
+ * Body: { reason? }
+ * The match goes to postponed; its gameweek's deadline no longer waits for it.
+ */
+export const postponeFixture = async (req, res, next) => {
+  try {
+    const result = await runInTransaction(async (session) => {
+      await checkAdmin(req.user.id, session);
+      const { fixture, match } = await loadFixtureWithMatch(req.params.id, session);
+
+      const from = resolveMatchStatus(match);
+      if (!MATCH_STATUS_TRANSITIONS[from].includes("postponed")) {
+        throw createError(409, `A ${from} match cannot be postponed`);
+      }
+      match.setStatus("postponed");
+      if (req.body?.reason) match.postponedReason = String(req.body.reason).trim();
+      await match.save({ session });
+
+      const deadlines = fixture.gameweek ? await refreshGameweekDeadlines([fixture.gameweek], session) : [];
+      return { fixture, match, from, deadlines };
+    });
+
+    const { fixture, match, from, deadlines } = result;
+    emitToMatch(match._id, "match:status", { status: "postponed", from, at: new Date(), clock: matchClock(match) });
+
+    return res.status(200).json({
+      success: true,
+      message: "Fixture postponed",
+      data: {
+        fixtureId: String(fixture._id),
+        matchId: String(match._id),
+        status: match.status,
+        reason: match.postponedReason ?? null,
+        deadlines,
+      },
+    });
+  } catch (err) {
+    console.error("[postponeFixture] error:", err);
+    next(err);
+  }
+};
+
+/**
+ * POST /api/fixture/:id/reschedule (admin)
+ * Body: { date, gameweek? } (gameweek number in the fixture's competition)
+ * Without a gameweek the fixture goes to the last gameweek whose deadline is before the new date
+ * (or stays where it is). A postponed match is scheduled again. Deadlines of both gameweeks are recomputed
+ * unless their lineups are already locked.
+ */
+export const rescheduleFixture = async (req, res, next) => {
+  try {
+    const result = await runInTransaction(async (session) => {
+      await checkAdmin(req.user.id, session);
+      const { fixture, match } = await loadFixtureWithMatch(req.params.id, session);
+
+      const { date, gameweek: gameweekNumber } = req.body || {};
+      const when = date ? new Date(date) : null;
+      if (!when || Number.isNaN(when.getTime())) throw createError(400, "A valid date is required");
+
+      const from = resolveMatchStatus(match);
+      if (!["scheduled", "postponed"].includes(from)) throw createError(409, `A ${from} match cannot be rescheduled`);
+
+      const source = fixture.gameweek ? await Gameweek.findById(fixture.gameweek).session(session).exec() : null;
+      const competitionId = fixture.competitionId ?? source?.competitionId ?? null;
+      const stage = source?.stage || "regular";
+
+      let target = source;
+      if (gameweekNumber != null) {
+        const number = Number(gameweekNumber);
+        if (!Number.isInteger(number) || number < 1) throw createError(400, "gameweek must be a positive integer");
+        target = await Gameweek.findOne({ competitionId, number }).session(session).exec();
+        if (!target) throw createError(404, `Gameweek ${number} not found in this competition`);
+      } else if (competitionId) {
+        const byDate = await Gameweek.findOne({ competitionId, stage, deadline: { $ne: null, $lte: when } })
+          .sort({ number: -1 })
+          .session(session)
+          .exec();
+        if (byDate) target = byDate;
+      }
+      if (target && (target.stage || "regular") !== stage) {
+        throw createError(409, `Cannot move a ${stage} fixture into a ${target.stage} gameweek`);
+      }
+
+      const moved = !!target && (!source || String(source._id) !== String(target._id));
+      if (moved) {
+        if (source) await Gameweek.updateOne({ _id: source._id }, { $pull: { fixtures: fixture._id } }).session(session).exec();
+        await Gameweek.updateOne({ _id: target._id }, { $addToSet: { fixtures: fixture._id } }).session(session).exec();
+        fixture.gameweek = target._id;
+        await fixture.save({ session });
+      }
+
+      match.date = when;
+      if (target) match.gameweek = target.number;
+      if (from === "postponed") match.setStatus("scheduled");
+      match.postponedReason = null;
+      await match.save({ session });
+
+      const touched = [source?._id, target?._id].filter(Boolean);
+      const deadlines = await refreshGameweekDeadlines(touched, session);
+
+      const teams = [fixture.homeTeam, fixture.awayTeam].filter(Boolean);
+      const sourceCounts = moved && source ? await countTeamFixtures(source._id, teams, session) : null;
+      const targetCounts = target ? await countTeamFixtures(target._id, teams, session) : null;
+
+      return { fixture, match, from, source, target, moved, deadlines, teams, sourceCounts, targetCounts };
+    });
+
+    const { fixture, match, from, source, target, moved, deadlines, teams, sourceCounts, targetCounts } = result;
+    if (from === "postponed") {
+      emitToMatch(match._id, "match:status", { status: "scheduled", from, at: new Date(), clock: matchClock(match) });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: moved ? `Fixture moved to gameweek ${target.number}` : "Fixture rescheduled",
+      data: {
+        fixtureId: String(fixture._id),
+        matchId: String(match._id),
+        date: match.date,
+        status: match.status,
+        fromGameweek: source?.number ?? null,
+        toGameweek: target?.number ?? null,
+        moved,
+        // teams left without a fixture in the old gameweek, and with two or more in the new one
+        blankIn: sourceCounts ? teams.filter((t) => sourceCounts[String(t)] === 0).map(String) : [],
+        doubleIn: targetCounts ? teams.filter((t) => targetCounts[String(t)] > 1).map(String) : [],
+        deadlines,
+      },
+    });
+  } catch (err) {
+    console.error("[rescheduleFixture] error:", err);
+    next(err);
+  }
+};
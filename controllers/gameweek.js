@@ -1,26 +1,25 @@
 import cron from "node-cron";
 import Gameweek from "../models/Gameweek.js";
-import Match from "../models/Match.js";
+import { lockLineupsForGameweek, revertFreeHitSquads } from "./fantasy.js";
+import { resetTransferDemand } from "./priceDemand.js";
+import { computeGameweekDeadline } from "./fixtureSchedule.js";
+import { syncH2HPairingsForCompetition } from "./fantasyLeague.js";
 
 // Cron job to check for deadlines
 cron.schedule("* * * * *", async () => { // Runs every minute
   try {
-    const gameweeks = await Gameweek.find({ deadline: null }).populate("fixtures");
+    const gameweeks = await Gameweek.find({ deadline: null, blank: { $ne: true } });
     for (const gameweek of gameweeks) {
-      const fixtureIds = gameweek.fixtures;
-      const matches = await Match.find({ _id: { $in: fixtureIds.map(f => f.match) } });
-
-      // If all matches have times set
-      if (matches.every(match => match.date)) {
-        // Find the earliest match time
-        const earliestMatch = matches.reduce((earliest, match) =>
-          match.date < earliest.date ? match : earliest
-        );
-
-        // Set the deadline to 1 hour before the earliest match
-        const deadline = new Date(earliestMatch.date);
-        deadline.setHours(deadline.getHours() - 1);
+      // 1 hour before the earliest match, once every match still played in it has a time
+      // (postponed and cancelled matches no longer hold it up)
+      const { deadline, blank } = await computeGameweekDeadline(gameweek);
+      if (blank) {
+        // nothing left to play: skipped until a fixture is rescheduled into it
+        gameweek.blank = true;
+        await gameweek.save();
 
+        console.log(`Gameweek ${gameweek.number} is blank: every match in it is postponed or cancelled`);
+      } else if (deadline) {
         gameweek.deadline = deadline;
         await gameweek.save();
 
@@ -30,4 +29,26 @@ cron.schedule("* * * * *", async () => { // Runs every minute
   } catch (error) {
     console.error("Error checking deadlines:", error);
   }
+
+  // Freeze every fantasy lineup once a gameweek deadline has passed
+  try {
+    const passed = await Gameweek.find({ deadline: { $ne: null, $lte: new Date() }, lineupsLockedAt: null });
+    for (const gameweek of passed) {
+      const { locked, skipped } = await lockLineupsForGameweek(gameweek.number, { competitionId: gameweek.competitionId });
+      gameweek.lineupsLockedAt = new Date();
+      await gameweek.save();
+
+      // Free Hit squads only last for the gameweek they were played in
+      const reverted = await revertFreeHitSquads(gameweek.number, { competitionId: gameweek.competitionId });
+
+      // head-to-head pairings of the gameweek that started and the next one are fixed here, not on reads
+      const paired = await syncH2HPairingsForCompetition(gameweek.competitionId);
+
+      console.log(`Gameweek ${gameweek.number} lineups locked: ${locked} teams (${skipped} without a valid XI), ${reverted} Free Hit squads reverted, ${paired} h2h leagues paired`);
+    }
+    // transfer demand for price changes is counted per deadline window
+    if (passed.length > 0) await resetTransferDemand();
+  } catch (error) {
+    console.error("Error locking lineups:", error);
+  }
 });
@@ -1,14 +1,29 @@
-import Match from "../models/Match.js";
+import Match, { PENALTY_OUTCOMES, resolveMatchWinner, resolveMatchStatus, matchClock } from "../models/Match.js";
 import mongoose from "mongoose";
 import User from "../models/User.js";
 import Gameweek from "../models/Gameweek.js";
 import Fixture from "../models/Fixtures.js"
-import Team from "../models/Team.js";
 import FantasyTeam from "../models/Felteam.js";
-import { computePointsForMatch } from "./fantasy.js";
+import { computePointsForMatch, processGameweekAutoSubs, resolveGameweekNumberForMatch, rebuildFantasyTeamTotals } from "./fantasy.js";
+import { computeProvisionalTeamPointsForMatch } from "./fantasyLive.js";
+import { handleBracketAfterFulltime, retractBracketForMatch } from "./bracket.js";
+import { applyMatchToTeamStats, applyMatchStatsToTeamStats, resolveMatchCompetitionId } from "./teamStats.js";
+import { resolveSeason, seasonGameweekFilter } from "./seasonScope.js";
+import {
+  getSuspensionRules,
+  bansForCard,
+  countSeasonYellows,
+  recordCardSuspensions,
+  findActiveSuspensions,
+  serveSuspensionsForMatch,
+  restoreSuspensionsForMatch,
+} from "./suspension.js";
+import { validateMatchEvents, getMaxSubstitutions, matchValidationError } from "./matchValidation.js";
+import { applyTeamStatsUpdate, applyPlayerStatsUpdate, syncPlayerStatTotals } from "./matchStats.js";
 
 import Player from "../models/Player.js" // Import User model if not already imported
 import { createError } from "../error.js";
+import { emitToMatch, emitToGameweek } from "../socket.js";
 // your function if any
 
 
@@ -39,7 +54,7 @@ function idEquals(a, b) {
   return String(A) === String(B);
 }
 
-function isKnockoutStage(stage) {
+export function isKnockoutStage(stage) {
   return ["playoff", "semifinal", "final"].includes(String(stage || "").toLowerCase());
 }
 
@@ -52,12 +67,12 @@ function subtractNonNegative(current, delta) {
   return Math.max(0, asNumber(current) - asNumber(delta));
 }
 
-async function getMatchStage(matchId, session) {
+export async function getMatchStage(matchId, session) {
   const fixtureDoc = await Fixture.findOne({ match: matchId }).populate("gameweek").session(session).lean().exec();
   return fixtureDoc?.gameweek?.stage || "regular";
 }
 
-async function revertFantasyForMatch(match, session) {
+export async function revertFantasyForMatch(match, session) {
   const matchId = String(match._id);
 
   const players = await Player.find({ "fantasyStats.match": match._id }).session(session).exec();
@@ -87,21 +102,9 @@ async function revertFantasyForMatch(match, session) {
 
     delete matchPointsObj[matchId];
 
-    const newGwTotals = {};
-    for (const value of Object.values(matchPointsObj)) {
-      const gwKey = value && value.gameweek != null ? String(value.gameweek) : null;
-      if (!gwKey) continue;
-      newGwTotals[gwKey] = asNumber(newGwTotals[gwKey]) + asNumber(value.points);
-    }
-
+    // same rebuild as scoring, so transfer point hits are kept
     team.matchPoints = matchPointsObj;
-    team.gameweekPoints = newGwTotals;
-    team.points = Object.values(newGwTotals).reduce((sum, pts) => sum + asNumber(pts), 0);
-
-    if (typeof team.markModified === "function") {
-      team.markModified("matchPoints");
-      team.markModified("gameweekPoints");
-    }
+    rebuildFantasyTeamTotals(team);
 
     await team.save({ session });
     revertedFantasyTeamCount += 1;
@@ -114,69 +117,16 @@ async function revertFantasyForMatch(match, session) {
 }
 
 async function revertStandingsForMatch(match, session) {
-  const homeTeam = match.homeTeam ? await Team.findById(match.homeTeam).session(session) : null;
-  const awayTeam = match.awayTeam ? await Team.findById(match.awayTeam).session(session) : null;
-
-  if (!homeTeam || !awayTeam) {
-    return { standingsReverted: false };
-  }
-
   const stage = await getMatchStage(match._id, session);
   const affectsTable = !isKnockoutStage(stage);
-  const homeGoals = (match.goals || []).filter((g) => g.team && idEquals(g.team, homeTeam._id)).length;
-  const awayGoals = (match.goals || []).filter((g) => g.team && idEquals(g.team, awayTeam._id)).length;
-
-  homeTeam.overallGoalsFor = subtractNonNegative(homeTeam.overallGoalsFor, homeGoals);
-  homeTeam.overallGoalsAgainst = subtractNonNegative(homeTeam.overallGoalsAgainst, awayGoals);
-  awayTeam.overallGoalsFor = subtractNonNegative(awayTeam.overallGoalsFor, awayGoals);
-  awayTeam.overallGoalsAgainst = subtractNonNegative(awayTeam.overallGoalsAgainst, homeGoals);
-  homeTeam.overallMatchesPlayed = subtractNonNegative(homeTeam.overallMatchesPlayed, 1);
-  awayTeam.overallMatchesPlayed = subtractNonNegative(awayTeam.overallMatchesPlayed, 1);
-
-  if (affectsTable) {
-    homeTeam.goalsFor = subtractNonNegative(homeTeam.goalsFor, homeGoals);
-    homeTeam.goalsAgainst = subtractNonNegative(homeTeam.goalsAgainst, awayGoals);
-    awayTeam.goalsFor = subtractNonNegative(awayTeam.goalsFor, awayGoals);
-    awayTeam.goalsAgainst = subtractNonNegative(awayTeam.goalsAgainst, homeGoals);
-    homeTeam.matchesPlayed = subtractNonNegative(homeTeam.matchesPlayed, 1);
-    awayTeam.matchesPlayed = subtractNonNegative(awayTeam.matchesPlayed, 1);
+  const competitionId = await resolveMatchCompetitionId(match, session);
+  const suspensionsRestored = await restoreSuspensionsForMatch(match, session);
+  const reverted = await applyMatchToTeamStats(match, { competitionId, affectsTable, sign: -1, session });
+  if (!reverted) {
+    return { standingsReverted: false, suspensionsRestored };
   }
 
-  if (homeGoals > awayGoals) {
-    homeTeam.overallWins = subtractNonNegative(homeTeam.overallWins, 1);
-    homeTeam.overallPoints = subtractNonNegative(homeTeam.overallPoints, 3);
-    awayTeam.overallLosses = subtractNonNegative(awayTeam.overallLosses, 1);
-    if (affectsTable) {
-      homeTeam.wins = subtractNonNegative(homeTeam.wins, 1);
-      homeTeam.points = subtractNonNegative(homeTeam.points, 3);
-      awayTeam.losses = subtractNonNegative(awayTeam.losses, 1);
-    }
-  } else if (homeGoals < awayGoals) {
-    awayTeam.overallWins = subtractNonNegative(awayTeam.overallWins, 1);
-    awayTeam.overallPoints = subtractNonNegative(awayTeam.overallPoints, 3);
-    homeTeam.overallLosses = subtractNonNegative(homeTeam.overallLosses, 1);
-    if (affectsTable) {
-      awayTeam.wins = subtractNonNegative(awayTeam.wins, 1);
-      awayTeam.points = subtractNonNegative(awayTeam.points, 3);
-      homeTeam.losses = subtractNonNegative(homeTeam.losses, 1);
-    }
-  } else {
-    homeTeam.overallDraws = subtractNonNegative(homeTeam.overallDraws, 1);
-    awayTeam.overallDraws = subtractNonNegative(awayTeam.overallDraws, 1);
-    homeTeam.overallPoints = subtractNonNegative(homeTeam.overallPoints, 1);
-    awayTeam.overallPoints = subtractNonNegative(awayTeam.overallPoints, 1);
-    if (affectsTable) {
-      homeTeam.draws = subtractNonNegative(homeTeam.draws, 1);
-      awayTeam.draws = subtractNonNegative(awayTeam.draws, 1);
-      homeTeam.points = subtractNonNegative(homeTeam.points, 1);
-      awayTeam.points = subtractNonNegative(awayTeam.points, 1);
-    }
-  }
-
-  await homeTeam.save({ session });
-  await awayTeam.save({ session });
-
-  return { standingsReverted: true, affectsTable, homeGoals, awayGoals };
+  return { standingsReverted: true, suspensionsRestored, affectsTable, competitionId: String(competitionId), homeGoals: reverted.homeGoals, awayGoals: reverted.awayGoals };
 }
 
 export const revertMatchFulltime = async (req, res, next) => {
@@ -222,8 +172,14 @@ export const revertMatchFulltime = async (req, res, next) => {
       ? await revertStandingsForMatch(match, session)
       : { standingsReverted: false };
     const fantasyResult = await revertFantasyForMatch(match, session);
+    const bracketResult = wasFulltime ? await retractBracketForMatch(match, { session }) : { retracted: false };
 
     match.fulltime = false;
+    if (wasFulltime) {
+      // back to where it was before full time, without restarting the clock
+      const finished = [...(match.statusHistory || [])].reverse().find((change) => change.status === "finished");
+      match.setStatus(finished?.from || "secondHalf", { startClock: false });
+    }
     if (typeof match.recomputeScoresFromGoals === "function") {
       match.recomputeScoresFromGoals();
     }
@@ -241,6 +197,7 @@ export const revertMatchFulltime = async (req, res, next) => {
         fulltime: false,
         ...standingsResult,
         ...fantasyResult,
+        bracketRetracted: bracketResult.retracted,
       },
     });
   } catch (error) {
@@ -251,10 +208,63 @@ export const revertMatchFulltime = async (req, res, next) => {
     }
     session.endSession();
     console.error("Error reverting match fulltime:", error);
-    return next(createError(500, "Error reverting match fulltime"));
+    return next(error.status ? error : createError(500, "Error reverting match fulltime"));
   }
 };
 
+/**
+ * Full time inside the caller's transaction: a knockout tie needs a winner, then both teams'
+ * counters and suspensions move on. Throws 409 for a level knockout match.
+ */
+export async function applyFulltimeInSession(match, { stage, competitionId, session }) {
+  const affectsTable = !isKnockoutStage(stage);
+
+  // a knockout tie needs a winner: level after extra time goes to penalties
+  if (!affectsTable && !resolveMatchWinner(match).winner) {
+    throw createError(409, "Knockout match is level: the penalty shootout must be decided before full time");
+  }
+
+  // counters of both teams in the competition the match belongs to
+  await applyMatchToTeamStats(match, { competitionId, affectsTable, session });
+  // both teams have played one more match: bans move on
+  await serveSuspensionsForMatch(match, competitionId, session);
+}
+
+/**
+ * Full time once committed: broadcast it, score fantasy teams, run auto subs and move the bracket on.
+ * Failures are logged; the match stays at full time.
+ */
+export async function afterFulltimeCommitted(match) {
+  const { winner, decidedBy } = resolveMatchWinner(match);
+  emitToMatch(match._id, "match:fulltime", {
+    homeScore: match.homeScore,
+    awayScore: match.awayScore,
+    result: match.result,
+    penalties: match.penaltyShootout ? { homeScore: match.penaltyShootout.homeScore, awayScore: match.penaltyShootout.awayScore } : null,
+    winner: winner ? String(winner) : null,
+    decidedBy,
+  });
+  try {
+    const fantasyResult = await computePointsForMatch(match._id);
+    emitToGameweek(fantasyResult?.gameweekNumber, "fantasy:points", {
+      matchId: String(match._id),
+      teams: Object.entries(fantasyResult?.matchFantasyTeamPoints || {}).map(([fantasyTeamId, points]) => ({ fantasyTeamId, points })),
+    });
+    // last match of the gameweek: promote bench players for starters who did not play
+    const competitionId = await resolveMatchCompetitionId(match);
+    const autoSubs = await processGameweekAutoSubs(fantasyResult?.gameweekNumber, { competitionId });
+    if (autoSubs?.applied) emitToGameweek(fantasyResult.gameweekNumber, "fantasy:autosubs", autoSubs);
+  } catch (err) {
+    console.error("Error computing fantasy points for match:", err);
+  }
+  // knockout winner moves on; the last league match seeds waiting knockout placeholders
+  try {
+    await handleBracketAfterFulltime(match);
+  } catch (err) {
+    console.error("Error updating the knockout bracket:", err);
+  }
+}
+
 /**
  * updateMatch: full update handler (goals, cards, subs, matchRatings, lineup, bench, manOftheMatch, scalars)
  */
@@ -303,6 +313,25 @@ export const updateMatch = async (req, res, next) => {
 
     // Keep previous fulltime state to detect transitions (because we set scalarFields later)
     const wasFulltime = !!match.fulltime;
+    const previousScore = { home: match.homeScore || 0, away: match.awayScore || 0 };
+    // events persisted by this update, broadcast to the match channel after commit
+    const liveEvents = [];
+    // events added by this update, validated against squads and lineups before saving
+    const eventChecks = [];
+
+    // nothing happens in a postponed or cancelled match, and only a match that was played reaches full time
+    const currentStatus = resolveMatchStatus(match);
+    const addsEvents = ["goals", "cards", "substitutions", "penalties", "playerStats"].some((k) => Array.isArray(updateData[k]) && updateData[k].length > 0) || !!updateData.teamStats;
+    if (addsEvents && ["postponed", "cancelled"].includes(currentStatus)) {
+      await session.abortTransaction();
+      session.endSession();
+      return next(createError(409, `Events and statistics cannot be recorded for a ${currentStatus} match`));
+    }
+    if (updateData.fulltime === true && !wasFulltime && ["postponed", "cancelled", "abandoned"].includes(currentStatus)) {
+      await session.abortTransaction();
+      session.endSession();
+      return next(createError(409, `A ${currentStatus} match cannot be marked full time`));
+    }
 
     // Prevent adding goals if already fulltime
     if (wasFulltime && Array.isArray(updateData.goals) && updateData.goals.length > 0) {
@@ -310,6 +339,25 @@ export const updateMatch = async (req, res, next) => {
       session.endSession();
       return res.status(403).json({ success: false, message: "Goals cannot be added after match is full-time" });
     }
+    if (wasFulltime && (Object.prototype.hasOwnProperty.call(updateData, "extraTime") || (Array.isArray(updateData.penalties) && updateData.penalties.length > 0))) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(403).json({ success: false, message: "Extra time and penalties cannot be changed after match is full-time" });
+    }
+    // the score is final once a shootout has started
+    if (match.penaltyShootout?.kicks?.length > 0 && Array.isArray(updateData.goals) && updateData.goals.length > 0) {
+      await session.abortTransaction();
+      session.endSession();
+      return next(createError(409, "Goals cannot be added once the penalty shootout has started"));
+    }
+
+    // extra time and penalties only exist in knockout matches
+    const stage = await getMatchStage(match._id, session);
+    if ((updateData.extraTime === true || (Array.isArray(updateData.penalties) && updateData.penalties.length > 0)) && !isKnockoutStage(stage)) {
+      await session.abortTransaction();
+      session.endSession();
+      return next(createError(400, "Extra time and penalties are only played in knockout matches"));
+    }
 
     // Ensure arrays exist
     match.goals = Array.isArray(match.goals) ? match.goals : [];
@@ -349,13 +397,32 @@ export const updateMatch = async (req, res, next) => {
       return null;
     };
 
+    // --------------------------
+    // 0) Extra time flag (set before goals so extra-time goals can come in the same update)
+    // --------------------------
+    if (Object.prototype.hasOwnProperty.call(updateData, "extraTime")) {
+      const extraTime = updateData.extraTime === true;
+      if (!extraTime && (match.goals.some((g) => g.period === "extraTime") || match.penaltyShootout?.kicks?.length > 0)) {
+        await session.abortTransaction();
+        session.endSession();
+        return next(createError(409, "Extra time already has goals or penalties recorded"));
+      }
+      match.extraTime = extraTime;
+    }
+
     // --------------------------
     // 1) Goals (robust handling incl own goals)
     // --------------------------
     if (Array.isArray(updateData.goals) && updateData.goals.length > 0) {
-      for (const g of updateData.goals) {
+      for (const [index, g] of updateData.goals.entries()) {
         const minute = typeof g.minute === "number" ? g.minute : null;
         const ownGoalFlag = !!g.ownGoal;
+        const period = g.period === "extraTime" || g.extraTime === true ? "extraTime" : "regular";
+        if (period === "extraTime" && !match.extraTime) {
+          await session.abortTransaction();
+          session.endSession();
+          return next(createError(400, "Extra-time goals need extraTime set on the match"));
+        }
 
         // resolve team from payload
         let incomingTeamId = resolveIncomingTeam(g.team);
@@ -370,14 +437,11 @@ export const updateMatch = async (req, res, next) => {
           if (scorerDoc?.team) incomingTeamId = toObjectId(scorerDoc.team);
         }
 
-        // fallback if still missing - prefer homeId
-        if (!incomingTeamId) {
-          incomingTeamId = homeId;
-        }
+        // still unknown: left null and rejected by the validation below
 
         // determine beneficiary (team that gets the goal on scoreboard)
         let beneficiaryTeamId = incomingTeamId;
-        if (ownGoalFlag) {
+        if (ownGoalFlag && incomingTeamId) {
           // beneficiary is the opponent of incomingTeamId
           if (idEquals(incomingTeamId, homeId)) beneficiaryTeamId = awayId;
           else beneficiaryTeamId = homeId;
@@ -391,9 +455,12 @@ export const updateMatch = async (req, res, next) => {
           assist: assistId || null,
           ownGoal: ownGoalFlag,
           ownBy: ownGoalFlag ? (scorerId || null) : null,
+          period,
         };
 
         match.goals.push(goalObj);
+        liveEvents.push({ type: "goal", event: goalObj });
+        eventChecks.push({ type: "goal", event: match.goals[match.goals.length - 1], index });
 
         // update player stats for non-own goals
         if (!ownGoalFlag) {
@@ -424,17 +491,25 @@ export const updateMatch = async (req, res, next) => {
       } // end for
     } // end if goals
 
+    // competition the match counts for (suspensions are per competition)
+    const matchCompetitionId = await resolveMatchCompetitionId(match, session);
+
     // --------------------------
     // 2) Cards
     // --------------------------
     if (Array.isArray(updateData.cards) && updateData.cards.length > 0) {
-      for (const card of updateData.cards) {
+      const suspensionRules = await getSuspensionRules(matchCompetitionId, session);
+      // playerId -> yellows in the competition's season before this match (accumulation bans)
+      const seasonYellows = new Map();
+      for (const [index, card] of updateData.cards.entries()) {
         const minute = typeof card.minute === "number" ? card.minute : null;
         const cardTeam = resolveIncomingTeam(card.team);
         const playerId = isValidId(card.player) ? toObjectId(card.player) : null;
         const type = card.type === "Red" ? "Red" : "Yellow";
 
         match.cards.push({ minute, team: cardTeam, player: playerId, type });
+        eventChecks.push({ type: "card", event: match.cards[match.cards.length - 1], index });
+        liveEvents.push({ type: "card", event: { minute, team: cardTeam, player: playerId, type } });
 
         // update player stats
         if (playerId) {
@@ -445,19 +520,25 @@ export const updateMatch = async (req, res, next) => {
               perf = { match: match._id, goals: 0, assists: 0, yellowCards: 0, redCard: false, manOfTheMatch: false };
               pl.matchPerformances = (pl.matchPerformances || []).concat([perf]);
             }
+            let secondYellow = false;
             if (type === "Yellow") {
               pl.totalyellowCards = (pl.totalyellowCards || 0) + 1;
               perf.yellowCards = (perf.yellowCards || 0) + 1;
               if (perf.yellowCards === 2) {
                 pl.totalredCards = (pl.totalredCards || 0) + 1;
-                pl.matchBan = (pl.matchBan || 0) + 1;
                 perf.redCard = true;
+                secondYellow = true;
               }
             } else {
               pl.totalredCards = (pl.totalredCards || 0) + 1;
-              pl.matchBan = (pl.matchBan || 0) + 3;
               perf.redCard = true;
             }
+            if (!seasonYellows.has(String(playerId))) {
+              seasonYellows.set(String(playerId), await countSeasonYellows(pl, matchCompetitionId, { excludeMatch: match._id, session }));
+            }
+            const totalYellows = seasonYellows.get(String(playerId)) + (perf.yellowCards || 0);
+            const bans = bansForCard(suspensionRules, { type, secondYellow, totalYellows });
+            await recordCardSuspensions(pl, { bans, match, competitionId: matchCompetitionId, session });
             await pl.save({ session });
           }
         }
@@ -468,12 +549,14 @@ export const updateMatch = async (req, res, next) => {
     // 3) Substitutions
     // --------------------------
     if (Array.isArray(updateData.substitutions) && updateData.substitutions.length > 0) {
-      for (const s of updateData.substitutions) {
+      for (const [index, s] of updateData.substitutions.entries()) {
         const minute = typeof s.minute === "number" ? s.minute : null;
         const teamId = resolveIncomingTeam(s.team);
         const playerIn = isValidId(s.playerIn) ? toObjectId(s.playerIn) : null;
         const playerOut = isValidId(s.playerOut) ? toObjectId(s.playerOut) : null;
         match.substitutions.push({ minute, team: teamId, playerIn, playerOut });
+        eventChecks.push({ type: "substitution", event: match.substitutions[match.substitutions.length - 1], index });
+        liveEvents.push({ type: "substitution", event: { minute, team: teamId, playerIn, playerOut } });
 
         if (playerIn) {
           const pIn = await Player.findById(playerIn).session(session);
@@ -488,13 +571,53 @@ export const updateMatch = async (req, res, next) => {
       }
     }
 
+    // --------------------------
+    // 3b) Penalty shootout kicks (appended in order; only when the score is level)
+    // --------------------------
+    if (Array.isArray(updateData.penalties) && updateData.penalties.length > 0) {
+      match.recomputeScoresFromGoals();
+      if (match.homeScore !== match.awayScore) {
+        await session.abortTransaction();
+        session.endSession();
+        return next(createError(409, "A penalty shootout needs a level score"));
+      }
+      if (!match.penaltyShootout) match.penaltyShootout = { kicks: [] };
+
+      for (const [index, k] of updateData.penalties.entries()) {
+        const kickTeam = resolveIncomingTeam(k?.team);
+        if (!kickTeam || (!idEquals(kickTeam, homeId) && !idEquals(kickTeam, awayId))) {
+          await session.abortTransaction();
+          session.endSession();
+          return next(createError(400, "Penalty team must be the home or away team"));
+        }
+        const outcome = String(k.outcome || "").toLowerCase();
+        if (!PENALTY_OUTCOMES.includes(outcome)) {
+          await session.abortTransaction();
+          session.endSession();
+          return next(createError(400, `Penalty outcome must be one of: ${PENALTY_OUTCOMES.join(", ")}`));
+        }
+        const kick = {
+          order: match.penaltyShootout.kicks.length + 1,
+          team: kickTeam,
+          taker: isValidId(k.taker) ? toObjectId(k.taker) : null,
+          goalkeeper: isValidId(k.goalkeeper) ? toObjectId(k.goalkeeper) : null,
+          outcome,
+        };
+        match.penaltyShootout.kicks.push(kick);
+        eventChecks.push({ type: "penalty", event: kick, index });
+        liveEvents.push({ type: "penalty", event: kick });
+      }
+      match.recomputePenaltyScore();
+    }
+
     // --------------------------
     // 4) matchRatings and manOftheMatch
     // --------------------------
     if (Array.isArray(updateData.matchRatings) && updateData.matchRatings.length > 0) {
-      for (const r of updateData.matchRatings) {
+      for (const [index, r] of updateData.matchRatings.entries()) {
         if (!isValidId(r.player)) continue;
         match.matchRatings.push({ player: toObjectId(r.player), rating: r.rating ?? null });
+        eventChecks.push({ type: "rating", event: match.matchRatings[match.matchRatings.length - 1], index });
         const pl = await Player.findById(String(r.player)).session(session);
         if (pl) {
           pl.matchRatings = (pl.matchRatings || []).concat([{ match: match._id, rating: r.rating }]);
@@ -505,6 +628,7 @@ export const updateMatch = async (req, res, next) => {
 
     if (updateData.manOftheMatch && isValidId(updateData.manOftheMatch)) {
       match.manOftheMatch = toObjectId(updateData.manOftheMatch);
+      eventChecks.push({ type: "manOfTheMatch", event: { player: match.manOftheMatch }, index: null });
       const motm = await Player.findById(String(updateData.manOftheMatch)).session(session);
       if (motm) {
         let perf = (motm.matchPerformances || []).find((p) => p.match && String(p.match) === String(match._id));
@@ -514,12 +638,47 @@ export const updateMatch = async (req, res, next) => {
       }
     }
 
+    // --------------------------
+    // 4b) Match statistics (updateData.teamStats, updateData.playerStats; see matchStats.js)
+    //    after full time the team counters swap the old figures for the new ones
+    // --------------------------
+    const statErrors = [];
+    if (Object.prototype.hasOwnProperty.call(updateData, "teamStats")) {
+      if (wasFulltime) await applyMatchStatsToTeamStats(match, { competitionId: matchCompetitionId, sign: -1, session });
+      statErrors.push(...applyTeamStatsUpdate(match, updateData.teamStats));
+      if (wasFulltime) await applyMatchStatsToTeamStats(match, { competitionId: matchCompetitionId, session });
+    }
+    let playerStatsBefore = null;
+    if (Object.prototype.hasOwnProperty.call(updateData, "playerStats")) {
+      const { errors, checks, before } = applyPlayerStatsUpdate(match, updateData.playerStats);
+      statErrors.push(...errors);
+      eventChecks.push(...checks);
+      playerStatsBefore = before;
+    }
+
     // --------------------------
     // 5) Lineups & Bench
     //    Accepts:
     //      updateData.lineups = { home: [ids|obj], away: [ids|obj] }
     //      updateData.bench = { home: [ids|obj], away: [ids|obj] }
     // --------------------------
+    // suspended players can be neither in the lineup nor on the bench (bans given in this match start with the next one)
+    const selectedIds = [updateData.lineups?.home, updateData.lineups?.away, updateData.bench?.home, updateData.bench?.away]
+      .filter(Array.isArray)
+      .flat()
+      .map((x) => (x && typeof x === "object" && x._id ? x._id : x))
+      .filter(isValidId)
+      .map(toObjectId);
+    if (selectedIds.length > 0) {
+      const suspended = await findActiveSuspensions(selectedIds, matchCompetitionId, { excludeMatch: match._id, session });
+      if (suspended.size > 0) {
+        const names = await Player.find({ _id: { $in: Array.from(suspended.keys()) } }).select("name").session(session).lean().exec();
+        await session.abortTransaction();
+        session.endSession();
+        return next(createError(409, `Suspended players cannot be selected: ${names.map((p) => p.name).join(", ")}`));
+      }
+    }
+
     if (updateData.lineups && typeof updateData.lineups === "object") {
       // normalize arrays of ids
       const homeArr = Array.isArray(updateData.lineups.home)
@@ -656,6 +815,29 @@ export const updateMatch = async (req, res, next) => {
       console.warn("Failed to recompute score:", e);
     }
 
+    // --------------------------
+    // 8b) Validate the new events against the teams, lineups and substitutions (nothing is kept on failure)
+    // --------------------------
+    const lineupsChanged = !!(updateData.lineups || updateData.bench);
+    if (eventChecks.length > 0 || lineupsChanged || statErrors.length > 0) {
+      const errors = statErrors.concat(await validateMatchEvents(match, {
+        check: eventChecks,
+        lineupsChanged,
+        maxSubstitutions: await getMaxSubstitutions(matchCompetitionId, session),
+        session,
+      }));
+      if (errors.length > 0) {
+        await session.abortTransaction();
+        session.endSession();
+        return next(matchValidationError(errors));
+      }
+    }
+
+    // player season totals follow the stat lines; a fulltime match is scored again (minutes and saves score)
+    const playerStatsChanged = playerStatsBefore ? await syncPlayerStatTotals(match, playerStatsBefore, session) : 0;
+    const rescoreFantasy = wasFulltime && playerStatsChanged > 0;
+    if (rescoreFantasy) await revertFantasyForMatch(match, session);
+
     // finally save match within session
     await match.save({ session });
 
@@ -669,87 +851,15 @@ export const updateMatch = async (req, res, next) => {
     if (justMarkedFulltime) {
       // ensure match.fulltime true already (scalar step may have set it)
       match.fulltime = true;
+      match.setStatus("finished");
       await match.save({ session });
 
-      const fixtureDoc = await Fixture.findOne({ match: match._id }).populate("gameweek").session(session).lean().exec();
-      const stage = fixtureDoc?.gameweek?.stage || "regular";
-      const affectsTable = !isKnockoutStage(stage);
-
-      const homeTeam = match.homeTeam ? await Team.findById(match.homeTeam).session(session) : null;
-      const awayTeam = match.awayTeam ? await Team.findById(match.awayTeam).session(session) : null;
-
-      if (homeTeam && awayTeam) {
-        // Count goals using idEquals
-        const homeGoals = (match.goals || []).filter((g) => g.team && idEquals(g.team, homeTeam._id)).length;
-        const awayGoals = (match.goals || []).filter((g) => g.team && idEquals(g.team, awayTeam._id)).length;
-
-        if (homeTeam.overallMatchesPlayed == null) homeTeam.overallMatchesPlayed = homeTeam.matchesPlayed || 0;
-        if (homeTeam.overallWins == null) homeTeam.overallWins = homeTeam.wins || 0;
-        if (homeTeam.overallDraws == null) homeTeam.overallDraws = homeTeam.draws || 0;
-        if (homeTeam.overallLosses == null) homeTeam.overallLosses = homeTeam.losses || 0;
-        if (homeTeam.overallGoalsFor == null) homeTeam.overallGoalsFor = homeTeam.goalsFor || 0;
-        if (homeTeam.overallGoalsAgainst == null) homeTeam.overallGoalsAgainst = homeTeam.goalsAgainst || 0;
-        if (homeTeam.overallPoints == null) homeTeam.overallPoints = homeTeam.points || 0;
-
-        if (awayTeam.overallMatchesPlayed == null) awayTeam.overallMatchesPlayed = awayTeam.matchesPlayed || 0;
-        if (awayTeam.overallWins == null) awayTeam.overallWins = awayTeam.wins || 0;
-        if (awayTeam.overallDraws == null) awayTeam.overallDraws = awayTeam.draws || 0;
-        if (awayTeam.overallLosses == null) awayTeam.overallLosses = awayTeam.losses || 0;
-        if (awayTeam.overallGoalsFor == null) awayTeam.overallGoalsFor = awayTeam.goalsFor || 0;
-        if (awayTeam.overallGoalsAgainst == null) awayTeam.overallGoalsAgainst = awayTeam.goalsAgainst || 0;
-        if (awayTeam.overallPoints == null) awayTeam.overallPoints = awayTeam.points || 0;
-
-        homeTeam.overallGoalsFor = (homeTeam.overallGoalsFor || 0) + homeGoals;
-        homeTeam.overallGoalsAgainst = (homeTeam.overallGoalsAgainst || 0) + awayGoals;
-        awayTeam.overallGoalsFor = (awayTeam.overallGoalsFor || 0) + awayGoals;
-        awayTeam.overallGoalsAgainst = (awayTeam.overallGoalsAgainst || 0) + homeGoals;
-        if (affectsTable) {
-          homeTeam.goalsFor = (homeTeam.goalsFor || 0) + homeGoals;
-          homeTeam.goalsAgainst = (homeTeam.goalsAgainst || 0) + awayGoals;
-          awayTeam.goalsFor = (awayTeam.goalsFor || 0) + awayGoals;
-          awayTeam.goalsAgainst = (awayTeam.goalsAgainst || 0) + homeGoals;
-        }
-
-        if (homeGoals > awayGoals) {
-          homeTeam.overallWins = (homeTeam.overallWins || 0) + 1;
-          homeTeam.overallPoints = (homeTeam.overallPoints || 0) + 3;
-          awayTeam.overallLosses = (awayTeam.overallLosses || 0) + 1;
-          if (affectsTable) {
-          homeTeam.wins = (homeTeam.wins || 0) + 1;
-          homeTeam.points = (homeTeam.points || 0) + 3;
-          awayTeam.losses = (awayTeam.losses || 0) + 1;
-          }
-        } else if (homeGoals < awayGoals) {
-          awayTeam.overallWins = (awayTeam.overallWins || 0) + 1;
-          awayTeam.overallPoints = (awayTeam.overallPoints || 0) + 3;
-          homeTeam.overallLosses = (homeTeam.overallLosses || 0) + 1;
-          if (affectsTable) {
-          awayTeam.wins = (awayTeam.wins || 0) + 1;
-          awayTeam.points = (awayTeam.points || 0) + 3;
-          homeTeam.losses = (homeTeam.losses || 0) + 1;
-          }
-        } else {
-          homeTeam.overallDraws = (homeTeam.overallDraws || 0) + 1;
-          awayTeam.overallDraws = (awayTeam.overallDraws || 0) + 1;
-          homeTeam.overallPoints = (homeTeam.overallPoints || 0) + 1;
-          awayTeam.overallPoints = (awayTeam.overallPoints || 0) + 1;
-          if (affectsTable) {
-          homeTeam.draws = (homeTeam.draws || 0) + 1;
-          awayTeam.draws = (awayTeam.draws || 0) + 1;
-          homeTeam.points = (homeTeam.points || 0) + 1;
-          awayTeam.points = (awayTeam.points || 0) + 1;
-          }
-        }
-
-        homeTeam.overallMatchesPlayed = (homeTeam.overallMatchesPlayed || 0) + 1;
-        awayTeam.overallMatchesPlayed = (awayTeam.overallMatchesPlayed || 0) + 1;
-        if (affectsTable) {
-        homeTeam.matchesPlayed = (homeTeam.matchesPlayed || 0) + 1;
-        awayTeam.matchesPlayed = (awayTeam.matchesPlayed || 0) + 1;
-        }
-
-        await homeTeam.save({ session });
-        await awayTeam.save({ session });
+      try {
+        await applyFulltimeInSession(match, { stage, competitionId: matchCompetitionId, session });
+      } catch (err) {
+        await session.abortTransaction();
+        session.endSession();
+        return next(err.status ? err : createError(500, "Error updating match"));
       }
     }
 
@@ -757,12 +867,35 @@ export const updateMatch = async (req, res, next) => {
     await session.commitTransaction();
     session.endSession();
 
+    // live match centre: only what was persisted
+    for (const { type, event } of liveEvents) emitToMatch(match._id, "match:event", { type, event });
+    if (match.homeScore !== previousScore.home || match.awayScore !== previousScore.away) {
+      emitToMatch(match._id, "match:score", { homeScore: match.homeScore, awayScore: match.awayScore, result: match.result });
+    }
+
+    // in-progress match changed: push provisional fantasy points to the gameweek channel
+    if (liveEvents.length > 0 && !match.fulltime) {
+      try {
+        const gameweekNumber = await resolveGameweekNumberForMatch(match);
+        const provisional = await computeProvisionalTeamPointsForMatch(match.toObject(), gameweekNumber);
+        emitToGameweek(gameweekNumber, "fantasy:live", { matchId: String(match._id), provisional: true, teams: provisional.teams });
+      } catch (err) {
+        console.error("Error computing provisional fantasy points:", err);
+      }
+    }
+
     // compute fantasy points outside session if justMarkedFulltime
-    if (justMarkedFulltime) {
+    if (justMarkedFulltime) await afterFulltimeCommitted(match);
+    if (rescoreFantasy) {
       try {
-        await computePointsForMatch(match._id);
+        const fantasyResult = await computePointsForMatch(match._id);
+        emitToGameweek(fantasyResult?.gameweekNumber, "fantasy:points", {
+          matchId: String(match._id),
+          recomputed: true,
+          teams: Object.entries(fantasyResult?.matchFantasyTeamPoints || {}).map(([fantasyTeamId, points]) => ({ fantasyTeamId, points })),
+        });
       } catch (err) {
-        console.error("Error computing fantasy points for match:", err);
+        console.error("Error recomputing fantasy points for match:", err);
       }
     }
 
@@ -783,6 +916,8 @@ export const updateMatch = async (req, res, next) => {
       .populate({ path: "lineups.home lineups.away", select: "name number position team" })
       .populate({ path: "bench.home bench.away", select: "name number position team" })
       .populate({ path: "manOftheMatch", select: "name number position team" })
+      .populate({ path: "penaltyShootout.kicks.taker penaltyShootout.kicks.goalkeeper", select: "name number position team" })
+      .populate({ path: "playerStats.player", select: "name number position team" })
       .lean()
       .exec();
 
@@ -808,15 +943,20 @@ export const updateMatch = async (req, res, next) => {
  * - saves the Timeline doc and pushes its id to match.timeline
  */
 
+// optional query: ?competitionId=&season= (season number or id; only that season's matches of the competition)
 export const getMatchesByTeam = async (req, res, next) => {
   try {
     const { teamId } = req.params;
     if (!teamId) return next(createError(400, "teamId required"));
 
     // find matches where the team is home or away
-    const matches = await Match.find({
-      $or: [{ homeTeam: teamId }, { awayTeam: teamId }],
-    })
+    const filter = { $or: [{ homeTeam: teamId }, { awayTeam: teamId }] };
+    if (req.query.season) {
+      const scope = await resolveSeason(req.query.competitionId || null, req.query.season);
+      const gameweekIds = await Gameweek.find({ competitionId: scope.competitionId, ...seasonGameweekFilter(scope) }).distinct("_id").exec();
+      filter._id = { $in: await Fixture.find({ gameweek: { $in: gameweekIds }, match: { $ne: null } }).distinct("match").exec() };
+    }
+    const matches = await Match.find(filter)
       .populate({ path: "homeTeam", model: "Team", select: "name logo" })
       .populate({ path: "awayTeam", model: "Team", select: "name logo" })
       .populate({ path: "goals.scorer", model: "Player", select: "name" })
@@ -870,9 +1010,17 @@ export const getMatchesByTeam = async (req, res, next) => {
 
 
 
+  // optional query: ?competitionId=&season= (season number or id; only that season's gameweeks)
   export const getGameweeksWithMatches = async (req, res, next) => {
   try {
-    const gameweeks = await Gameweek.find().sort({ number: 1 }).lean();
+    const { competitionId, season } = req.query;
+    const filter = {};
+    if (competitionId) filter.competitionId = competitionId;
+    if (season) {
+      const scope = await resolveSeason(competitionId || null, season);
+      Object.assign(filter, { competitionId: scope.competitionId }, seasonGameweekFilter(scope));
+    }
+    const gameweeks = await Gameweek.find(filter).sort({ number: 1 }).lean();
 
     const resultData = await Promise.all(
       gameweeks.map(async (gameweek) => {
@@ -907,6 +1055,8 @@ export const getMatchesByTeam = async (req, res, next) => {
                 result: null,
                 goals: [],
                 fulltime: false,
+                status: null,
+                clock: null,
               };
             }
 
@@ -939,6 +1089,8 @@ export const getMatchesByTeam = async (req, res, next) => {
                 assist: goal.assist ? goal.assist.name : null,
               })),
               fulltime: !!match.fulltime,
+              status: resolveMatchStatus(match),
+              clock: matchClock(match),
             };
           })
           .filter(Boolean);
@@ -948,6 +1100,7 @@ export const getMatchesByTeam = async (req, res, next) => {
           number: gameweek.number,
           stage: gameweek.stage || "regular",
           deadline: gameweek.deadline || null,
+          blank: !!gameweek.blank,
           fixtures: formattedFixtures,
         };
       })
@@ -987,6 +1140,9 @@ export const getSingleMatchById = async (req, res, next) => {
       .populate({ path: "cards.player", model: "Player", select: "_id name number" })
       .populate({ path: "substitutions.playerIn", model: "Player", select: "_id name number" })
       .populate({ path: "substitutions.playerOut", model: "Player", select: "_id name number" })
+      .populate({ path: "penaltyShootout.kicks.taker", model: "Player", select: "_id name number" })
+      .populate({ path: "penaltyShootout.kicks.goalkeeper", model: "Player", select: "_id name number" })
+      .populate({ path: "playerStats.player", model: "Player", select: "_id name number position" })
       .lean()
       .exec();
 
@@ -1012,9 +1168,31 @@ export const getSingleMatchById = async (req, res, next) => {
         scorer: g.scorer ? { _id: String(g.scorer._id ?? g.scorer), name: g.scorer.name ?? null, number: g.scorer.number ?? null } : null,
         assist: g.assist ? { _id: String(g.assist._id ?? g.assist), name: g.assist.name ?? null, number: g.assist.number ?? null } : null,
         ownBy: g.ownBy ? { _id: String(g.ownBy._id ?? g.ownBy), name: g.ownBy.name ?? null, number: g.ownBy.number ?? null } : null,
+        period: g.period || "regular",
       };
     });
 
+    // Penalty shootout (null when there was none)
+    const penaltyShootout = match.penaltyShootout
+      ? {
+        homeScore: match.penaltyShootout.homeScore ?? 0,
+        awayScore: match.penaltyShootout.awayScore ?? 0,
+        kicks: (match.penaltyShootout.kicks || []).map((k) => ({
+          _id: k._id ?? null,
+          order: k.order,
+          team: k.team ? String(k.team) : null,
+          outcome: k.outcome,
+          taker: k.taker ? { _id: String(k.taker._id ?? k.taker), name: k.taker.name ?? null, number: k.taker.number ?? null } : null,
+          goalkeeper: k.goalkeeper ? { _id: String(k.goalkeeper._id ?? k.goalkeeper), name: k.goalkeeper.name ?? null, number: k.goalkeeper.number ?? null } : null,
+        })),
+      }
+      : null;
+    const { winner, decidedBy } = resolveMatchWinner({
+      ...match,
+      homeTeam: match.homeTeam?._id ?? match.homeTeam,
+      awayTeam: match.awayTeam?._id ?? match.awayTeam,
+    });
+
     // Cards
     const cards = (Array.isArray(match.cards) ? match.cards : []).map((c) => ({
       _id: c._id ?? null,
@@ -1054,6 +1232,12 @@ export const getSingleMatchById = async (req, res, next) => {
         : { _id: String(match.manOftheMatch) })
       : null;
 
+    // Match statistics (fields not recorded stay null)
+    const playerStats = (match.playerStats || []).map((line) => ({
+      ...line,
+      player: line.player ? { _id: String(line.player._id ?? line.player), name: line.player.name ?? null, number: line.player.number ?? null, position: line.player.position ?? null } : null,
+    }));
+
     // Build response object
     const responseData = {
       _id: String(match._id),
@@ -1062,10 +1246,17 @@ export const getSingleMatchById = async (req, res, next) => {
       date: match.date ?? null,
       venue: match.venue ?? null,
       fulltime: !!match.fulltime,
+      status: resolveMatchStatus(match),
+      statusHistory: match.statusHistory || [],
+      clock: matchClock(match),
       // always include a result to simplify client logic (server stores result too)
       result: match.result ?? computedResult,
       homeScore: safeHomeScore,
       awayScore: safeAwayScore,
+      extraTime: !!match.extraTime,
+      penaltyShootout,
+      winner: winner ? String(winner) : null,
+      decidedBy,
       // arrays
       goals,
       cards,
@@ -1073,6 +1264,8 @@ export const getSingleMatchById = async (req, res, next) => {
       lineups: { home: lineupHome, away: lineupAway },
       bench: { home: benchHomeArr, away: benchAwayArr },
       manOftheMatch: motm,
+      teamStats: { home: match.teamStats?.home ?? null, away: match.teamStats?.away ?? null },
+      playerStats,
       // timeline references if you need them
       timeline: Array.isArray(match.timeline) ? match.timeline.map((t) => String(t)) : [],
       createdAt: match.createdAt,
@@ -0,0 +1,332 @@
+// controllers/matchEvents.js
+import mongoose from "mongoose";
+import Match, { resolveMatchWinner } from "../models/Match.js";
+import Player from "../models/Player.js";
+import User from "../models/User.js";
+import { createError } from "../error.js";
+import { emitToMatch, emitToGameweek } from "../socket.js";
+import { isKnockoutStage, getMatchStage, revertFantasyForMatch } from "./match.js";
+import { computePointsForMatch } from "./fantasy.js";
+import { applyMatchToTeamStats, resolveMatchCompetitionId } from "./teamStats.js";
+import { retractBracketForMatch, handleBracketAfterFulltime } from "./bracket.js";
+import { rebuildMatchSuspensions } from "./suspension.js";
+import { validateMatchEvents, getMaxSubstitutions, matchValidationError } from "./matchValidation.js";
+
+/**
+ * Corrections to single match events (goals, cards, substitutions, ratings), by subdocument id.
+ * Player totals move by the difference between what the match credited each involved player before
+ * and after the change, so they end up as if the event had been entered right the first time.
+ * At full time the match's standings and fantasy points are taken back and applied again.
+ */
+
+// url segment -> { path on Match, event type used on the match channel }
+const EVENT_TYPES = {
+  goals: { path: "goals", type: "goal" },
+  cards: { path: "cards", type: "card" },
+  substitutions: { path: "substitutions", type: "substitution" },
+  ratings: { path: "matchRatings", type: "rating" },
+};
+
+const isValidId = (v) => !!v && mongoose.Types.ObjectId.isValid(String(v));
+const toId = (v) => (v && v._id ? String(v._id) : v ? String(v) : null);
+const sameId = (a, b) => !!a && !!b && toId(a) === toId(b);
+const has = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+
+// players an event credits or mentions
+function eventPlayers(path, event) {
+  if (!event) return [];
+  const fields = {
+    goals: ["scorer", "assist", "ownBy"],
+    cards: ["player"],
+    substitutions: ["playerIn", "playerOut"],
+    matchRatings: ["player"],
+  }[path];
+  return fields.map((f) => toId(event[f])).filter(Boolean);
+}
+
+/**
+ * What a match credits one player with (mirrors how updateMatch increments Player totals).
+ */
+function playerMatchCredit(match, playerId) {
+  const goals = match.goals || [];
+  const cards = (match.cards || []).filter((c) => sameId(c.player, playerId));
+  const yellowCards = cards.filter((c) => c.type === "Yellow").length;
+  return {
+    goals: goals.filter((g) => !g.ownGoal && sameId(g.scorer, playerId)).length,
+    assists: goals.filter((g) => !g.ownGoal && sameId(g.assist, playerId)).length,
+    yellowCards,
+    // a second yellow counts as a red
+    redCards: cards.filter((c) => c.type === "Red").length + (yellowCards >= 2 ? 1 : 0),
+    ratings: (match.matchRatings || []).filter((r) => sameId(r.player, playerId)).map((r) => r.rating),
+  };
+}
+
+function involvedInMatch(match, playerId) {
+  const lists = [match.lineups?.home, match.lineups?.away, match.bench?.home, match.bench?.away];
+  if (lists.some((list) => (list || []).some((p) => sameId(p, playerId)))) return true;
+  if (sameId(match.manOftheMatch, playerId)) return true;
+  return ["goals", "cards", "substitutions", "matchRatings"].some((path) =>
+    (match[path] || []).some((event) => eventPlayers(path, event).includes(String(playerId)))
+  );
+}
+
+/**
+ * Move a player's totals, match performance, ratings and bans from `before` to what the match credits now.
+ */
+async function syncPlayerWithMatch(playerId, before, match, { competitionId, cardsChanged, session }) {
+  const player = await Player.findById(playerId).session(session);
+  if (!player) return;
+  const after = playerMatchCredit(match, playerId);
+  const shift = (current, from, to) => Math.max(0, (current || 0) + to - from);
+
+  player.goals = shift(player.goals, before.goals, after.goals);
+  player.assists = shift(player.assists, before.assists, after.assists);
+  player.totalyellowCards = shift(player.totalyellowCards, before.yellowCards, after.yellowCards);
+  player.totalredCards = shift(player.totalredCards, before.redCards, after.redCards);
+
+  const matchKey = String(match._id);
+  player.matchRatings = (player.matchRatings || [])
+    .filter((r) => String(r.match) !== matchKey)
+    .concat(after.ratings.map((rating) => ({ match: match._id, rating })));
+
+  if (involvedInMatch(match, playerId)) {
+    let perf = (player.matchPerformances || []).find((p) => p.match && String(p.match) === matchKey);
+    if (!perf) {
+      player.matchPerformances.push({ match: match._id });
+      perf = player.matchPerformances[player.matchPerformances.length - 1];
+    }
+    perf.goals = after.goals;
+    perf.assists = after.assists;
+    perf.yellowCards = after.yellowCards;
+    perf.redCard = after.redCards > 0;
+  } else {
+    player.matchPerformances = (player.matchPerformances || []).filter((p) => !(p.match && String(p.match) === matchKey));
+  }
+
+  if (cardsChanged) await rebuildMatchSuspensions(player, match, competitionId, session);
+  await player.save({ session });
+}
+
+/**
+ * Apply an edit body to one event (in place). Throws 400 on invalid values.
+ */
+function applyEventUpdate(match, path, event, body) {
+  const homeId = toId(match.homeTeam);
+  const awayId = toId(match.awayTeam);
+  const resolveTeam = (val) => {
+    const txt = String(toId(val) ?? "").trim().toLowerCase();
+    if (txt === "home" || txt === "h" || txt === homeId) return match.homeTeam;
+    if (txt === "away" || txt === "a" || txt === awayId) return match.awayTeam;
+    throw createError(400, "team must be the home or away team");
+  };
+  const playerField = (key, { nullable = true } = {}) => {
+    const val = body[key];
+    if (val == null || val === "") {
+      if (!nullable) throw createError(400, `${key} is required`);
+      return null;
+    }
+    if (!isValidId(toId(val))) throw createError(400, `${key} must be a player id`);
+    return new mongoose.Types.ObjectId(toId(val));
+  };
+
+  if (has(body, "minute")) {
+    if (body.minute !== null && (typeof body.minute !== "number" || body.minute < 0)) {
+      throw createError(400, "minute must be a non-negative number or null");
+    }
+    event.minute = body.minute;
+  }
+
+  if (path === "goals") {
+    // team is the side of the player who scored, as when the goal was entered
+    const ownGoal = has(body, "ownGoal") ? !!body.ownGoal : !!event.ownGoal;
+    const wasOwnGoal = !!event.ownGoal;
+    const currentSide = wasOwnGoal ? (sameId(event.team, homeId) ? match.awayTeam : match.homeTeam) : event.team;
+    const side = has(body, "team") ? resolveTeam(body.team) : currentSide;
+    const player = has(body, "scorer") ? playerField("scorer") : wasOwnGoal ? event.ownBy : event.scorer;
+
+    event.ownGoal = ownGoal;
+    event.team = ownGoal ? (sameId(side, homeId) ? match.awayTeam : match.homeTeam) : side;
+    event.scorer = ownGoal ? null : player;
+    event.ownBy = ownGoal ? player : null;
+    if (has(body, "assist")) event.assist = playerField("assist");
+    if (has(body, "period")) {
+      if (!["regular", "extraTime"].includes(body.period)) throw createError(400, "period must be regular or extraTime");
+      if (body.period === "extraTime" && !match.extraTime) throw createError(400, "Extra-time goals need extraTime set on the match");
+      event.period = body.period;
+    }
+  } else if (path === "cards") {
+    if (has(body, "type")) {
+      if (!["Yellow", "Red"].includes(body.type)) throw createError(400, "type must be Yellow or Red");
+      event.type = body.type;
+    }
+    if (has(body, "player")) event.player = playerField("player");
+    if (has(body, "team")) event.team = resolveTeam(body.team);
+  } else if (path === "substitutions") {
+    if (has(body, "playerIn")) event.playerIn = playerField("playerIn");
+    if (has(body, "playerOut")) event.playerOut = playerField("playerOut");
+    if (has(body, "team")) event.team = resolveTeam(body.team);
+  } else if (path === "matchRatings") {
+    if (has(body, "rating")) {
+      if (body.rating !== null && !Number.isFinite(Number(body.rating))) throw createError(400, "rating must be a number");
+      event.rating = body.rating === null ? null : Number(body.rating);
+    }
+    if (has(body, "player")) event.player = playerField("player", { nullable: false });
+  }
+}
+
+/**
+ * Shared flow of the edit and delete actions. action: "updated" | "removed"
+ */
+async function changeMatchEvent(req, res, next, action) {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  const abort = async (err) => {
+    try {
+      await session.abortTransaction();
+    } catch (e) {
+      /* ignore */
+    }
+    session.endSession();
+    return next(err);
+  };
+
+  try {
+    const user = await User.findById(req.user?.id).session(session).lean().exec();
+    if (!user || user.role !== "admin") return abort(createError(403, "You are not authorized to update matches"));
+
+    const { id, type, eventId } = req.params;
+    const eventType = EVENT_TYPES[type];
+    if (!eventType) return abort(createError(400, `Event type must be one of: ${Object.keys(EVENT_TYPES).join(", ")}`));
+    if (!isValidId(id)) return abort(createError(400, "Valid matchId is required"));
+    if (!isValidId(eventId)) return abort(createError(400, "Valid event id is required"));
+
+    const match = await Match.findById(id).session(session);
+    if (!match) return abort(createError(404, "Match not found"));
+    const { path } = eventType;
+    const event = match[path].id(eventId);
+    if (!event) return abort(createError(404, "Event not found"));
+
+    const wasFulltime = !!match.fulltime;
+    const stage = await getMatchStage(match._id, session);
+    const affectsTable = !isKnockoutStage(stage);
+    const competitionId = await resolveMatchCompetitionId(match, session);
+    const before = match.toObject();
+    const previousWinner = wasFulltime ? resolveMatchWinner(match).winner : null;
+    const playersBefore = eventPlayers(path, event);
+
+    // full time: take the match's result and fantasy points back before changing it
+    if (wasFulltime) {
+      if (path === "goals") await applyMatchToTeamStats(match, { competitionId, affectsTable, sign: -1, session });
+      await revertFantasyForMatch(match, session);
+    }
+
+    if (action === "removed") {
+      match[path].pull(event._id);
+    } else {
+      applyEventUpdate(match, path, event, req.body || {});
+      const errors = await validateMatchEvents(match, {
+        check: [{ type: eventType.type, event, index: null }],
+        maxSubstitutions: await getMaxSubstitutions(competitionId, session),
+        session,
+      });
+      if (errors.length > 0) return abort(matchValidationError(errors));
+    }
+
+    match.recomputeScoresFromGoals();
+    if (match.penaltyShootout?.kicks?.length > 0 && match.homeScore !== match.awayScore) {
+      return abort(createError(409, "The score must stay level once a penalty shootout has been recorded"));
+    }
+
+    const affectedPlayers = new Set([...playersBefore, ...(action === "removed" ? [] : eventPlayers(path, event))]);
+    for (const playerId of affectedPlayers) {
+      await syncPlayerWithMatch(playerId, playerMatchCredit(before, playerId), match, {
+        competitionId,
+        cardsChanged: path === "cards",
+        session,
+      });
+    }
+
+    let bracketRetracted = false;
+    if (wasFulltime) {
+      if (path === "goals") await applyMatchToTeamStats(match, { competitionId, affectsTable, session });
+      if (!affectsTable) {
+        const { winner } = resolveMatchWinner(match);
+        if (!winner) {
+          return abort(createError(409, "This change leaves the knockout match level: revert full time and record a shootout instead"));
+        }
+        if (!sameId(winner, previousWinner)) bracketRetracted = (await retractBracketForMatch(match, { session })).retracted;
+      }
+    }
+
+    await match.save({ session });
+    await session.commitTransaction();
+    session.endSession();
+
+    emitToMatch(match._id, `match:event:${action}`, {
+      type: eventType.type,
+      eventId: String(eventId),
+      event: action === "updated" ? event.toObject() : null,
+    });
+    if (match.homeScore !== before.homeScore || match.awayScore !== before.awayScore) {
+      emitToMatch(match._id, "match:score", { homeScore: match.homeScore, awayScore: match.awayScore, result: match.result });
+    }
+
+    let fantasyRecomputed = false;
+    if (wasFulltime) {
+      try {
+        const fantasyResult = await computePointsForMatch(match._id);
+        fantasyRecomputed = true;
+        emitToGameweek(fantasyResult?.gameweekNumber, "fantasy:points", {
+          matchId: String(match._id),
+          recomputed: true,
+          teams: Object.entries(fantasyResult?.matchFantasyTeamPoints || {}).map(([fantasyTeamId, points]) => ({ fantasyTeamId, points })),
+        });
+      } catch (err) {
+        console.error("Error recomputing fantasy points for match:", err);
+      }
+      if (bracketRetracted) {
+        try {
+          await handleBracketAfterFulltime(match);
+        } catch (err) {
+          console.error("Error updating the knockout bracket:", err);
+        }
+      }
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: action === "updated" ? "Match event updated" : "Match event removed",
+      data: {
+        matchId: String(match._id),
+        type: eventType.type,
+        eventId: String(eventId),
+        event: action === "updated" ? event.toObject() : null,
+        homeScore: match.homeScore,
+        awayScore: match.awayScore,
+        result: match.result,
+        fulltime: wasFulltime,
+        fantasyRecomputed,
+        bracketRetracted,
+      },
+    });
+  } catch (error) {
+    console.error(`Error (${action}) match event:`, error);
+    return abort(error.status ? error : createError(500, "Error updating match event"));
+  }
+}
+
+/**
+ * PATCH /api/match/:id/events/:type/:eventId (admin)
+ * type: goals | cards | substitutions | ratings
+ * Body: the fields to change
+ *   goals: minute, scorer, assist, team (side of the scorer), ownGoal, period
+ *   cards: minute, player, team, type
+ *   substitutions: minute, playerIn, playerOut, team
+ *   ratings: rating, player
+ */
+export const updateMatchEvent = (req, res, next) => changeMatchEvent(req, res, next, "updated");
+
+/**
+ * DELETE /api/match/:id/events/:type/:eventId (admin)
+ */
+export const deleteMatchEvent = (req, res, next) => changeMatchEvent(req, res, next, "removed");
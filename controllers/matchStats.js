@@ -0,0 +1,167 @@
+// controllers/matchStats.js
+import mongoose from "mongoose";
+import Player from "../models/Player.js";
+import { TEAM_MATCH_STATS, PLAYER_MATCH_STATS } from "../models/Match.js";
+
+/**
+ * Match statistics sent to updateMatch:
+ *   updateData.teamStats = { home: { possession, shots, shotsOnTarget, corners, fouls, offsides, saves }, away: { ... } }
+ *   updateData.playerStats = [{ player, minutesPlayed, shots, shotsOnTarget, saves, tackles }]
+ * Only the fields sent change (null clears one); a player's stat line is created the first time it is sent.
+ * Player.matchStatTotals follow the stat lines as they change, like goals follow the goals array;
+ * team counters take a match's statistics at full time (see teamStats.js).
+ */
+
+// 90 minutes, 30 of extra time and stoppage time
+const MAX_MINUTES = 150;
+
+const toId = (v) => (v && v._id ? String(v._id) : v ? String(v) : null);
+const plain = (doc) => (doc && typeof doc.toObject === "function" ? doc.toObject() : { ...(doc || {}) });
+
+// a non-negative whole number (up to max), null to clear, undefined when invalid
+function readStat(value, max = Infinity) {
+  if (value === null) return null;
+  const n = Number(value);
+  if (value === "" || typeof value === "boolean" || !Number.isInteger(n) || n < 0 || n > max) return undefined;
+  return n;
+}
+
+function invalidStatMessage(field, max) {
+  return max === Infinity ? `${field} must be a non-negative whole number` : `${field} must be a whole number from 0 to ${max}`;
+}
+
+// the stat line's values for the totals (not recorded = 0)
+function statValues(line) {
+  return Object.fromEntries(PLAYER_MATCH_STATS.map((f) => [f, Number(line?.[f] ?? 0)]));
+}
+
+/**
+ * Merge updateData.teamStats into match.teamStats.
+ * Returns [{ type: "teamStats", index, eventId, field, message }] for what could not be applied.
+ */
+export function applyTeamStatsUpdate(match, raw) {
+  const errors = [];
+  const fail = (field, message) => errors.push({ type: "teamStats", index: null, eventId: null, field, message });
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    fail("teamStats", "teamStats must be an object with home and/or away");
+    return errors;
+  }
+
+  for (const [side, values] of Object.entries(raw)) {
+    if (!["home", "away"].includes(side)) {
+      fail(side, "teamStats only has home and away");
+      continue;
+    }
+    if (!values || typeof values !== "object" || Array.isArray(values)) {
+      fail(side, `${side} must be an object`);
+      continue;
+    }
+    const merged = plain(match.teamStats?.[side]);
+    for (const [field, value] of Object.entries(values)) {
+      if (!TEAM_MATCH_STATS.includes(field)) {
+        fail(`${side}.${field}`, `Unknown team statistic: ${field}`);
+        continue;
+      }
+      const max = field === "possession" ? 100 : Infinity;
+      const n = readStat(value, max);
+      if (n === undefined) fail(`${side}.${field}`, invalidStatMessage(field, max));
+      else merged[field] = n;
+    }
+    match.set(`teamStats.${side}`, merged);
+  }
+
+  for (const side of ["home", "away"]) {
+    const stats = match.teamStats?.[side];
+    if (stats?.shots != null && stats?.shotsOnTarget != null && stats.shotsOnTarget > stats.shots) {
+      fail(`${side}.shotsOnTarget`, "shotsOnTarget cannot be more than shots");
+    }
+  }
+  const homePossession = match.teamStats?.home?.possession;
+  const awayPossession = match.teamStats?.away?.possession;
+  if (homePossession != null && awayPossession != null && homePossession + awayPossession !== 100) {
+    fail("possession", "home and away possession must add up to 100");
+  }
+  return errors;
+}
+
+/**
+ * Merge updateData.playerStats into match.playerStats.
+ * Returns { errors, checks, before }:
+ * - checks: the stat lines to validate against the squads (validateMatchEvents, type "playerStats")
+ * - before: Map playerId -> the line's values before this update (for syncPlayerStatTotals)
+ */
+export function applyPlayerStatsUpdate(match, lines) {
+  const errors = [];
+  const checks = [];
+  const before = new Map();
+  if (!Array.isArray(lines)) {
+    errors.push({ type: "playerStats", index: null, eventId: null, field: "playerStats", message: "playerStats must be an array" });
+    return { errors, checks, before };
+  }
+
+  for (const [index, line] of lines.entries()) {
+    const fail = (field, message) => errors.push({ type: "playerStats", index, eventId: null, field, message });
+    const pid = toId(line?.player);
+    if (!pid || !mongoose.Types.ObjectId.isValid(pid)) {
+      fail("player", "A valid player id is required");
+      continue;
+    }
+
+    const values = {};
+    let valid = true;
+    for (const [field, value] of Object.entries(line)) {
+      if (field === "player") continue;
+      if (!PLAYER_MATCH_STATS.includes(field)) {
+        fail(field, `Unknown player statistic: ${field}`);
+        valid = false;
+        continue;
+      }
+      const max = field === "minutesPlayed" ? MAX_MINUTES : Infinity;
+      const n = readStat(value, max);
+      if (n === undefined) {
+        fail(field, invalidStatMessage(field, max));
+        valid = false;
+      } else {
+        values[field] = n;
+      }
+    }
+    if (!valid) continue;
+
+    let entry = match.playerStats.find((s) => toId(s.player) === pid);
+    if (!before.has(pid)) before.set(pid, statValues(entry));
+    if (!entry) {
+      match.playerStats.push({ player: pid });
+      entry = match.playerStats[match.playerStats.length - 1];
+    }
+    entry.set(values);
+
+    if (entry.shots != null && entry.shotsOnTarget != null && entry.shotsOnTarget > entry.shots) {
+      fail("shotsOnTarget", "shotsOnTarget cannot be more than shots");
+    }
+    checks.push({ type: "playerStats", event: entry, index });
+  }
+  return { errors, checks, before };
+}
+
+/**
+ * Move Player.matchStatTotals by the change of each player's stat line (before: from applyPlayerStatsUpdate).
+ * Returns the number of players updated.
+ */
+export async function syncPlayerStatTotals(match, before, session = null) {
+  let updated = 0;
+  for (const [pid, previous] of before) {
+    const current = statValues(match.playerStats.find((s) => toId(s.player) === pid));
+    const changed = PLAYER_MATCH_STATS.filter((f) => current[f] !== previous[f]);
+    if (changed.length === 0) continue;
+
+    const player = await Player.findById(pid).session(session);
+    if (!player) continue;
+    for (const field of changed) {
+      const total = Number(player.matchStatTotals?.[field] ?? 0) + current[field] - previous[field];
+      player.set(`matchStatTotals.${field}`, Math.max(0, total));
+    }
+    await player.save({ session });
+    updated += 1;
+  }
+  return updated;
+}
@@ -0,0 +1,128 @@
+// controllers/matchStatus.js
+import mongoose from "mongoose";
+import Fixture from "../models/Fixtures.js";
+import Match, { MATCH_STATUSES, MATCH_STATUS_TRANSITIONS, VOID_MATCH_STATUSES, resolveMatchStatus, matchClock } from "../models/Match.js";
+import User from "../models/User.js";
+import { createError } from "../error.js";
+import { emitToMatch, emitToGameweek } from "../socket.js";
+import { isKnockoutStage, getMatchStage, applyFulltimeInSession, afterFulltimeCommitted } from "./match.js";
+import { resolveMatchCompetitionId } from "./teamStats.js";
+import { refreshGameweekDeadlines } from "./fixtureSchedule.js";
+import { processGameweekAutoSubs, resolveGameweekNumberForMatch } from "./fantasy.js";
+import { handleBracketAfterFulltime } from "./bracket.js";
+
+// statuses that change whether a match counts for its gameweek's deadline
+const SCHEDULE_STATUSES = ["scheduled", "postponed", "cancelled"];
+
+/**
+ * Admin transitions of the match lifecycle (see MATCH_STATUS_TRANSITIONS in models/Match.js).
+ * Going to finished does everything `fulltime: true` does in updateMatch.
+ */
+
+/**
+ * A cancelled or abandoned match no longer holds its gameweek or the league stage open: run the auto subs
+ * of a gameweek it leaves complete and seed knockout placeholders it leaves ready. Failures are logged.
+ */
+async function afterMatchVoided(match) {
+  try {
+    const gameweekNumber = await resolveGameweekNumberForMatch(match);
+    const competitionId = await resolveMatchCompetitionId(match);
+    const autoSubs = await processGameweekAutoSubs(gameweekNumber, { competitionId });
+    if (autoSubs?.applied) emitToGameweek(gameweekNumber, "fantasy:autosubs", autoSubs);
+  } catch (err) {
+    console.error("Error running auto subs after a voided match:", err);
+  }
+  try {
+    await handleBracketAfterFulltime(match);
+  } catch (err) {
+    console.error("Error updating the knockout bracket:", err);
+  }
+}
+
+/**
+ * POST /api/match/:id/status (admin)
+ * Body: { status, at? } (at: when it happened, defaults to now; used for the live minute)
+ */
+export const updateMatchStatus = async (req, res, next) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  const abort = async (err) => {
+    try {
+      await session.abortTransaction();
+    } catch (e) {
+      /* ignore */
+    }
+    session.endSession();
+    return next(err);
+  };
+
+  try {
+    const user = await User.findById(req.user?.id).session(session).lean().exec();
+    if (!user || user.role !== "admin") return abort(createError(403, "You are not authorized to update matches"));
+
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(String(id))) return abort(createError(400, "Valid matchId is required"));
+
+    const { status, at } = req.body || {};
+    if (!MATCH_STATUSES.includes(status)) return abort(createError(400, `status must be one of: ${MATCH_STATUSES.join(", ")}`));
+    const when = at ? new Date(at) : new Date();
+    if (Number.isNaN(when.getTime())) return abort(createError(400, "at must be a valid date"));
+
+    const match = await Match.findById(id).session(session);
+    if (!match) return abort(createError(404, "Match not found"));
+
+    const from = resolveMatchStatus(match);
+    if (!(MATCH_STATUS_TRANSITIONS[from] || []).includes(status)) {
+      return abort(createError(409, `A ${from} match cannot go to ${status}`));
+    }
+
+    const stage = await getMatchStage(match._id, session);
+    if (["extraTime", "penalties"].includes(status)) {
+      if (!isKnockoutStage(stage)) return abort(createError(400, "Extra time and penalties are only played in knockout matches"));
+      match.recomputeScoresFromGoals();
+      if (match.homeScore !== match.awayScore) return abort(createError(409, `A match that is not level does not go to ${status}`));
+      if (status === "extraTime") match.extraTime = true;
+    }
+
+    match.setStatus(status, { at: when });
+
+    const finishing = status === "finished";
+    if (finishing) {
+      match.fulltime = true;
+      const competitionId = await resolveMatchCompetitionId(match, session);
+      await applyFulltimeInSession(match, { stage, competitionId, session });
+    }
+
+    await match.save({ session });
+
+    let deadlines = [];
+    if (SCHEDULE_STATUSES.includes(status)) {
+      const fixture = await Fixture.findOne({ match: match._id }).select("gameweek").session(session).lean().exec();
+      if (fixture?.gameweek) deadlines = await refreshGameweekDeadlines([fixture.gameweek], session);
+    }
+    await session.commitTransaction();
+    session.endSession();
+
+    const clock = matchClock(match);
+    emitToMatch(match._id, "match:status", { status, from, at: when, clock });
+    if (finishing) await afterFulltimeCommitted(match);
+    else if (VOID_MATCH_STATUSES.includes(status)) await afterMatchVoided(match);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        matchId: String(match._id),
+        status,
+        from,
+        at: when,
+        clock,
+        fulltime: !!match.fulltime,
+        statusHistory: match.statusHistory,
+        deadlines,
+      },
+    });
+  } catch (err) {
+    console.error("[updateMatchStatus] error:", err);
+    return abort(err.status ? err : createError(500, "Error updating match status"));
+  }
+};
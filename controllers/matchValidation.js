@@ -0,0 +1,250 @@
+// controllers/matchValidation.js
+import Player from "../models/Player.js";
+import Competition from "../models/Competition.js";
+import { createError } from "../error.js";
+
+/**
+ * Checks match events against the two teams' squads and who was on the pitch.
+ *
+ * It runs on the match as it is about to be saved, so events sent in the same update see each other
+ * (a substitution and a goal by the player coming on). Only the events passed in `check` are validated,
+ * so older entries recorded before these rules never block new ones.
+ *
+ * On the pitch: starters, and players subbed on at or before the minute, until they are subbed off or sent off.
+ * Minutes that were not entered get the benefit of the doubt. A side whose lineup was never entered is
+ * only checked for squad membership.
+ */
+
+export const DEFAULT_MAX_SUBSTITUTIONS = 5;
+
+const toId = (v) => (v && v._id ? String(v._id) : v ? String(v) : null);
+const idList = (arr) => (Array.isArray(arr) ? arr.map(toId).filter(Boolean) : []);
+const minuteOr = (minute, fallback) => (typeof minute === "number" ? minute : fallback);
+
+export async function getMaxSubstitutions(competitionId, session = null) {
+  if (!competitionId) return DEFAULT_MAX_SUBSTITUTIONS;
+  const competition = await Competition.findById(competitionId).select("maxSubstitutions").session(session).lean().exec();
+  return competition?.maxSubstitutions ?? DEFAULT_MAX_SUBSTITUTIONS;
+}
+
+// players an event to check mentions
+function checkPlayers({ type, event }) {
+  const fields = {
+    goal: ["scorer", "assist", "ownBy"],
+    card: ["player"],
+    substitution: ["playerIn", "playerOut"],
+    rating: ["player"],
+    penalty: ["taker", "goalkeeper"],
+    manOfTheMatch: ["player"],
+    playerStats: ["player"],
+  }[type] || [];
+  return fields.map((f) => toId(event?.[f])).filter(Boolean);
+}
+
+/**
+ * Validate events of a match (a Match document with the update applied in memory).
+ * check: [{ type: goal | card | substitution | rating | penalty | manOfTheMatch | playerStats, event, index }]
+ *   index is the event's position in the request (null when not from an array)
+ * lineupsChanged: also validate lineups and bench
+ * Returns [{ type, index, eventId, field, message }] (empty when everything is valid).
+ */
+export async function validateMatchEvents(match, { check = [], lineupsChanged = false, maxSubstitutions = DEFAULT_MAX_SUBSTITUTIONS, session = null } = {}) {
+  const homeId = toId(match.homeTeam);
+  const awayId = toId(match.awayTeam);
+  const sideOfTeam = (teamId) => (teamId === homeId ? "home" : teamId === awayId ? "away" : null);
+  const otherSide = (side) => (side === "home" ? "away" : "home");
+  const lineups = { home: idList(match.lineups?.home), away: idList(match.lineups?.away) };
+  const bench = { home: idList(match.bench?.home), away: idList(match.bench?.away) };
+  const subs = match.substitutions || [];
+  const cards = match.cards || [];
+
+  const mentioned = new Set(check.flatMap(checkPlayers));
+  if (lineupsChanged) [...lineups.home, ...lineups.away, ...bench.home, ...bench.away].forEach((id) => mentioned.add(id));
+  const players = mentioned.size > 0
+    ? await Player.find({ _id: { $in: Array.from(mentioned) } }).select("name team").session(session).lean().exec()
+    : [];
+  const playerById = new Map(players.map((p) => [String(p._id), p]));
+  const nameOf = (pid) => playerById.get(pid)?.name || pid;
+  const sideOf = (pid) => sideOfTeam(toId(playerById.get(pid)?.team));
+
+  const errors = [];
+  const fail = (item, field, message) => {
+    errors.push({ type: item.type, index: item.index ?? null, eventId: item.event?._id ? String(item.event._id) : null, field, message });
+  };
+
+  // player exists and plays for one of the teams (for `side` when given)
+  const belongs = (item, field, pid, side = null) => {
+    if (!playerById.has(pid)) {
+      fail(item, field, "Player not found");
+      return false;
+    }
+    const playerSide = sideOf(pid);
+    if (!playerSide) {
+      fail(item, field, `${nameOf(pid)} does not play for either team`);
+      return false;
+    }
+    if (side && playerSide !== side) {
+      fail(item, field, `${nameOf(pid)} does not play for the ${side} team`);
+      return false;
+    }
+    return true;
+  };
+
+  // red card, or second yellow (Infinity when never sent off or the minute is unknown)
+  const sentOffAt = (pid) => {
+    let yellows = 0;
+    for (const card of cards) {
+      if (toId(card.player) !== pid) continue;
+      if (card.type === "Yellow") yellows += 1;
+      if (card.type === "Red" || yellows === 2) return minuteOr(card.minute, Infinity);
+    }
+    return Infinity;
+  };
+
+  const inSquad = (pid, side) =>
+    lineups[side].includes(pid) || bench[side].includes(pid) || subs.some((s) => toId(s.playerIn) === pid);
+
+  const onPitch = (pid, side, minute) => {
+    if (lineups[side].length === 0) return true;
+    const started = lineups[side].includes(pid);
+    const ons = subs.filter((s) => toId(s.playerIn) === pid).map((s) => minuteOr(s.minute, 0));
+    if (!started && ons.length === 0) return false;
+    if (minute == null) return true;
+    const onAt = started ? 0 : Math.min(...ons);
+    const offs = subs.filter((s) => toId(s.playerOut) === pid).map((s) => minuteOr(s.minute, Infinity));
+    const offAt = Math.min(Infinity, ...offs, sentOffAt(pid));
+    return onAt <= minute && minute <= offAt;
+  };
+
+  const requireOnPitch = (item, field, pid, side, minute) => {
+    if (onPitch(pid, side, minute)) return;
+    fail(item, field, minute == null ? `${nameOf(pid)} did not play in this match` : `${nameOf(pid)} was not on the pitch at minute ${minute}`);
+  };
+
+  for (const item of check) {
+    const { type, event } = item;
+    if (!event) continue;
+    const minute = typeof event.minute === "number" ? event.minute : null;
+
+    if (type === "goal") {
+      const beneficiary = sideOfTeam(toId(event.team));
+      if (!beneficiary) {
+        fail(item, "team", "Goal team could not be determined: send team or a scorer of one of the teams");
+        continue;
+      }
+      // the player's side: an own goal counts for the other team
+      const side = event.ownGoal ? otherSide(beneficiary) : beneficiary;
+      const playerId = toId(event.ownGoal ? event.ownBy : event.scorer);
+      if (playerId && belongs(item, "scorer", playerId, side)) requireOnPitch(item, "scorer", playerId, side, minute);
+
+      const assistId = toId(event.assist);
+      if (assistId) {
+        if (assistId === playerId) fail(item, "assist", "A player cannot assist their own goal");
+        else if (belongs(item, "assist", assistId, side)) requireOnPitch(item, "assist", assistId, side, minute);
+      }
+    } else if (type === "card") {
+      const pid = toId(event.player);
+      if (!pid) continue;
+      const side = event.team ? sideOfTeam(toId(event.team)) : null;
+      if (event.team && !side) {
+        fail(item, "team", "team must be the home or away team");
+        continue;
+      }
+      if (!belongs(item, "player", pid, side)) continue;
+      const playerSide = sideOf(pid);
+      // cards can be shown to substitutes, but only to players in the matchday squad
+      if (lineups[playerSide].length > 0 && !inSquad(pid, playerSide)) {
+        fail(item, "player", `${nameOf(pid)} is not in the matchday squad`);
+        continue;
+      }
+      // sent off before this card (the card that sends a player off is fine)
+      const offAt = sentOffAt(pid);
+      if (minute != null && offAt < minute) fail(item, "player", `${nameOf(pid)} was already sent off at minute ${offAt}`);
+    } else if (type === "substitution") {
+      const inId = toId(event.playerIn);
+      const outId = toId(event.playerOut);
+      if (!inId || !outId) {
+        fail(item, inId ? "playerOut" : "playerIn", "Both playerIn and playerOut are required");
+        continue;
+      }
+      if (inId === outId) {
+        fail(item, "playerIn", "A player cannot replace themselves");
+        continue;
+      }
+      const teamSide = event.team ? sideOfTeam(toId(event.team)) : null;
+      if (event.team && !teamSide) {
+        fail(item, "team", "team must be the home or away team");
+        continue;
+      }
+      const side = teamSide || (playerById.has(outId) ? sideOf(outId) : null);
+      if (!belongs(item, "playerOut", outId, side) || !belongs(item, "playerIn", inId, side || sideOf(outId))) continue;
+      const subSide = side || sideOf(outId);
+
+      // the player going off has to be on
+      if (!onPitch(outId, subSide, minute)) {
+        fail(item, "playerOut", minute == null ? `${nameOf(outId)} is not on the pitch` : `${nameOf(outId)} was not on the pitch at minute ${minute}`);
+      }
+
+      // the player coming on: from the bench, not already on, and not back after going off
+      const others = subs.filter((s) => s !== event && (!event._id || String(s._id) !== String(event._id)));
+      if (lineups[subSide].includes(inId)) {
+        fail(item, "playerIn", `${nameOf(inId)} is already on the pitch`);
+      } else if (others.some((s) => toId(s.playerIn) === inId)) {
+        fail(item, "playerIn", `${nameOf(inId)} has already come on`);
+      } else if (others.some((s) => toId(s.playerOut) === inId)) {
+        fail(item, "playerIn", `${nameOf(inId)} was substituted off and cannot come back on`);
+      } else if (bench[subSide].length > 0 && !bench[subSide].includes(inId)) {
+        fail(item, "playerIn", `${nameOf(inId)} is not on the bench`);
+      }
+
+      const used = subs.filter((s) => sideOfTeam(toId(s.team)) === subSide || (!s.team && sideOf(toId(s.playerOut)) === subSide)).length;
+      if (used > maxSubstitutions) fail(item, "team", `The ${subSide} team can make at most ${maxSubstitutions} substitution(s)`);
+    } else if (type === "penalty") {
+      const side = sideOfTeam(toId(event.team));
+      if (!side) continue; // the shootout section reports the team
+      // only players still on at the final whistle take part
+      const shootoutPlayers = [["taker", toId(event.taker), side], ["goalkeeper", toId(event.goalkeeper), otherSide(side)]];
+      for (const [field, pid, playerSide] of shootoutPlayers) {
+        if (!pid || !belongs(item, field, pid, playerSide)) continue;
+        if (!onPitch(pid, playerSide, Infinity)) fail(item, field, `${nameOf(pid)} was not on the pitch at the end of the match`);
+      }
+    } else if (type === "rating" || type === "manOfTheMatch") {
+      const pid = toId(event.player);
+      if (pid) belongs(item, "player", pid);
+    } else if (type === "playerStats") {
+      const pid = toId(event.player);
+      if (!pid || !belongs(item, "player", pid)) continue;
+      const side = sideOf(pid);
+      if (lineups[side].length === 0) continue;
+      if (!inSquad(pid, side)) fail(item, "player", `${nameOf(pid)} is not in the matchday squad`);
+      else if (event.minutesPlayed > 0 && !onPitch(pid, side, null)) fail(item, "minutesPlayed", `${nameOf(pid)} did not play in this match`);
+    }
+  }
+
+  if (lineupsChanged) {
+    for (const side of ["home", "away"]) {
+      const listed = [...lineups[side].map((pid) => ["lineup", pid]), ...bench[side].map((pid) => ["bench", pid])];
+      const seen = new Set();
+      for (const [type, pid] of listed) {
+        const item = { type, index: null, event: null };
+        if (seen.has(pid)) {
+          fail(item, side, `${nameOf(pid)} is listed more than once`);
+          continue;
+        }
+        seen.add(pid);
+        belongs(item, side, pid, side);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * 400 carrying the per-event errors (sent back by the error handler as `errors`).
+ */
+export function matchValidationError(errors) {
+  const err = createError(400, `Match update rejected: ${errors.length} invalid event(s)`);
+  err.errors = errors;
+  return err;
+}
@@ -1,7 +1,9 @@
 import Player from "../models/Player.js";
 import Team from "../models/Team.js";
 import User from "../models/User.js";
+import Season from "../models/Season.js";
 import { createError } from "../error.js";// Ensure this is imported or implemented
+import { resolveSeason, describeSeason } from "./seasonScope.js";
 //tmeporary
 export const tempcreatePlayer = async (req, res, next) => {
   try {
@@ -82,6 +84,17 @@ export const getPlayer = async (req, res, next) => {
       if (!player) {
         return next(createError(404, "Player not found"));
       }
+
+      // ?season= (season id, or number with ?competitionId=): totals archived for a closed season
+      if (req.query.season) {
+        const scope = await resolveSeason(req.query.competitionId || null, req.query.season);
+        let seasonStats = null;
+        if (scope.archived) {
+          const archived = await Season.findById(scope.season._id).select("archive.playerStats").lean().exec();
+          seasonStats = (archived?.archive?.playerStats || []).find((row) => String(row.player) === String(player._id)) || null;
+        }
+        return res.status(200).json({ success: true, data: { ...player.toObject(), season: describeSeason(scope), seasonStats } });
+      }
   
       res.status(200).json({ success: true, data: player });
     } catch (err) {
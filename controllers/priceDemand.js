@@ -0,0 +1,214 @@
+// controllers/priceDemand.js
+import mongoose from "mongoose";
+import { createError } from "../error.js";
+import Player from "../models/Player.js";
+import FantasyTeam from "../models/Felteam.js";
+import { resolveSeason, describeSeason } from "./seasonScope.js";
+
+/**
+ * Demand-driven price model (runs next to the performance cron in cronjob/cron.js):
+ *
+ * - every fantasy transfer adds +1 (in) / -1 (out) to the player's net transfer progress
+ * - once a day, a player whose net progress reaches the threshold rises by one price step,
+ *   one whose progress reaches -threshold falls by one step (at most one change per player per day)
+ * - the threshold used up by a change is taken off the progress, the rest carries over
+ * - everything resets at each gameweek deadline
+ */
+export const DEMAND_CONFIG = {
+  priceStep: 0.1,
+  // net transfers needed for a change: share of all fantasy teams, with a floor for small games
+  thresholdShare: 0.05,
+  minThreshold: 5,
+  minPrice: 7, // fallback if player schema doesn't define min
+  maxPrice: 12, // fallback
+};
+
+const roundPrice = (value) => Math.round(value * 10) / 10;
+
+function priceLimits() {
+  const options = Player.schema.path("price")?.options || {};
+  return { min: options.min ?? DEMAND_CONFIG.minPrice, max: options.max ?? DEMAND_CONFIG.maxPrice };
+}
+
+function startOfDay(date) {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+}
+
+/**
+ * Net transfers a player needs to move in price, scaled to the number of fantasy teams.
+ */
+export async function getDemandThreshold() {
+  const teamCount = await FantasyTeam.countDocuments({}).exec();
+  return Math.max(DEMAND_CONFIG.minThreshold, Math.ceil(teamCount * DEMAND_CONFIG.thresholdShare));
+}
+
+/**
+ * Record a batch of transfers ([{ out, in }]) as demand on the players involved.
+ */
+export async function recordTransferDemand(transfers = [], { session = null } = {}) {
+  const ops = [];
+  for (const tr of transfers) {
+    if (tr.in) {
+      ops.push({ updateOne: { filter: { _id: tr.in }, update: { $inc: { "transferDemand.transfersIn": 1, "transferDemand.progress": 1 } } } });
+    }
+    if (tr.out) {
+      ops.push({ updateOne: { filter: { _id: tr.out }, update: { $inc: { "transferDemand.transfersOut": 1, "transferDemand.progress": -1 } } } });
+    }
+  }
+  if (ops.length > 0) await Player.bulkWrite(ops, session ? { session } : {});
+  return ops.length;
+}
+
+/**
+ * New gameweek window: demand only counts between deadlines.
+ */
+export async function resetTransferDemand() {
+  const result = await Player.updateMany(
+    {},
+    { $set: { "transferDemand.transfersIn": 0, "transferDemand.transfersOut": 0, "transferDemand.progress": 0 } }
+  ).exec();
+  return result.modifiedCount ?? 0;
+}
+
+/**
+ * Where a player's price is heading.
+ * Returns { direction: "rise"|"fall"|null, progress, ratio, changeDue }
+ */
+export function predictPriceChange(player, threshold, now = new Date()) {
+  const progress = Number(player.transferDemand?.progress || 0);
+  const ratio = threshold > 0 ? progress / threshold : 0;
+  const { min, max } = priceLimits();
+  const price = Number(player.price ?? min);
+  const changedToday = player.transferDemand?.lastChangeAt && new Date(player.transferDemand.lastChangeAt) >= startOfDay(now);
+
+  let direction = null;
+  if (progress > 0 && price < max) direction = "rise";
+  else if (progress < 0 && price > min) direction = "fall";
+
+  return { direction, progress, ratio, changeDue: !!direction && Math.abs(ratio) >= 1 && !changedToday };
+}
+
+/**
+ * Daily run: apply one price step to every player whose net transfers crossed the threshold.
+ * Returns { threshold, risers, fallers }
+ */
+export async function applyDemandPriceChanges(now = new Date()) {
+  const threshold = await getDemandThreshold();
+  const { min, max } = priceLimits();
+  const candidates = await Player.find({
+    $or: [{ "transferDemand.progress": { $gte: threshold } }, { "transferDemand.progress": { $lte: -threshold } }],
+  }).select("price transferDemand").lean().exec();
+
+  const ops = [];
+  let risers = 0;
+  let fallers = 0;
+  for (const p of candidates) {
+    const prediction = predictPriceChange(p, threshold, now);
+    if (!prediction.changeDue) continue;
+
+    const sign = prediction.direction === "rise" ? 1 : -1;
+    const previousPrice = Number(p.price ?? min);
+    const price = roundPrice(Math.max(min, Math.min(max, previousPrice + sign * DEMAND_CONFIG.priceStep)));
+    if (price === previousPrice) continue;
+
+    ops.push({
+      updateOne: {
+        filter: { _id: p._id },
+        update: {
+          $set: { price, "transferDemand.lastChangeAt": now },
+          $inc: { "transferDemand.progress": -sign * threshold },
+          $push: {
+            priceHistory: {
+              price,
+              previousPrice,
+              change: roundPrice(price - previousPrice),
+              reason: "demand",
+              netTransfers: prediction.progress,
+              changedAt: now,
+            },
+          },
+        },
+      },
+    });
+    if (sign > 0) risers += 1;
+    else fallers += 1;
+  }
+
+  if (ops.length > 0) await Player.bulkWrite(ops);
+  return { threshold, risers, fallers };
+}
+
+/* -----------------------
+   Controller actions
+   ----------------------- */
+
+/**
+ * GET /api/player/price-predictions
+ * Query: limit? (default 20 per list)
+ * Players closest to a demand-driven rise or fall, with their progress towards the threshold.
+ * Not season-scoped: it only looks at the demand since the last deadline.
+ */
+export const getPricePredictions = async (req, res, next) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const threshold = await getDemandThreshold();
+
+    const players = await Player.find({ "transferDemand.progress": { $ne: 0 } })
+      .select("name position team price transferDemand")
+      .populate("team", "name")
+      .lean()
+      .exec();
+
+    const now = new Date();
+    const rows = players.map((p) => ({
+      playerId: String(p._id),
+      name: p.name,
+      position: p.position,
+      team: p.team,
+      price: p.price,
+      transfersIn: p.transferDemand?.transfersIn || 0,
+      transfersOut: p.transferDemand?.transfersOut || 0,
+      ...predictPriceChange(p, threshold, now),
+    }));
+
+    const risers = rows.filter((r) => r.direction === "rise").sort((a, b) => b.ratio - a.ratio).slice(0, limit);
+    const fallers = rows.filter((r) => r.direction === "fall").sort((a, b) => a.ratio - b.ratio).slice(0, limit);
+
+    return res.status(200).json({ success: true, data: { threshold, risers, fallers } });
+  } catch (err) {
+    console.error("[getPricePredictions] error:", err);
+    next(err);
+  }
+};
+
+/**
+ * GET /api/player/:id/price-history
+ * Query: season? (season id, or number with competitionId): only the changes made while that season ran
+ * (prices carry over between seasons, so the full history is returned without one)
+ */
+export const getPriceHistory = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(String(req.params.id))) return next(createError(400, "Invalid player id"));
+    const player = await Player.findById(req.params.id).select("name price priceHistory").lean().exec();
+    if (!player) return next(createError(404, "Player not found"));
+
+    let history = player.priceHistory || [];
+    let season;
+    if (req.query.season) {
+      const scope = await resolveSeason(req.query.competitionId || null, req.query.season);
+      const from = scope.season?.startedAt ? new Date(scope.season.startedAt) : null;
+      const to = scope.season?.endedAt ? new Date(scope.season.endedAt) : null;
+      history = history.filter((h) => (!from || new Date(h.changedAt) >= from) && (!to || new Date(h.changedAt) <= to));
+      season = describeSeason(scope);
+    }
+    return res.status(200).json({
+      success: true,
+      data: { playerId: String(player._id), name: player.name, price: player.price, season, history },
+    });
+  } catch (err) {
+    console.error("[getPriceHistory] error:", err);
+    next(err);
+  }
+};
@@ -0,0 +1,190 @@
+// controllers/scoringRuleset.js
+import mongoose from "mongoose";
+import { createError } from "../error.js";
+import Competition from "../models/Competition.js";
+import Fixture from "../models/Fixtures.js";
+import Team from "../models/Team.js";
+import User from "../models/User.js";
+import ScoringRuleset, { DEFAULT_SCORING_RULES, DEFAULT_RULESET_VERSION } from "../models/ScoringRuleset.js";
+
+/* -----------------------
+   Helpers
+   ----------------------- */
+
+function isPlainObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+/**
+ * Merge a (partial) rules patch over a base rules object.
+ * Only keys known in DEFAULT_SCORING_RULES are accepted and every leaf must be a finite number.
+ */
+export function mergeScoringRules(base = DEFAULT_SCORING_RULES, patch = {}, shape = DEFAULT_SCORING_RULES, path = "") {
+  if (!isPlainObject(patch)) throw createError(400, `${path || "rules"} must be an object`);
+  const out = {};
+  for (const key of Object.keys(shape)) {
+    const baseVal = isPlainObject(base) && base[key] !== undefined ? base[key] : shape[key];
+    out[key] = isPlainObject(shape[key]) ? mergeScoringRules(baseVal, {}, shape[key], `${path}${key}.`) : Number(baseVal);
+  }
+  for (const [key, value] of Object.entries(patch)) {
+    if (!Object.prototype.hasOwnProperty.call(shape, key)) {
+      throw createError(400, `Unknown scoring rule: ${path}${key}`);
+    }
+    if (isPlainObject(shape[key])) {
+      out[key] = mergeScoringRules(out[key], value, shape[key], `${path}${key}.`);
+    } else {
+      const n = Number(value);
+      if (value === null || value === "" || !Number.isFinite(n)) throw createError(400, `${path}${key} must be a number`);
+      out[key] = n;
+    }
+  }
+  return out;
+}
+
+function toPlainRules(rules) {
+  if (!rules) return mergeScoringRules(DEFAULT_SCORING_RULES, {});
+  const raw = typeof rules.toObject === "function" ? rules.toObject() : rules;
+  return mergeScoringRules(raw, {});
+}
+
+/**
+ * Current ruleset for a competition (lean doc) or null if it still uses the defaults.
+ */
+export async function getCurrentRulesetForCompetition(competitionId) {
+  if (!competitionId) return null;
+  const competition = await Competition.findById(competitionId).select("scoringRuleset").lean().exec();
+  if (competition?.scoringRuleset) {
+    const current = await ScoringRuleset.findById(competition.scoringRuleset).lean().exec();
+    if (current) return current;
+  }
+  return await ScoringRuleset.findOne({ competitionId }).sort({ version: -1 }).lean().exec();
+}
+
+/**
+ * Resolve which ruleset a match must be scored with.
+ * - a match that was already processed keeps the ruleset recorded on it
+ *   (scoringRulesetVersion DEFAULT_RULESET_VERSION with no ruleset: it was scored with the defaults)
+ * - otherwise the competition's current ruleset (competition taken from the fixture, then the home team)
+ * - falls back to DEFAULT_SCORING_RULES
+ *
+ * Returns { rulesetId, version, rules }.
+ */
+export async function resolveScoringRulesetForMatch(match) {
+  if (match?.scoringRuleset) {
+    const recorded = await ScoringRuleset.findById(match.scoringRuleset).lean().exec();
+    if (recorded) return { rulesetId: recorded._id, version: recorded.version, rules: toPlainRules(recorded.rules) };
+  } else if (match?.scoringRulesetVersion === DEFAULT_RULESET_VERSION) {
+    return { rulesetId: null, version: DEFAULT_RULESET_VERSION, rules: toPlainRules(null) };
+  }
+
+  let competitionId = null;
+  if (match?._id) {
+    const fixture = await Fixture.findOne({ match: match._id }).select("competitionId").lean().exec();
+    competitionId = fixture?.competitionId || null;
+  }
+  if (!competitionId && match?.homeTeam) {
+    const homeTeamId = match.homeTeam._id ?? match.homeTeam;
+    const home = await Team.findById(homeTeamId).select("competitionId").lean().exec();
+    competitionId = home?.competitionId || null;
+  }
+
+  const current = await getCurrentRulesetForCompetition(competitionId);
+  if (current) return { rulesetId: current._id, version: current.version, rules: toPlainRules(current.rules) };
+  return { rulesetId: null, version: DEFAULT_RULESET_VERSION, rules: toPlainRules(null) };
+}
+
+/* -----------------------
+   Controller actions
+   ----------------------- */
+
+/**
+ * GET /api/competition/:id/scoring
+ * Returns the current rules (defaults if none saved) and the version history.
+ */
+export const getCompetitionScoring = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(String(id))) return next(createError(400, "Invalid competition id"));
+
+    const competition = await Competition.findById(id).select("_id name scoringRuleset").lean().exec();
+    if (!competition) return next(createError(404, "Competition not found"));
+
+    const current = await getCurrentRulesetForCompetition(id);
+    const history = await ScoringRuleset.find({ competitionId: id }).sort({ version: -1 }).lean().exec();
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        competitionId: String(competition._id),
+        currentVersion: current ? current.version : null,
+        rules: toPlainRules(current?.rules),
+        history,
+      },
+    });
+  } catch (err) {
+    console.error("[getCompetitionScoring] error:", err);
+    next(err);
+  }
+};
+
+/**
+ * GET /api/competition/:id/scoring/:version
+ */
+export const getCompetitionScoringVersion = async (req, res, next) => {
+  try {
+    const { id, version } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(String(id))) return next(createError(400, "Invalid competition id"));
+    const v = parseInt(version, 10);
+    if (!Number.isFinite(v)) return next(createError(400, "version must be a number"));
+
+    const ruleset = await ScoringRuleset.findOne({ competitionId: id, version: v }).lean().exec();
+    if (!ruleset) return next(createError(404, "Ruleset version not found"));
+    return res.status(200).json({ success: true, data: ruleset });
+  } catch (err) {
+    console.error("[getCompetitionScoringVersion] error:", err);
+    next(err);
+  }
+};
+
+/**
+ * PUT /api/competition/:id/scoring (admin)
+ * Body: { rules: { goal: { MID: 6 }, assist: 4, ... }, note? }
+ * Partial rules are merged over the current version and saved as a new version,
+ * which becomes the competition's current ruleset. Matches already processed keep theirs.
+ */
+export const updateCompetitionScoring = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user || user.role !== "admin") {
+      return next(createError(403, "Only admins can edit scoring rules"));
+    }
+
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(String(id))) return next(createError(400, "Invalid competition id"));
+    const competition = await Competition.findById(id);
+    if (!competition) return next(createError(404, "Competition not found"));
+
+    const { rules, note = null } = req.body;
+    if (!isPlainObject(rules)) return next(createError(400, "rules object required"));
+
+    const current = await getCurrentRulesetForCompetition(id);
+    const merged = mergeScoringRules(toPlainRules(current?.rules), rules);
+
+    const latest = await ScoringRuleset.findOne({ competitionId: id }).sort({ version: -1 }).lean().exec();
+    const created = await ScoringRuleset.create({
+      competitionId: competition._id,
+      version: latest ? latest.version + 1 : 1,
+      rules: merged,
+      note,
+      createdBy: user._id,
+    });
+
+    competition.scoringRuleset = created._id;
+    await competition.save();
+
+    return res.status(201).json({ success: true, data: created });
+  } catch (err) {
+    console.error("[updateCompetitionScoring] error:", err);
+    next(err);
+  }
+};
@@ -0,0 +1,375 @@
+// controllers/season.js
+import mongoose from "mongoose";
+import { createError } from "../error.js";
+import User from "../models/User.js";
+import Season from "../models/Season.js";
+import Competition from "../models/Competition.js";
+import Gameweek from "../models/Gameweek.js";
+import Fixture from "../models/Fixtures.js";
+import Team from "../models/Team.js";
+import Player from "../models/Player.js";
+import Match, { PLAYER_MATCH_STATS } from "../models/Match.js";
+import FantasyTeam from "../models/Felteam.js";
+import FantasyLeague from "../models/FantasyLeague.js";
+import TeamCompetitionStats from "../models/TeamCompetitionStats.js";
+import { computeLeagueTable } from "./standings.js";
+import { computeLeagueStandings } from "./fantasyLeague.js";
+import { validateChipDefinitions } from "./chips.js";
+import { STAT_FIELDS, emptyStats, getCompetitionTeamIds } from "./teamStats.js";
+import { resolveSeason, seasonGameweekFilter, describeSeason } from "./seasonScope.js";
+
+/**
+ * Starting a new season closes the current one:
+ * - its table, team counters, player totals, awards and fantasy standings are archived on the Season
+ * - team counters (TeamCompetitionStats) and fantasy team scoring are reset
+ * - players' totals from the season's matches are taken off their Player totals (what they did in
+ *   other competitions stays), with those matches' performances, ratings and fantasy points
+ * - teams stay registered (they roll over), fantasy squads and banks are kept
+ * - chip windows move forward by the closing season's length, so they cover the same part of the new season
+ * Gameweek numbers keep counting up, so the new season starts after the last gameweek created so far.
+ */
+
+const AWARD_PLACES = 3;
+
+function asNumber(value) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : 0;
+}
+
+function mapToObject(value) {
+  if (!value) return {};
+  if (typeof value.entries === "function") return Object.fromEntries(value.entries());
+  return { ...value };
+}
+
+// best AWARD_PLACES players on a stat (only players who have some)
+function topPlayers(playerStats, field) {
+  return playerStats
+    .filter((p) => p[field] > 0)
+    .sort((a, b) => b[field] - a[field] || String(a.name).localeCompare(String(b.name)))
+    .slice(0, AWARD_PLACES)
+    .map((p) => ({ player: p.player, name: p.name, team: p.team, [field]: p[field] }));
+}
+
+// ids (strings) of the matches played in the given gameweeks
+async function loadSeasonMatchIds(gameweekIds) {
+  const fixtures = await Fixture.find({ gameweek: { $in: gameweekIds }, match: { $ne: null } }).select("match").lean().exec();
+  return new Set(fixtures.map((f) => String(f.match)));
+}
+
+// playerId -> summed match stat lines over the matches
+async function loadSeasonStatLines(matchIds) {
+  const matches = await Match.find({ _id: { $in: Array.from(matchIds) } }).select("playerStats").lean().exec();
+  const byPlayer = new Map();
+  for (const m of matches) {
+    for (const line of m.playerStats || []) {
+      if (!line.player) continue;
+      const row = byPlayer.get(String(line.player)) || {};
+      for (const f of PLAYER_MATCH_STATS) row[f] = asNumber(row[f]) + asNumber(line[f]);
+      byPlayer.set(String(line.player), row);
+    }
+  }
+  return byPlayer;
+}
+
+/**
+ * A player's totals over the season's matches only (players can also play other competitions,
+ * so their Player totals are not the season's).
+ */
+function seasonPlayerTotals(player, matchIds, statLines) {
+  const inSeason = (entry) => !!entry?.match && matchIds.has(String(entry.match));
+  const sum = (rows, pick) => rows.reduce((total, row) => total + asNumber(pick(row)), 0);
+  const perfs = (player.matchPerformances || []).filter(inSeason);
+  const lines = statLines.get(String(player._id)) || {};
+  return {
+    appearances: perfs.length,
+    goals: sum(perfs, (p) => p.goals),
+    assists: sum(perfs, (p) => p.assists),
+    yellowCards: sum(perfs, (p) => p.yellowCards),
+    redCards: perfs.filter((p) => p.redCard).length,
+    fantasyPoints: sum((player.fantasyStats || []).filter(inSeason), (f) => f.points),
+    ...Object.fromEntries(PLAYER_MATCH_STATS.map((f) => [f, asNumber(lines[f])])),
+  };
+}
+
+/**
+ * Snapshot of the current season of a competition (nothing is written).
+ * matchIds: the season's matches (see loadSeasonMatchIds)
+ */
+async function buildSeasonArchive(competition, scope, matchIds) {
+  const competitionId = competition._id;
+  const teamIds = await getCompetitionTeamIds(competitionId);
+
+  const table = await computeLeagueTable(competitionId, { season: scope });
+
+  const [teams, statsRows, players] = await Promise.all([
+    Team.find({ _id: { $in: teamIds } }).select("name logo").lean().exec(),
+    TeamCompetitionStats.find({ competitionId }).lean().exec(),
+    Player.find({ $or: [{ team: { $in: teamIds } }, { "matchPerformances.match": { $in: Array.from(matchIds) } }] })
+      .select("name team position matchPerformances fantasyStats")
+      .lean()
+      .exec(),
+  ]);
+  const statLines = await loadSeasonStatLines(matchIds);
+  const teamById = new Map(teams.map((t) => [String(t._id), t]));
+
+  const teamStats = statsRows.map((row) => ({
+    team: String(row.team),
+    name: teamById.get(String(row.team))?.name ?? null,
+    ...Object.fromEntries(STAT_FIELDS.map((f) => [f, asNumber(row[f])])),
+  }));
+
+  const playerStats = players.map((p) => ({
+    player: String(p._id),
+    name: p.name,
+    team: p.team ? String(p.team) : null,
+    position: p.position,
+    ...seasonPlayerTotals(p, matchIds, statLines),
+  }));
+
+  const fantasyTeams = await FantasyTeam.find({ competitionId }).select("user teamName points gameweekPoints").populate("user", "username").lean().exec();
+  const fantasyLeaderboard = fantasyTeams
+    .sort((a, b) => asNumber(b.points) - asNumber(a.points) || String(a.teamName).localeCompare(String(b.teamName)))
+    .map((ft, idx) => ({
+      rank: idx + 1,
+      fantasyTeam: String(ft._id),
+      teamName: ft.teamName,
+      user: ft.user ? { _id: String(ft.user._id ?? ft.user), username: ft.user.username ?? null } : null,
+      points: asNumber(ft.points),
+      gameweekPoints: mapToObject(ft.gameweekPoints),
+    }));
+
+  const leagues = await FantasyLeague.find({ competitionId }).exec();
+  const fantasyLeagues = [];
+  for (const league of leagues) {
+    fantasyLeagues.push({ league: String(league._id), name: league.name, mode: league.mode, standings: await computeLeagueStandings(league) });
+  }
+
+  // knockout winner when there was one, else the league winner of a finished league-only season
+  const knockoutGws = await Gameweek.countDocuments({ competitionId, stage: { $ne: "regular" }, ...seasonGameweekFilter(scope) }).exec();
+  let championId = competition.winner ? String(competition.winner) : null;
+  if (!championId && knockoutGws === 0 && table.complete && table.rows.length > 0) championId = table.rows[0].team;
+
+  const awards = {
+    champion: championId ? { team: championId, name: teamById.get(championId)?.name ?? null } : null,
+    topScorers: topPlayers(playerStats, "goals"),
+    topAssisters: topPlayers(playerStats, "assists"),
+    topFantasyPlayers: topPlayers(playerStats, "fantasyPoints"),
+    fantasyWinner: fantasyLeaderboard[0] ? { fantasyTeam: fantasyLeaderboard[0].fantasyTeam, teamName: fantasyLeaderboard[0].teamName, points: fantasyLeaderboard[0].points } : null,
+  };
+
+  return { table: table.rows, teamStats, playerStats, awards, fantasyLeaderboard, fantasyLeagues, archivedAt: new Date() };
+}
+
+/**
+ * Close the current season of a competition and open the next one.
+ * force: close it even if some of its matches are not at full time
+ * Returns { archived, current } (both as describeSeason summaries)
+ */
+export async function startNewSeason(competitionId, { name = null, force = false } = {}) {
+  if (!competitionId || !mongoose.Types.ObjectId.isValid(String(competitionId))) {
+    throw createError(400, "Valid competitionId is required");
+  }
+  const competition = await Competition.findById(competitionId).exec();
+  if (!competition) throw createError(404, "Competition not found");
+
+  const scope = await resolveSeason(competition._id);
+  const seasonGws = await Gameweek.find({ competitionId: competition._id, ...seasonGameweekFilter(scope) }).select("_id number").lean().exec();
+  if (seasonGws.length === 0) throw createError(409, "The current season has no gameweeks yet");
+  const lastGameweek = Math.max(...seasonGws.map((gw) => gw.number));
+
+  if (!force) {
+    const fixtures = await Fixture.find({ gameweek: { $in: seasonGws.map((gw) => gw._id) }, bye: { $ne: true } })
+      .select("match")
+      .populate("match", "fulltime")
+      .lean()
+      .exec();
+    const unfinished = fixtures.filter((f) => !f.match || !f.match.fulltime).length;
+    if (unfinished > 0) {
+      throw createError(409, `The current season still has ${unfinished} unfinished fixture(s); send force: true to close it anyway`);
+    }
+  }
+
+  const matchIds = await loadSeasonMatchIds(seasonGws.map((gw) => gw._id));
+  const archive = await buildSeasonArchive(competition, scope, matchIds);
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    let previous = scope.season ? await Season.findById(scope.season._id).session(session).exec() : null;
+    if (!previous) {
+      // the first season ran from the start (no start date)
+      [previous] = await Season.create([{ competitionId: competition._id, number: 1, firstGameweek: 1, startedAt: null }], { session });
+    }
+    previous.status = "archived";
+    previous.lastGameweek = lastGameweek;
+    previous.endedAt = new Date();
+    previous.archive = archive;
+    await previous.save({ session });
+
+    const [current] = await Season.create([{
+      competitionId: competition._id,
+      number: previous.number + 1,
+      name: name ? String(name).trim() : null,
+      status: "active",
+      firstGameweek: lastGameweek + 1,
+    }], { session });
+
+    competition.currentSeason = current._id;
+    competition.winner = null;
+    // chip windows are gameweek numbers, which keep counting up: move them to the same place in the new season
+    if (Array.isArray(competition.chips)) {
+      const offset = current.firstGameweek - scope.fromGameweek;
+      competition.chips = validateChipDefinitions(competition.chips.map((chip) => ({
+        ...chip.toObject(),
+        windows: (chip.windows || []).map((w) => ({ fromGameweek: w.fromGameweek + offset, toGameweek: w.toGameweek + offset })),
+      })));
+    }
+    await competition.save({ session });
+
+    // teams roll over with fresh counters
+    await TeamCompetitionStats.updateMany({ competitionId: competition._id }, { $set: { ...emptyStats(), updatedAt: new Date() } }).session(session).exec();
+
+    // the season's matches come off the players' totals (price, price history and pending match bans carry over)
+    const seasonMatches = Array.from(matchIds).map((id) => new mongoose.Types.ObjectId(id));
+    const players = await Player.find({
+      $or: [
+        { "matchPerformances.match": { $in: seasonMatches } },
+        { "fantasyStats.match": { $in: seasonMatches } },
+        { "matchRatings.match": { $in: seasonMatches } },
+      ],
+    })
+      .select("goals assists totalyellowCards totalredCards totalFantasyPoints matchStatTotals matchPerformances fantasyStats")
+      .session(session)
+      .lean()
+      .exec();
+    const statLines = await loadSeasonStatLines(matchIds);
+    const less = (total, part) => Math.max(0, asNumber(total) - part);
+    const resets = players.map((p) => {
+      const season = seasonPlayerTotals(p, matchIds, statLines);
+      return {
+        updateOne: {
+          filter: { _id: p._id },
+          update: {
+            $set: {
+              goals: less(p.goals, season.goals),
+              assists: less(p.assists, season.assists),
+              totalyellowCards: less(p.totalyellowCards, season.yellowCards),
+              totalredCards: less(p.totalredCards, season.redCards),
+              totalFantasyPoints: less(p.totalFantasyPoints, season.fantasyPoints),
+              matchStatTotals: Object.fromEntries(PLAYER_MATCH_STATS.map((f) => [f, less(p.matchStatTotals?.[f], season[f])])),
+            },
+            $pull: {
+              matchPerformances: { match: { $in: seasonMatches } },
+              fantasyStats: { match: { $in: seasonMatches } },
+              matchRatings: { match: { $in: seasonMatches } },
+            },
+          },
+        },
+      };
+    });
+    if (resets.length > 0) await Player.bulkWrite(resets, { session });
+
+    // fantasy teams keep their squad and bank; scoring, chips and transfer state start over
+    await FantasyTeam.updateMany(
+      { competitionId: competition._id },
+      {
+        $set: {
+          points: 0,
+          gameweekPoints: {},
+          pointHits: {},
+          matchPoints: {},
+          lineupSnapshots: {},
+          chipUsage: [],
+          powerups: {},
+          freeHitRestore: null,
+          effectiveGameweek: null,
+          transfers: { lastResetGw: null, freeTransfersUsedInGw: 0, freeTransfersAvailable: null },
+        },
+      }
+    ).session(session).exec();
+
+    await FantasyLeague.updateMany(
+      { competitionId: competition._id },
+      { $set: { startGameweek: current.firstGameweek, h2hMatches: [] } }
+    ).session(session).exec();
+
+    await session.commitTransaction();
+    session.endSession();
+
+    return {
+      archived: describeSeason({ ...scope, season: previous, number: previous.number, toGameweek: lastGameweek, archived: true }),
+      current: describeSeason({ season: current, number: current.number, name: current.name, fromGameweek: current.firstGameweek, toGameweek: null, archived: false }),
+    };
+  } catch (err) {
+    try {
+      await session.abortTransaction();
+    } catch (e) {
+      /* ignore */
+    }
+    session.endSession();
+    throw err;
+  }
+}
+
+/* -----------------------
+   Controller actions
+   ----------------------- */
+
+/**
+ * GET /api/competition/:id/seasons
+ * Seasons of a competition (without archives), oldest first.
+ */
+export const getCompetitionSeasons = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(String(id))) return next(createError(400, "Invalid competition id"));
+    const competition = await Competition.findById(id).select("currentSeason").lean().exec();
+    if (!competition) return next(createError(404, "Competition not found"));
+
+    const seasons = await Season.find({ competitionId: competition._id }).select("-archive").sort({ number: 1 }).lean().exec();
+    const data = seasons.length > 0 ? seasons : [describeSeason(await resolveSeason(competition._id))];
+    return res.status(200).json({ success: true, data });
+  } catch (err) {
+    console.error("[getCompetitionSeasons] error:", err);
+    next(err);
+  }
+};
+
+/**
+ * GET /api/competition/:id/seasons/:season
+ * One season (number or id) with its archive once it has been closed.
+ */
+export const getCompetitionSeason = async (req, res, next) => {
+  try {
+    const { id, season } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(String(id))) return next(createError(400, "Invalid competition id"));
+    const scope = await resolveSeason(id, season);
+    const archive = scope.archived ? (await Season.findById(scope.season._id).select("archive").lean().exec())?.archive ?? null : null;
+    return res.status(200).json({ success: true, data: { ...describeSeason(scope), archive } });
+  } catch (err) {
+    console.error("[getCompetitionSeason] error:", err);
+    next(err);
+  }
+};
+
+/**
+ * POST /api/competition/:id/seasons (admin)
+ * Body: { name?, force?: boolean }
+ * Archives the current season and starts the next one.
+ */
+export const startCompetitionSeason = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).lean().exec();
+    if (!user || user.role !== "admin") {
+      return next(createError(403, "Only admins can start a new season"));
+    }
+
+    const { name = null, force = false } = req.body || {};
+    const result = await startNewSeason(req.params.id, { name, force: force === true || String(force).toLowerCase() === "true" });
+    return res.status(201).json({ success: true, message: "New season started", data: result });
+  } catch (err) {
+    console.error("[startCompetitionSeason] error:", err);
+    next(err);
+  }
+};
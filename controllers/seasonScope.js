@@ -0,0 +1,94 @@
+// controllers/seasonScope.js
+import mongoose from "mongoose";
+import Season from "../models/Season.js";
+import Competition from "../models/Competition.js";
+import { createError } from "../error.js";
+
+/**
+ * Season lookups shared by the read endpoints (starting a season lives in controllers/season.js).
+ *
+ * A scope is { season, competitionId, number, name, fromGameweek, toGameweek, archived }:
+ * - season: the Season document (null for a competition that never started a new season)
+ * - toGameweek: null while the season is in progress
+ */
+
+function scopeFor(season) {
+  return {
+    season,
+    competitionId: String(season.competitionId),
+    number: season.number,
+    name: season.name ?? null,
+    fromGameweek: Number(season.firstGameweek || 1),
+    toGameweek: season.lastGameweek ?? null,
+    archived: season.status === "archived",
+  };
+}
+
+function implicitFirstSeason(competitionId) {
+  return {
+    season: null,
+    competitionId: competitionId ? String(competitionId) : null,
+    number: 1,
+    name: null,
+    fromGameweek: 1,
+    toGameweek: null,
+    archived: false,
+  };
+}
+
+/**
+ * Resolve a `season` request parameter.
+ * seasonParam: empty (current season), a season number (needs competitionId) or a Season id.
+ */
+export async function resolveSeason(competitionId, seasonParam = null) {
+  if (seasonParam == null || seasonParam === "") {
+    if (!competitionId) return implicitFirstSeason(null);
+    const competition = await Competition.findById(competitionId).select("currentSeason").lean().exec();
+    if (!competition) throw createError(404, "Competition not found");
+    if (!competition.currentSeason) return implicitFirstSeason(competitionId);
+    const current = await Season.findById(competition.currentSeason).lean().exec();
+    return current ? scopeFor(current) : implicitFirstSeason(competitionId);
+  }
+
+  const raw = String(seasonParam);
+  if (/^\d+$/.test(raw)) {
+    const number = Number(raw);
+    if (!competitionId) throw createError(400, "A season number needs a competitionId");
+    if (number < 1) throw createError(400, "season must be a positive integer");
+    const season = await Season.findOne({ competitionId, number }).lean().exec();
+    if (season) return scopeFor(season);
+    // before the first rollover the whole history is season 1
+    if (number === 1 && (await Season.countDocuments({ competitionId }).exec()) === 0) return implicitFirstSeason(competitionId);
+    throw createError(404, "Season not found");
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(raw)) throw createError(400, "season must be a season number or id");
+  const season = await Season.findById(raw).lean().exec();
+  if (!season) throw createError(404, "Season not found");
+  if (competitionId && String(season.competitionId) !== String(competitionId)) {
+    throw createError(400, "Season does not belong to this competition");
+  }
+  return scopeFor(season);
+}
+
+/**
+ * Gameweek `number` condition for a scope, to merge into Gameweek queries.
+ */
+export function seasonGameweekFilter(scope) {
+  if (!scope) return {};
+  const number = { $gte: scope.fromGameweek };
+  if (scope.toGameweek != null) number.$lte = scope.toGameweek;
+  return { number };
+}
+
+// public summary of a scope for responses
+export function describeSeason(scope) {
+  return {
+    seasonId: scope.season ? String(scope.season._id) : null,
+    number: scope.number,
+    name: scope.name,
+    fromGameweek: scope.fromGameweek,
+    toGameweek: scope.toGameweek,
+    archived: scope.archived,
+  };
+}
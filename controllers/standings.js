@@ -0,0 +1,238 @@
+// controllers/standings.js
+import mongoose from "mongoose";
+import Gameweek from "../models/Gameweek.js";
+import Fixture from "../models/Fixtures.js";
+import Team from "../models/Team.js";
+import Competition from "../models/Competition.js";
+import { createError } from "../error.js";
+import { VOID_MATCH_STATUSES, resolveMatchStatus } from "../models/Match.js";
+import { resolveSeason, seasonGameweekFilter, describeSeason } from "./seasonScope.js";
+
+/**
+ * League table of a competition computed from its regular-stage matches
+ * (Team.points & co. are running totals across competitions, so they are not used here).
+ */
+
+const POINTS_FOR = { win: 3, draw: 1, loss: 0 };
+// fair-play penalty points (fewer is better)
+const FAIR_PLAY_POINTS = { Yellow: 1, Red: 3 };
+const FORM_LENGTH = 5;
+
+function emptyRow(teamId, team = null) {
+  return {
+    team: teamId,
+    name: team?.name ?? null,
+    logo: team?.logo ?? null,
+    played: 0,
+    won: 0,
+    drawn: 0,
+    lost: 0,
+    goalsFor: 0,
+    goalsAgainst: 0,
+    goalDifference: 0,
+    points: 0,
+    fairPlay: 0,
+    form: "",
+  };
+}
+
+/**
+ * Regular-stage fixtures of a competition that have a match, with the match and gameweek number.
+ * scope: season to load (see resolveSeason; defaults to the current one)
+ * Returns { results: [{ fixtureId, gameweek, match }], teamIds }
+ */
+export async function loadRegularStageResults(competitionId, scope = null) {
+  const seasonScope = scope || await resolveSeason(competitionId);
+  const gameweeks = await Gameweek.find({ competitionId, stage: "regular", ...seasonGameweekFilter(seasonScope) }).select("number").lean().exec();
+  const numberById = new Map(gameweeks.map((gw) => [String(gw._id), gw.number]));
+
+  const fixtures = await Fixture.find({ competitionId, gameweek: { $in: gameweeks.map((gw) => gw._id) } })
+    .populate("match", "homeTeam awayTeam homeScore awayScore fulltime status date cards.team cards.type")
+    .lean()
+    .exec();
+
+  const teamIds = new Set();
+  const results = [];
+  for (const f of fixtures) {
+    if (f.homeTeam) teamIds.add(String(f.homeTeam));
+    if (f.awayTeam) teamIds.add(String(f.awayTeam));
+    if (f.bye || !f.match) continue;
+    results.push({ fixtureId: String(f._id), gameweek: numberById.get(String(f.gameweek)) ?? null, match: f.match });
+  }
+  return { results, teamIds: Array.from(teamIds) };
+}
+
+function compareOverall(a, b) {
+  return b.points - a.points || b.goalDifference - a.goalDifference || b.goalsFor - a.goalsFor;
+}
+
+/**
+ * Points, goal difference and goals scored of each team in the matches played between the given teams only.
+ */
+function headToHeadStats(teamIds, matches) {
+  const group = new Set(teamIds);
+  const stats = {};
+  teamIds.forEach((id) => { stats[id] = { points: 0, goalDifference: 0, goalsFor: 0 }; });
+  for (const m of matches) {
+    const home = String(m.homeTeam);
+    const away = String(m.awayTeam);
+    if (!group.has(home) || !group.has(away)) continue;
+    const hs = Number(m.homeScore || 0);
+    const as = Number(m.awayScore || 0);
+    stats[home].goalsFor += hs;
+    stats[away].goalsFor += as;
+    stats[home].goalDifference += hs - as;
+    stats[away].goalDifference += as - hs;
+    if (hs > as) stats[home].points += POINTS_FOR.win;
+    else if (hs < as) stats[away].points += POINTS_FOR.win;
+    else {
+      stats[home].points += POINTS_FOR.draw;
+      stats[away].points += POINTS_FOR.draw;
+    }
+  }
+  return stats;
+}
+
+/**
+ * Build table rows from finished matches ({ homeTeam, awayTeam, homeScore, awayScore, cards?, date? }).
+ * Order: points, goal difference, goals scored, head-to-head between the tied teams
+ * (points, goal difference, goals scored), fair play, then name.
+ * form: results of the last five matches, oldest first (e.g. "WDLWW"); matches should be passed in played order.
+ */
+export function buildLeagueTable(matches, teamsById = {}) {
+  const rows = new Map();
+  const rowFor = (teamId) => {
+    const key = String(teamId);
+    if (!rows.has(key)) rows.set(key, emptyRow(key, teamsById[key]));
+    return rows.get(key);
+  };
+  Object.keys(teamsById).forEach(rowFor);
+
+  const counted = [];
+  for (const m of matches) {
+    if (!m.homeTeam || !m.awayTeam) continue;
+    counted.push(m);
+    const home = rowFor(m.homeTeam);
+    const away = rowFor(m.awayTeam);
+    const hs = Number(m.homeScore || 0);
+    const as = Number(m.awayScore || 0);
+
+    home.played += 1;
+    away.played += 1;
+    home.goalsFor += hs;
+    home.goalsAgainst += as;
+    away.goalsFor += as;
+    away.goalsAgainst += hs;
+    if (hs > as) {
+      home.won += 1;
+      away.lost += 1;
+      home.form += "W";
+      away.form += "L";
+    } else if (hs < as) {
+      away.won += 1;
+      home.lost += 1;
+      home.form += "L";
+      away.form += "W";
+    } else {
+      home.drawn += 1;
+      away.drawn += 1;
+      home.form += "D";
+      away.form += "D";
+    }
+
+    for (const c of m.cards || []) {
+      if (!c?.team) continue;
+      const side = String(c.team) === home.team ? home : String(c.team) === away.team ? away : null;
+      if (side) side.fairPlay += FAIR_PLAY_POINTS[c.type] ?? 0;
+    }
+  }
+
+  const table = Array.from(rows.values()).map((row) => ({
+    ...row,
+    goalDifference: row.goalsFor - row.goalsAgainst,
+    points: row.won * POINTS_FOR.win + row.drawn * POINTS_FOR.draw + row.lost * POINTS_FOR.loss,
+    form: row.form.slice(-FORM_LENGTH),
+  }));
+  table.sort((a, b) => compareOverall(a, b) || String(a.name || "").localeCompare(String(b.name || "")));
+
+  // teams level on points, goal difference and goals scored are separated by their matches against each other
+  const ordered = [];
+  for (let i = 0; i < table.length;) {
+    let j = i + 1;
+    while (j < table.length && compareOverall(table[i], table[j]) === 0) j += 1;
+    const group = table.slice(i, j);
+    if (group.length > 1) {
+      const h2h = headToHeadStats(group.map((row) => row.team), counted);
+      group.sort((a, b) => compareOverall(h2h[a.team], h2h[b.team])
+        || a.fairPlay - b.fairPlay
+        || String(a.name || "").localeCompare(String(b.name || "")));
+    }
+    ordered.push(...group);
+    i = j;
+  }
+  return ordered.map((row, idx) => ({ position: idx + 1, ...row }));
+}
+
+/**
+ * League table of a competition, recomputed from its full-time matches.
+ * gameweek: only count matches of gameweeks up to and including this number ("as of gameweek N")
+ * season: scope from resolveSeason (defaults to the current season)
+ * Returns { rows, played, scheduled, complete } (complete = every counted regular-stage match is at full time;
+ * cancelled and abandoned matches are not counted)
+ */
+export async function computeLeagueTable(competitionId, { gameweek = null, season = null } = {}) {
+  const { results, teamIds } = await loadRegularStageResults(competitionId, season);
+  const teams = await Team.find({ _id: { $in: teamIds } }).select("name logo").lean().exec();
+  const teamsById = {};
+  teams.forEach((t) => { teamsById[String(t._id)] = t; });
+
+  const inRange = (gameweek == null ? results : results.filter((r) => r.gameweek != null && r.gameweek <= gameweek))
+    .filter((r) => !VOID_MATCH_STATUSES.includes(resolveMatchStatus(r.match)));
+  // played order drives the form strings
+  const finished = inRange
+    .filter((r) => r.match.fulltime)
+    .sort((a, b) => (a.gameweek ?? 0) - (b.gameweek ?? 0)
+      || new Date(a.match.date || 0).getTime() - new Date(b.match.date || 0).getTime())
+    .map((r) => r.match);
+  return {
+    rows: buildLeagueTable(finished, teamsById),
+    played: finished.length,
+    scheduled: inRange.length,
+    complete: inRange.length > 0 && finished.length === inRange.length,
+  };
+}
+
+/* -----------------------
+   Controller actions
+   ----------------------- */
+
+/**
+ * GET /api/competition/:id/table?gameweek=N&season=S
+ * League table recomputed from full-time regular-stage matches (optionally as of gameweek N).
+ * season: season number or id (defaults to the current season)
+ */
+export const getCompetitionTable = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(String(id))) return next(createError(400, "Invalid competition id"));
+
+    let gameweek = null;
+    if (req.query.gameweek != null && req.query.gameweek !== "") {
+      gameweek = Number(req.query.gameweek);
+      if (!Number.isInteger(gameweek) || gameweek < 1) return next(createError(400, "gameweek must be a positive integer"));
+    }
+
+    const competition = await Competition.findById(id).select("name").lean().exec();
+    if (!competition) return next(createError(404, "Competition not found"));
+
+    const season = await resolveSeason(competition._id, req.query.season);
+    const table = await computeLeagueTable(competition._id, { gameweek, season });
+    return res.status(200).json({
+      success: true,
+      data: { competitionId: String(competition._id), name: competition.name, season: describeSeason(season), asOfGameweek: gameweek, ...table },
+    });
+  } catch (err) {
+    console.error("[getCompetitionTable] error:", err);
+    next(err);
+  }
+};
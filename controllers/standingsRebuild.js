@@ -0,0 +1,172 @@
+// controllers/standingsRebuild.js
+import mongoose from "mongoose";
+import { createError } from "../error.js";
+import User from "../models/User.js";
+import Team from "../models/Team.js";
+import Match from "../models/Match.js";
+import Fixture from "../models/Fixtures.js";
+import Gameweek from "../models/Gameweek.js";
+import TeamCompetitionStats from "../models/TeamCompetitionStats.js";
+import { isKnockoutStage } from "./match.js";
+import { STAT_FIELDS, emptyStats, addMatchResult, addMatchStats, countMatchGoals, getCompetitionTeamIds } from "./teamStats.js";
+import { resolveSeason, seasonGameweekFilter } from "./seasonScope.js";
+
+/**
+ * Team counters are maintained incrementally by updateMatch (full time) and revertMatchFulltime.
+ * This rebuilds a competition's TeamCompetitionStats from its fulltime matches, the same way those two apply them:
+ * - overall* counts every fulltime match of the competition
+ * - season counters (matchesPlayed, wins, ..., points) skip knockout-stage matches
+ * Only the current season counts: the counters are reset when a new season starts.
+ */
+
+function asNumber(value) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : 0;
+}
+
+/**
+ * Fulltime matches counting for a competition's current season, with their stage: the ones linked through
+ * the season's fixtures, plus fixture-less matches of teams created for it (see resolveMatchCompetitionId)
+ * created since the season started.
+ */
+async function loadCompetitionMatches(competitionId) {
+  const scope = await resolveSeason(competitionId);
+  const seasonGwIds = await Gameweek.find({ competitionId, ...seasonGameweekFilter(scope) }).distinct("_id").exec();
+  const fixtures = await Fixture.find({ competitionId, gameweek: { $in: seasonGwIds }, match: { $ne: null } })
+    .select("match gameweek")
+    .populate("gameweek", "stage")
+    .lean()
+    .exec();
+  const stageByMatch = new Map(fixtures.map((f) => [String(f.match), f.gameweek?.stage || "regular"]));
+
+  const ownTeams = await Team.find({ competitionId }).distinct("_id").exec();
+  const ownTeamMatches = { homeTeam: { $in: ownTeams } };
+  if (scope.season) ownTeamMatches.createdAt = { $gte: scope.season.startedAt };
+  const candidates = await Match.find({
+    fulltime: true,
+    $or: [{ _id: { $in: fixtures.map((f) => f.match) } }, ownTeamMatches],
+  })
+    .select("homeTeam awayTeam goals.team teamStats")
+    .lean()
+    .exec();
+
+  // fixture-linked matches of other competitions or of earlier seasons of this one
+  const unlinked = candidates.filter((m) => !stageByMatch.has(String(m._id))).map((m) => m._id);
+  const linkedElsewhere = unlinked.length > 0
+    ? new Set((await Fixture.find({ match: { $in: unlinked } }).distinct("match").exec()).map(String))
+    : new Set();
+
+  return candidates
+    .filter((m) => stageByMatch.has(String(m._id)) || !linkedElsewhere.has(String(m._id)))
+    .map((m) => ({ match: m, stage: stageByMatch.get(String(m._id)) || "regular" }));
+}
+
+/**
+ * Rebuild the season, overall and match statistics counters of every team in a competition from its fulltime matches.
+ * Returns a report listing the teams whose stored counters differ from the rebuilt ones.
+ * dryRun (default true) only reports; otherwise the rebuilt counters are written.
+ */
+export async function rebuildCompetitionStandings(competitionId, { dryRun = true } = {}) {
+  if (!competitionId || !mongoose.Types.ObjectId.isValid(String(competitionId))) {
+    throw createError(400, "Valid competitionId is required");
+  }
+  const competitionOid = new mongoose.Types.ObjectId(String(competitionId));
+
+  const matches = await loadCompetitionMatches(competitionOid);
+  const teamIds = new Set(await getCompetitionTeamIds(competitionOid));
+  const rebuilt = {};
+  const statsFor = (teamId) => {
+    const key = String(teamId);
+    teamIds.add(key);
+    rebuilt[key] = rebuilt[key] || emptyStats();
+    return rebuilt[key];
+  };
+  teamIds.forEach(statsFor);
+
+  let knockoutMatches = 0;
+  for (const { match, stage } of matches) {
+    const { homeGoals, awayGoals } = countMatchGoals(match);
+    const affectsTable = !isKnockoutStage(stage);
+    if (!affectsTable) knockoutMatches += 1;
+    addMatchResult(statsFor(match.homeTeam), homeGoals, awayGoals, affectsTable);
+    addMatchResult(statsFor(match.awayTeam), awayGoals, homeGoals, affectsTable);
+    addMatchStats(statsFor(match.homeTeam), match.teamStats?.home);
+    addMatchStats(statsFor(match.awayTeam), match.teamStats?.away);
+  }
+
+  const ids = Array.from(teamIds);
+  const [teams, storedRows] = await Promise.all([
+    Team.find({ _id: { $in: ids } }).select("name").lean().exec(),
+    TeamCompetitionStats.find({ competitionId: competitionOid }).lean().exec(),
+  ]);
+  const nameById = new Map(teams.map((t) => [String(t._id), t.name]));
+  const storedByTeam = new Map(storedRows.map((row) => [String(row.team), row]));
+
+  const discrepancies = [];
+  const updates = [];
+  for (const teamId of ids) {
+    const after = rebuilt[teamId];
+    const row = storedByTeam.get(teamId) || null;
+    const fields = {};
+    for (const f of STAT_FIELDS) {
+      const stored = asNumber(row?.[f]);
+      if (stored !== after[f]) fields[f] = { stored, rebuilt: after[f], delta: after[f] - stored };
+    }
+    if (Object.keys(fields).length === 0) continue;
+    discrepancies.push({ teamId, name: nameById.get(teamId) ?? null, missingRow: !row, fields });
+    updates.push({
+      updateOne: {
+        filter: { team: new mongoose.Types.ObjectId(teamId), competitionId: competitionOid },
+        update: { $set: { ...after, updatedAt: new Date() } },
+        upsert: true,
+      },
+    });
+  }
+
+  const report = {
+    competitionId: String(competitionId),
+    dryRun: !!dryRun,
+    matchesProcessed: matches.length,
+    knockoutMatches,
+    teamsChecked: ids.length,
+    teamsChanged: discrepancies.length,
+    discrepancies,
+  };
+
+  if (dryRun || updates.length === 0) return report;
+
+  await TeamCompetitionStats.bulkWrite(updates);
+  return report;
+}
+
+/* -----------------------
+   Controller actions
+   ----------------------- */
+
+/**
+ * POST /api/competition/:id/standings/rebuild (admin)
+ * Body: { dryRun?: boolean }
+ *
+ * Defaults to a dry run returning the per-team discrepancies; send dryRun: false to fix the counters.
+ */
+export const rebuildStandings = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).lean().exec();
+    if (!user || user.role !== "admin") {
+      return next(createError(403, "Only admins can rebuild standings"));
+    }
+
+    const { dryRun } = req.body || {};
+    const isDryRun = !(dryRun === false || String(dryRun).toLowerCase() === "false");
+    const report = await rebuildCompetitionStandings(req.params.id, { dryRun: isDryRun });
+
+    return res.status(200).json({
+      success: true,
+      message: isDryRun ? "Dry run complete, nothing was written" : "Standings rebuilt",
+      data: report,
+    });
+  } catch (err) {
+    console.error("[rebuildStandings] error:", err);
+    next(err);
+  }
+};
@@ -0,0 +1,296 @@
+// controllers/suspension.js
+import mongoose from "mongoose";
+import { createError } from "../error.js";
+import User from "../models/User.js";
+import Player from "../models/Player.js";
+import Match from "../models/Match.js";
+import Fixture from "../models/Fixtures.js";
+import Team from "../models/Team.js";
+import Suspension from "../models/Suspension.js";
+import Competition, { DEFAULT_SUSPENSION_RULES } from "../models/Competition.js";
+import { resolveSeason, seasonGameweekFilter } from "./seasonScope.js";
+
+/**
+ * Match bans (see models/Suspension.js).
+ * - updateMatch records a ban when a card calls for one (red card, second yellow, every Nth yellow)
+ * - each fulltime match of a competition serves one match of the oldest active ban of every player of both teams
+ * - reverting full time gives those matches back
+ * Player.matchBan is kept in step with the matches left ($inc, so bans older than this stay as they were).
+ */
+
+const RULE_FIELDS = Object.keys(DEFAULT_SUSPENSION_RULES);
+
+export async function getSuspensionRules(competitionId, session = null) {
+  if (!competitionId) return { ...DEFAULT_SUSPENSION_RULES };
+  const competition = await Competition.findById(competitionId).select("suspensionRules").session(session).lean().exec();
+  return { ...DEFAULT_SUSPENSION_RULES, ...(competition?.suspensionRules || {}) };
+}
+
+/**
+ * Yellow cards of a player (Player document) in the competition's current season, from their match
+ * performances, leaving out excludeMatch. Yellows in other competitions and past seasons do not count
+ * towards an accumulation ban (Player.totalyellowCards counts them all).
+ */
+export async function countSeasonYellows(player, competitionId, { excludeMatch = null, session = null } = {}) {
+  const perfs = (player.matchPerformances || []).filter(
+    (p) => p.match && Number(p.yellowCards || 0) > 0 && String(p.match) !== String(excludeMatch)
+  );
+  if (!perfs.length) return 0;
+
+  const range = competitionId ? seasonGameweekFilter(await resolveSeason(competitionId)).number : null;
+  const matches = await Match.find({ _id: { $in: perfs.map((p) => p.match) } }).select("homeTeam gameweek").session(session).lean().exec();
+
+  // competition of each match: its fixture's, else its home team's (as in resolveMatchCompetitionId)
+  const fixtures = await Fixture.find({ match: { $in: matches.map((m) => m._id) } }).select("match competitionId").session(session).lean().exec();
+  const competitionByMatch = new Map(fixtures.filter((f) => f.competitionId).map((f) => [String(f.match), String(f.competitionId)]));
+  const homeTeamIds = matches.filter((m) => !competitionByMatch.has(String(m._id)) && m.homeTeam).map((m) => m.homeTeam);
+  const homeTeams = homeTeamIds.length > 0
+    ? await Team.find({ _id: { $in: homeTeamIds } }).select("competitionId").session(session).lean().exec()
+    : [];
+  const competitionByTeam = new Map(homeTeams.map((t) => [String(t._id), t.competitionId ? String(t.competitionId) : null]));
+
+  const counted = new Set();
+  for (const m of matches) {
+    const matchCompetition = competitionByMatch.get(String(m._id)) ?? competitionByTeam.get(String(m.homeTeam)) ?? null;
+    if (String(matchCompetition) !== String(competitionId ?? null)) continue;
+    // matches without a gameweek number cannot be placed in a season and count for the current one
+    if (range && m.gameweek != null && (m.gameweek < range.$gte || (range.$lte != null && m.gameweek > range.$lte))) continue;
+    counted.add(String(m._id));
+  }
+  return perfs.filter((p) => counted.has(String(p.match))).reduce((sum, p) => sum + Number(p.yellowCards || 0), 0);
+}
+
+/**
+ * Bans earned by one card. totalYellows is the player's season yellow count in the competition including this card.
+ * Returns [{ reason, matches }] (empty when the card carries no ban).
+ */
+export function bansForCard(rules, { type, secondYellow = false, totalYellows = 0 }) {
+  const bans = [];
+  if (type === "Red") {
+    if (rules.redCardBan > 0) bans.push({ reason: "redCard", matches: rules.redCardBan });
+    return bans;
+  }
+  if (secondYellow && rules.secondYellowBan > 0) bans.push({ reason: "secondYellow", matches: rules.secondYellowBan });
+  const threshold = rules.yellowCardThreshold;
+  if (threshold > 0 && rules.yellowAccumulationBan > 0 && totalYellows > 0 && totalYellows % threshold === 0) {
+    bans.push({ reason: "yellowAccumulation", matches: rules.yellowAccumulationBan });
+  }
+  return bans;
+}
+
+/**
+ * Record the bans of one card and add them to Player.matchBan (player is a Player document, saved by the caller).
+ */
+export async function recordCardSuspensions(player, { bans, match, competitionId, session = null }) {
+  if (!bans.length) return [];
+  const docs = bans.map((ban) => ({
+    player: player._id,
+    team: player.team || null,
+    competitionId: competitionId || null,
+    reason: ban.reason,
+    matches: ban.matches,
+    sourceMatch: match._id,
+  }));
+  const created = await Suspension.insertMany(docs, { session });
+  player.matchBan = (player.matchBan || 0) + bans.reduce((sum, ban) => sum + ban.matches, 0);
+  return created;
+}
+
+/**
+ * Bring the bans a player got in one match in line with their cards in it (after a card was edited or removed).
+ * Bans still called for are kept as they are (with the matches already served); the others are dropped.
+ * player is a Player document whose match performance already counts the match's cards; saved by the caller.
+ */
+export async function rebuildMatchSuspensions(player, match, competitionId, session = null) {
+  const rules = await getSuspensionRules(competitionId, session);
+  const cards = (match.cards || []).filter((c) => c.player && String(c.player) === String(player._id));
+
+  // replay the player's cards in the order they were entered, after their season yellows in the competition
+  let totalYellows = await countSeasonYellows(player, competitionId, { excludeMatch: match._id, session });
+  let yellowsInMatch = 0;
+  const wanted = [];
+  for (const card of cards) {
+    if (card.type === "Yellow") {
+      totalYellows += 1;
+      yellowsInMatch += 1;
+    }
+    wanted.push(...bansForCard(rules, { type: card.type, secondYellow: card.type === "Yellow" && yellowsInMatch === 2, totalYellows }));
+  }
+
+  const existing = await Suspension.find({ player: player._id, sourceMatch: match._id }).sort({ createdAt: 1, _id: 1 }).session(session).exec();
+  for (const suspension of existing) {
+    const idx = wanted.findIndex((ban) => ban.reason === suspension.reason);
+    if (idx !== -1) {
+      wanted.splice(idx, 1);
+      continue;
+    }
+    const remaining = suspension.status === "active" ? Math.max(0, suspension.matches - suspension.servedMatches.length) : 0;
+    player.matchBan = Math.max(0, (player.matchBan || 0) - remaining);
+    await Suspension.deleteOne({ _id: suspension._id }).session(session).exec();
+  }
+  return recordCardSuspensions(player, { bans: wanted, match, competitionId, session });
+}
+
+/**
+ * Active bans of the given players in a competition, except those given in excludeMatch.
+ * Returns Map playerId -> [suspensions] (oldest first).
+ */
+export async function findActiveSuspensions(playerIds, competitionId, { excludeMatch = null, session = null } = {}) {
+  const filter = { player: { $in: playerIds }, competitionId: competitionId || null, status: "active" };
+  if (excludeMatch) filter.sourceMatch = { $ne: excludeMatch };
+  const rows = await Suspension.find(filter).sort({ createdAt: 1, _id: 1 }).session(session).lean().exec();
+  const byPlayer = new Map();
+  for (const row of rows) {
+    const key = String(row.player);
+    if (!byPlayer.has(key)) byPlayer.set(key, []);
+    byPlayer.get(key).push(row);
+  }
+  return byPlayer;
+}
+
+/**
+ * Fulltime match: every player of either team with an active ban in the competition serves one match of it.
+ * Bans given in this match start with the next one. Returns the number of bans that moved.
+ */
+export async function serveSuspensionsForMatch(match, competitionId, session = null) {
+  const teams = [match.homeTeam, match.awayTeam].map((t) => t?._id ?? t).filter(Boolean);
+  if (!teams.length) return 0;
+
+  // players of the teams now (a ban follows a player who changed teams)
+  const players = await Player.find({ team: { $in: teams } }).distinct("_id").session(session).exec();
+  if (!players.length) return 0;
+
+  const active = await Suspension.find({
+    player: { $in: players },
+    competitionId: competitionId || null,
+    status: "active",
+    sourceMatch: { $ne: match._id },
+    servedMatches: { $ne: match._id },
+  })
+    .sort({ createdAt: 1, _id: 1 })
+    .session(session)
+    .exec();
+
+  // bans run one after another: only the oldest one of each player moves
+  const seen = new Set();
+  let served = 0;
+  for (const suspension of active) {
+    const key = String(suspension.player);
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    suspension.servedMatches.push(match._id);
+    if (suspension.servedMatches.length >= suspension.matches) {
+      suspension.status = "served";
+      suspension.servedAt = new Date();
+    }
+    await suspension.save({ session });
+    await Player.updateOne({ _id: suspension.player, matchBan: { $gt: 0 } }, { $inc: { matchBan: -1 } }).session(session).exec();
+    served += 1;
+  }
+  return served;
+}
+
+/**
+ * Undo serveSuspensionsForMatch (full time reverted). Returns the number of bans given back a match.
+ */
+export async function restoreSuspensionsForMatch(match, session = null) {
+  const rows = await Suspension.find({ servedMatches: match._id }).session(session).exec();
+  for (const suspension of rows) {
+    suspension.servedMatches = suspension.servedMatches.filter((m) => String(m) !== String(match._id));
+    suspension.status = "active";
+    suspension.servedAt = null;
+    await suspension.save({ session });
+    await Player.updateOne({ _id: suspension.player }, { $inc: { matchBan: 1 } }).session(session).exec();
+  }
+  return rows.length;
+}
+
+function validateSuspensionRules(raw) {
+  if (!raw || typeof raw !== "object") throw createError(400, "rules must be an object");
+  const rules = {};
+  for (const field of RULE_FIELDS) {
+    const value = raw[field] == null ? DEFAULT_SUSPENSION_RULES[field] : Number(raw[field]);
+    if (!Number.isInteger(value) || value < 0) throw createError(400, `${field} must be a non-negative integer`);
+    rules[field] = value;
+  }
+  return rules;
+}
+
+/* -----------------------
+   Controller actions
+   ----------------------- */
+
+/**
+ * GET /api/competition/:id/suspensions
+ * Query: status? (active | served | all, default active), team?
+ * Bans in a competition with the matches left, for fantasy managers picking their squads.
+ */
+export const getCompetitionSuspensions = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(String(id))) return next(createError(400, "Invalid competition id"));
+    const competition = await Competition.findById(id).select("_id").lean().exec();
+    if (!competition) return next(createError(404, "Competition not found"));
+
+    const status = String(req.query.status || "active").toLowerCase();
+    if (!["active", "served", "all"].includes(status)) return next(createError(400, "status must be active, served or all"));
+
+    const filter = { competitionId: competition._id };
+    if (status !== "all") filter.status = status;
+    if (req.query.team) {
+      if (!mongoose.Types.ObjectId.isValid(String(req.query.team))) return next(createError(400, "Invalid team id"));
+      filter.team = req.query.team;
+    }
+
+    const rows = await Suspension.find(filter)
+      .populate("player", "name position price playerPic")
+      .populate("team", "name logo")
+      .populate("sourceMatch", "homeTeam awayTeam date")
+      .sort({ status: 1, createdAt: 1 })
+      .lean()
+      .exec();
+
+    const data = rows.map((row) => ({
+      ...row,
+      served: (row.servedMatches || []).length,
+      remaining: Math.max(0, row.matches - (row.servedMatches || []).length),
+    }));
+
+    return res.status(200).json({ success: true, rules: await getSuspensionRules(competition._id), data });
+  } catch (err) {
+    console.error("[getCompetitionSuspensions] error:", err);
+    next(err);
+  }
+};
+
+/**
+ * PUT /api/competition/:id/suspension-rules (admin)
+ * Body: { rules: { redCardBan?, secondYellowBan?, yellowCardThreshold?, yellowAccumulationBan? } } or { reset: true }
+ * Applies to cards shown from now on; 0 turns a ban off.
+ */
+export const updateSuspensionRules = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user || user.role !== "admin") {
+      return next(createError(403, "Only admins can edit suspension rules"));
+    }
+
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(String(id))) return next(createError(400, "Invalid competition id"));
+    const competition = await Competition.findById(id);
+    if (!competition) return next(createError(404, "Competition not found"));
+
+    const { rules, reset = false } = req.body;
+    competition.suspensionRules = reset ? undefined : validateSuspensionRules(rules);
+    await competition.save();
+
+    return res.status(200).json({
+      success: true,
+      data: { competitionId: String(competition._id), isDefault: !!reset, rules: await getSuspensionRules(competition._id) },
+    });
+  } catch (err) {
+    console.error("[updateSuspensionRules] error:", err);
+    next(err);
+  }
+};
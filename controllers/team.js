@@ -3,7 +3,11 @@ import User from "../models/User.js"
 import Match from "../models/Match.js"
 import mongoose from "mongoose";
 import Competition from "../models/Competition.js"
+import TeamCompetitionStats from "../models/TeamCompetitionStats.js";
 import { createError } from "../error.js";
+import Season from "../models/Season.js";
+import { ensureTeamCompetitionStats, getCompetitionTeamIds, getTeamStatsByCompetition, STAT_FIELDS, emptyStats } from "./teamStats.js";
+import { resolveSeason, describeSeason } from "./seasonScope.js";
 
 // Create Team
 export const createTeam = async (req, res, next) => {
@@ -39,9 +43,8 @@ export const createTeam = async (req, res, next) => {
       competitionId: new mongoose.Types.ObjectId(competitionId), // Ensure it's stored correctly
     });
 
-    // Add team to competition's teams array
-    competition.teams.push(newTeam._id);
-    await competition.save();
+    // Add team to competition's teams array (with an empty stats row for it)
+    await ensureTeamCompetitionStats([newTeam._id], competition._id);
 
     res.status(201).json({
       success: true,
@@ -84,6 +87,7 @@ export const updateTeam = async (req, res, next) => {
 };
 
 // Get Single Team
+// ?season= (season id, or number with ?competitionId=): the team's counters for that season of the competition
 export const getTeamById = async (req, res, next) => {
   try {
     const { teamId } = req.params;
@@ -96,13 +100,36 @@ export const getTeamById = async (req, res, next) => {
       return next(createError(404, "Team not found"));
     }
 
+    // counters per competition the team plays in
+    const competitionStats = await TeamCompetitionStats.find({ team: team._id })
+      .populate("competitionId", "name")
+      .lean()
+      .exec();
+
+    if (req.query.season) {
+      const scope = await resolveSeason(req.query.competitionId || null, req.query.season);
+      let seasonStats = null;
+      if (scope.archived) {
+        const archived = await Season.findById(scope.season._id).select("archive.teamStats").lean().exec();
+        const row = (archived?.archive?.teamStats || []).find((r) => String(r.team) === String(team._id));
+        if (row) seasonStats = Object.fromEntries(STAT_FIELDS.map((f) => [f, Number(row[f] || 0)]));
+      } else {
+        const row = competitionStats.find((r) => String(r.competitionId?._id ?? r.competitionId) === String(scope.competitionId));
+        if (row) seasonStats = Object.fromEntries(STAT_FIELDS.map((f) => [f, Number(row[f] || 0)]));
+      }
+      return res.status(200).json({
+        success: true,
+        data: { ...team.toObject(), competitionStats, season: describeSeason(scope), seasonStats },
+      });
+    }
+
     res.status(200).json({
       success: true,
-      data: team,
+      data: { ...team.toObject(), competitionStats },
     });
   } catch (error) {
     console.error("Error fetching team:", error);
-    next(createError(500, "Failed to fetch team"));
+    next(error.status ? error : createError(500, "Failed to fetch team"));
   }
 };
 // Get Single Team
@@ -154,7 +181,13 @@ console.log (`this is ${competitionId}`)
       return next(createError(400, "Competition ID is required"));
     }
 
-    const teams = await Team.find({ competitionId: competitionId }) // Assuming "competition" is a field in Team model
+    if (!mongoose.Types.ObjectId.isValid(competitionId)) {
+      return next(createError(400, "Invalid Competition ID"));
+    }
+
+    // teams taking part (a team can be in several competitions), with their counters for this one
+    const teamIds = await getCompetitionTeamIds(competitionId);
+    const teams = await Team.find({ _id: { $in: teamIds } })
       .populate("coach", "name")
       .populate("players", "name position");
 
@@ -162,13 +195,26 @@ console.log (`this is ${competitionId}`)
       return next(createError(404, "No teams found for this competition"));
     }
 
+    // ?season= : counters archived when that season was closed
+    let statsByTeam;
+    const season = await resolveSeason(competitionId, req.query.season);
+    if (season.archived) {
+      const archived = await Season.findById(season.season._id).select("archive.teamStats").lean().exec();
+      statsByTeam = {};
+      teams.forEach((t) => { statsByTeam[String(t._id)] = emptyStats(); });
+      (archived?.archive?.teamStats || []).forEach((row) => {
+        statsByTeam[String(row.team)] = Object.fromEntries(STAT_FIELDS.map((f) => [f, Number(row[f] || 0)]));
+      });
+    } else {
+      statsByTeam = await getTeamStatsByCompetition(competitionId, teams.map((t) => t._id));
+    }
     res.status(200).json({
       success: true,
-      data: teams,
+      data: teams.map((t) => ({ ...t.toObject(), ...statsByTeam[String(t._id)] })),
     });
   } catch (error) {
     console.error("Error fetching teams:", error);
-    next(createError(500, "Failed to fetch teams"));
+    next(error.status ? error : createError(500, "Failed to fetch teams"));
   }
 };
 
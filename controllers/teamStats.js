@@ -0,0 +1,186 @@
+// controllers/teamStats.js
+import TeamCompetitionStats from "../models/TeamCompetitionStats.js";
+import Team from "../models/Team.js";
+import Fixture from "../models/Fixtures.js";
+import Competition from "../models/Competition.js";
+import { TEAM_MATCH_STATS } from "../models/Match.js";
+
+/**
+ * Per-competition team counters (see models/TeamCompetitionStats.js).
+ */
+
+export const SEASON_FIELDS = ["matchesPlayed", "wins", "draws", "losses", "goalsFor", "goalsAgainst", "points"];
+export const OVERALL_FIELDS = {
+  matchesPlayed: "overallMatchesPlayed",
+  wins: "overallWins",
+  draws: "overallDraws",
+  losses: "overallLosses",
+  goalsFor: "overallGoalsFor",
+  goalsAgainst: "overallGoalsAgainst",
+  points: "overallPoints",
+};
+// totals of the recorded match statistics (every fulltime match, knockout stages included)
+const SUMMED_MATCH_STATS = TEAM_MATCH_STATS.filter((f) => f !== "possession");
+export const MATCH_STAT_FIELDS = [...SUMMED_MATCH_STATS, "possessionTotal", "possessionMatches"];
+export const STAT_FIELDS = [...SEASON_FIELDS, ...Object.values(OVERALL_FIELDS), ...MATCH_STAT_FIELDS];
+
+export function emptyStats() {
+  return Object.fromEntries(STAT_FIELDS.map((f) => [f, 0]));
+}
+
+function asNumber(value) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : 0;
+}
+
+/**
+ * Add (sign 1) or remove (sign -1) one result from a counters object; removal never goes below zero.
+ * affectsTable: false for knockout matches, which only count in overall*.
+ */
+export function addMatchResult(stats, goalsFor, goalsAgainst, affectsTable, sign = 1) {
+  const outcome = goalsFor > goalsAgainst ? "wins" : goalsFor < goalsAgainst ? "losses" : "draws";
+  const points = outcome === "wins" ? 3 : outcome === "draws" ? 1 : 0;
+  const delta = { matchesPlayed: 1, [outcome]: 1, goalsFor, goalsAgainst, points };
+
+  const apply = (field, value) => {
+    stats[field] = Math.max(0, asNumber(stats[field]) + sign * value);
+  };
+  for (const [field, value] of Object.entries(delta)) {
+    apply(OVERALL_FIELDS[field], value);
+    if (affectsTable) apply(field, value);
+  }
+  return stats;
+}
+
+/**
+ * Add (sign 1) or remove (sign -1) one side's match statistics (Match.teamStats.home/away) from a counters object.
+ * Fields that were not recorded are skipped; possession counts towards the average only when recorded.
+ */
+export function addMatchStats(stats, sideStats, sign = 1) {
+  if (!sideStats) return stats;
+  const apply = (field, value) => {
+    stats[field] = Math.max(0, asNumber(stats[field]) + sign * value);
+  };
+  for (const field of SUMMED_MATCH_STATS) {
+    if (sideStats[field] != null) apply(field, asNumber(sideStats[field]));
+  }
+  if (sideStats.possession != null) {
+    apply("possessionTotal", asNumber(sideStats.possession));
+    apply("possessionMatches", 1);
+  }
+  return stats;
+}
+
+// goals per side, counted from the goals array (beneficiary team)
+export function countMatchGoals(match) {
+  const home = String(match.homeTeam?._id ?? match.homeTeam);
+  const away = String(match.awayTeam?._id ?? match.awayTeam);
+  const goals = match.goals || [];
+  return {
+    homeGoals: goals.filter((g) => g.team && String(g.team) === home).length,
+    awayGoals: goals.filter((g) => g.team && String(g.team) === away).length,
+  };
+}
+
+/**
+ * Competition a match counts for: its fixture's competition, else the home team's own competition.
+ */
+export async function resolveMatchCompetitionId(match, session = null) {
+  const fixture = await Fixture.findOne({ match: match._id }).select("competitionId").session(session).lean().exec();
+  if (fixture?.competitionId) return fixture.competitionId;
+  const homeTeamId = match.homeTeam?._id ?? match.homeTeam;
+  if (!homeTeamId) return null;
+  const home = await Team.findById(homeTeamId).select("competitionId").session(session).lean().exec();
+  return home?.competitionId || null;
+}
+
+/**
+ * Apply (sign 1) or revert (sign -1) a fulltime match on both teams' counters for the competition.
+ * Returns { homeGoals, awayGoals }, or null when the match cannot be attributed to a competition.
+ */
+export async function applyMatchToTeamStats(match, { competitionId, affectsTable, sign = 1, session = null }) {
+  if (!competitionId || !match.homeTeam || !match.awayTeam) return null;
+  const { homeGoals, awayGoals } = countMatchGoals(match);
+  const sides = [
+    { team: match.homeTeam?._id ?? match.homeTeam, goalsFor: homeGoals, goalsAgainst: awayGoals, matchStats: match.teamStats?.home },
+    { team: match.awayTeam?._id ?? match.awayTeam, goalsFor: awayGoals, goalsAgainst: homeGoals, matchStats: match.teamStats?.away },
+  ];
+
+  for (const side of sides) {
+    let stats = await TeamCompetitionStats.findOne({ team: side.team, competitionId }).session(session).exec();
+    if (!stats) stats = new TeamCompetitionStats({ team: side.team, competitionId });
+    addMatchResult(stats, side.goalsFor, side.goalsAgainst, affectsTable, sign);
+    addMatchStats(stats, side.matchStats, sign);
+    stats.updatedAt = new Date();
+    await stats.save({ session });
+  }
+  return { homeGoals, awayGoals };
+}
+
+/**
+ * Apply (sign 1) or revert (sign -1) only the match statistics of a fulltime match
+ * (statistics edited after full time: revert the old ones, then apply the new ones).
+ */
+export async function applyMatchStatsToTeamStats(match, { competitionId, sign = 1, session = null }) {
+  if (!competitionId || !match.homeTeam || !match.awayTeam) return;
+  const sides = [
+    [match.homeTeam?._id ?? match.homeTeam, match.teamStats?.home],
+    [match.awayTeam?._id ?? match.awayTeam, match.teamStats?.away],
+  ];
+  for (const [team, matchStats] of sides) {
+    if (!matchStats) continue;
+    let stats = await TeamCompetitionStats.findOne({ team, competitionId }).session(session).exec();
+    if (!stats) stats = new TeamCompetitionStats({ team, competitionId });
+    addMatchStats(stats, matchStats, sign);
+    stats.updatedAt = new Date();
+    await stats.save({ session });
+  }
+}
+
+/**
+ * Register teams in a competition: an (empty) stats row each and membership in Competition.teams.
+ */
+export async function ensureTeamCompetitionStats(teamIds, competitionId, session = null) {
+  const ids = Array.from(new Set((teamIds || []).filter(Boolean).map(String)));
+  if (!competitionId || ids.length === 0) return;
+  await TeamCompetitionStats.bulkWrite(
+    ids.map((team) => ({
+      updateOne: {
+        filter: { team, competitionId },
+        update: { $setOnInsert: { team, competitionId } },
+        upsert: true,
+      },
+    })),
+    { session }
+  );
+  await Competition.updateOne({ _id: competitionId }, { $addToSet: { teams: { $each: ids } } }).session(session).exec();
+}
+
+/**
+ * Ids of the teams taking part in a competition (Competition.teams, stats rows, and teams created for it).
+ */
+export async function getCompetitionTeamIds(competitionId) {
+  const [competition, statTeams, ownTeams] = await Promise.all([
+    Competition.findById(competitionId).select("teams").lean().exec(),
+    TeamCompetitionStats.find({ competitionId }).distinct("team").exec(),
+    Team.find({ competitionId }).distinct("_id").exec(),
+  ]);
+  const ids = new Set();
+  (competition?.teams || []).forEach((id) => ids.add(String(id)));
+  statTeams.forEach((id) => ids.add(String(id)));
+  ownTeams.forEach((id) => ids.add(String(id)));
+  return Array.from(ids);
+}
+
+/**
+ * Counters of the given teams in a competition: { [teamId]: stats } (zeros for teams without a row).
+ */
+export async function getTeamStatsByCompetition(competitionId, teamIds) {
+  const rows = await TeamCompetitionStats.find({ competitionId, team: { $in: teamIds } }).lean().exec();
+  const byTeam = {};
+  teamIds.forEach((id) => { byTeam[String(id)] = emptyStats(); });
+  rows.forEach((row) => {
+    byTeam[String(row.team)] = Object.fromEntries(STAT_FIELDS.map((f) => [f, asNumber(row[f])]));
+  });
+  return byTeam;
+}
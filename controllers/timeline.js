@@ -3,6 +3,7 @@ import { createError } from "../error.js";
 import Timeline from "../models/Timeline.js";
 import Match from "../models/Match.js";
 import mongoose from "mongoose";
+import { emitToMatch } from "../socket.js";
 
 /**
  * Create timeline entry for a match
@@ -46,6 +47,8 @@ export const createTimeline = async (req, res, next) => {
       select: "homeTeam awayTeam date venue result",
     }).exec();
 
+    emitToMatch(match._id, "match:event", { type: "timeline", event: saved });
+
     return res.status(201).json({ success: true, data: populated });
   } catch (err) {
     console.error("[createTimeline] error:", err);
@@ -1,11 +1,82 @@
 import mongoose from "mongoose"
 
+/**
+ * Fantasy chips used when a competition does not define its own.
+ * effect: wildcard (unlimited free transfers), freeHit (unlimited free transfers, squad reverts
+ * after the gameweek), benchBoost (bench players score), captainMultiplier (captain x multiplier).
+ * uses: uses per window; windows: gameweek ranges the uses apply to (empty = the whole season).
+ */
+export const CHIP_EFFECTS = ["wildcard", "freeHit", "benchBoost", "captainMultiplier"];
+
+export const DEFAULT_CHIPS = [
+  { key: "wildcard", name: "Wildcard", effect: "wildcard", uses: 1, windows: [] },
+  { key: "freeHit", name: "Free Hit", effect: "freeHit", uses: 1, windows: [] },
+  { key: "benchBoost", name: "Bench Boost", effect: "benchBoost", uses: 1, windows: [] },
+  { key: "tripleCaptain", name: "Triple Captain", effect: "captainMultiplier", multiplier: 3, uses: 1, windows: [] },
+];
+
+const chipWindowSchema = new mongoose.Schema(
+  {
+    fromGameweek: { type: Number, required: true },
+    toGameweek: { type: Number, required: true },
+  },
+  { _id: false }
+);
+
+const chipDefinitionSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true },
+    name: { type: String, required: true },
+    effect: { type: String, enum: CHIP_EFFECTS, required: true },
+    // only for captainMultiplier
+    multiplier: { type: Number, default: null },
+    uses: { type: Number, default: 1 },
+    windows: { type: [chipWindowSchema], default: [] },
+  },
+  { _id: false }
+);
+
+/**
+ * Match bans used when a competition does not set its own.
+ * yellowCardThreshold: every Nth yellow card of the season bans the player for yellowAccumulationBan matches
+ */
+export const DEFAULT_SUSPENSION_RULES = {
+  redCardBan: 3,
+  secondYellowBan: 1,
+  yellowCardThreshold: 5,
+  yellowAccumulationBan: 1,
+};
+
+const suspensionRulesSchema = new mongoose.Schema(
+  {
+    redCardBan: { type: Number, default: DEFAULT_SUSPENSION_RULES.redCardBan },
+    secondYellowBan: { type: Number, default: DEFAULT_SUSPENSION_RULES.secondYellowBan },
+    yellowCardThreshold: { type: Number, default: DEFAULT_SUSPENSION_RULES.yellowCardThreshold },
+    yellowAccumulationBan: { type: Number, default: DEFAULT_SUSPENSION_RULES.yellowAccumulationBan },
+  },
+  { _id: false }
+);
+
+// points taken off a fantasy gameweek for each transfer beyond the free ones (0 = no hits)
+export const DEFAULT_TRANSFER_HIT_POINTS = 4;
 
 const competitionSchema = new mongoose.Schema({
   name: { type: String, required: true },
  logo:{ type: String},
   teams: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Team' }],
   winner:{ type: mongoose.Schema.Types.ObjectId, ref: 'Team' },
+  // season in progress (null = the competition never started a new season, see models/Season.js)
+  currentSeason: { type: mongoose.Schema.Types.ObjectId, ref: 'Season', default: null },
+  // current fantasy scoring ruleset version (older versions stay in ScoringRuleset)
+  scoringRuleset: { type: mongoose.Schema.Types.ObjectId, ref: 'ScoringRuleset', default: null },
+  // fantasy chips for this competition (unset = DEFAULT_CHIPS)
+  chips: { type: [chipDefinitionSchema], default: undefined },
+  // match bans for cards (unset = DEFAULT_SUSPENSION_RULES)
+  suspensionRules: { type: suspensionRulesSchema, default: undefined },
+  // substitutions allowed per team and match
+  maxSubstitutions: { type: Number, default: 5 },
+  // fantasy points per transfer beyond the free ones
+  transferHitPoints: { type: Number, default: DEFAULT_TRANSFER_HIT_POINTS },
   
   createdAt: { type: Date, default: Date.now },
 });
@@ -0,0 +1,46 @@
+// models/FantasyLeague.js
+import mongoose from "mongoose";
+
+const leagueMemberSchema = new mongoose.Schema(
+  {
+    fantasyTeam: { type: mongoose.Schema.Types.ObjectId, ref: "FantasyTeam", required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    joinedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+/**
+ * One head-to-head pairing for a gameweek.
+ * away is null when the member has a bye (odd member count): the home side then
+ * plays against the league average for that gameweek.
+ */
+const h2hMatchSchema = new mongoose.Schema({
+  gameweek: { type: Number, required: true },
+  home: { type: mongoose.Schema.Types.ObjectId, ref: "FantasyTeam", required: true },
+  away: { type: mongoose.Schema.Types.ObjectId, ref: "FantasyTeam", default: null },
+});
+
+const fantasyLeagueSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  // private leagues can only be joined with the invite code, public ones from the listing
+  visibility: { type: String, enum: ["private", "public"], default: "private" },
+  // classic: ranked by total points, h2h: weekly pairings worth 3/1/0
+  mode: { type: String, enum: ["classic", "h2h"], default: "classic" },
+  code: { type: String, required: true, unique: true },
+  admin: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  competitionId: { type: mongoose.Schema.Types.ObjectId, ref: "Competition", default: null },
+
+  // first gameweek that counts towards the league standings
+  startGameweek: { type: Number, default: 1 },
+  maxMembers: { type: Number, default: 50 },
+
+  members: { type: [leagueMemberSchema], default: [] },
+  h2hMatches: { type: [h2hMatchSchema], default: [] },
+
+  createdAt: { type: Date, default: Date.now },
+});
+
+fantasyLeagueSchema.index({ "members.user": 1 });
+
+export default mongoose.models.FantasyLeague || mongoose.model("FantasyLeague", fantasyLeagueSchema);
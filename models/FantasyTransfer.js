@@ -0,0 +1,33 @@
+// models/FantasyTransfer.js
+import mongoose from "mongoose";
+
+/**
+ * One player swap made by a fantasy team (ledger entry, never modified).
+ * Transfers made in the same request share a batchId.
+ */
+const fantasyTransferSchema = new mongoose.Schema({
+  fantasyTeam: { type: mongoose.Schema.Types.ObjectId, ref: "FantasyTeam", required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  batchId: { type: String, required: true },
+  // gameweek the transfer is made for (the upcoming one at the time)
+  gameweek: { type: Number, required: true },
+
+  playerOut: { type: mongoose.Schema.Types.ObjectId, ref: "Player", required: true },
+  playerIn: { type: mongoose.Schema.Types.ObjectId, ref: "Player", required: true },
+  // what the outgoing player was bought for and sold for, and what the incoming one cost
+  outPurchasePrice: { type: Number, required: true },
+  outSellPrice: { type: Number, required: true },
+  inPrice: { type: Number, required: true },
+
+  // free transfer, or the points it cost
+  isFree: { type: Boolean, default: true },
+  pointsCost: { type: Number, default: 0 },
+  // powerups active for the gameweek when the transfer was made (e.g. wildcard)
+  powerups: { type: [String], default: [] },
+
+  createdAt: { type: Date, default: Date.now },
+});
+
+fantasyTransferSchema.index({ fantasyTeam: 1, createdAt: -1 });
+
+export default mongoose.models.FantasyTransfer || mongoose.model("FantasyTransfer", fantasyTransferSchema);
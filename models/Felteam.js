@@ -5,21 +5,47 @@ const playerEntrySchema = new mongoose.Schema(
   {
     player: { type: mongoose.Schema.Types.ObjectId, ref: "Player", required: true },
     isStarting: { type: Boolean, required: true, default: false }, // current/active lineup flag
-    playerPrice: { type: Number, required: true },
+    playerPrice: { type: Number, required: true }, // purchase price (sell price is derived from it)
     position: { type: String },
     team: { type: mongoose.Schema.Types.ObjectId, ref: "Team" },
   },
   { _id: false }
 );
 
+const autoSubSchema = new mongoose.Schema(
+  {
+    out: { type: mongoose.Schema.Types.ObjectId, ref: "Player", required: true },
+    in: { type: mongoose.Schema.Types.ObjectId, ref: "Player", required: true },
+  },
+  { _id: false }
+);
+
+// bench in substitution priority order: one GK slot + ordered outfield subs (1st sub first)
+const benchSchema = new mongoose.Schema(
+  {
+    goalkeeper: { type: mongoose.Schema.Types.ObjectId, ref: "Player", default: null },
+    outfield: [{ type: mongoose.Schema.Types.ObjectId, ref: "Player" }],
+  },
+  { _id: false }
+);
+
 const lineupSnapshotSchema = new mongoose.Schema(
   {
     starting: [{ type: mongoose.Schema.Types.ObjectId, ref: "Player" }], // 11 ids
+    bench: { type: benchSchema, default: () => ({}) },
     captain: { type: mongoose.Schema.Types.ObjectId, ref: "Player", default: null },
     viceCaptain: { type: mongoose.Schema.Types.ObjectId, ref: "Player", default: null },
     setAt: { type: Date, default: Date.now },
     // optional: whether this snapshot is intended to be the durable default lineup
     isDefault: { type: Boolean, default: false },
+
+    // end-of-gameweek automatic substitutions (starting keeps the manager's original XI)
+    autoSubs: { type: [autoSubSchema], default: [] },
+    // captain whose multiplier counted (vice-captain when the captain did not play)
+    effectiveCaptain: { type: mongoose.Schema.Types.ObjectId, ref: "Player", default: null },
+    autoSubsAppliedAt: { type: Date, default: null },
+    // set when the gameweek deadline passed: scoring only ever reads locked snapshots
+    lockedAt: { type: Date, default: null },
   },
   { _id: false }
 );
@@ -28,14 +54,33 @@ const transfersSchema = new mongoose.Schema(
   {
     lastResetGw: { type: Number, default: null },
     freeTransfersUsedInGw: { type: Number, default: 0 },
+    // free transfers left for lastResetGw, including rolled-over ones (null = not initialised yet)
+    freeTransfersAvailable: { type: Number, default: null },
+  },
+  { _id: false }
+);
+
+// one chip activation; effect/multiplier are copied from the chip definition so scoring needs no lookup
+const chipUsageSchema = new mongoose.Schema(
+  {
+    chip: { type: String, required: true },
+    effect: { type: String, required: true },
+    multiplier: { type: Number, default: null },
+    gameweek: { type: Number, required: true },
+    activatedAt: { type: Date, default: Date.now },
   },
   { _id: false }
 );
 
-const powerupUsageSchema = new mongoose.Schema(
+// squad to restore once a Free Hit gameweek has been locked
+const freeHitRestoreSchema = new mongoose.Schema(
   {
-    available: { type: Boolean, default: true },
-    usedGameweek: { type: Number, default: null },
+    gameweek: { type: Number, required: true },
+    players: { type: [playerEntrySchema], default: [] },
+    captain: { type: mongoose.Schema.Types.ObjectId, ref: "Player", default: null },
+    viceCaptain: { type: mongoose.Schema.Types.ObjectId, ref: "Player", default: null },
+    bench: { type: benchSchema, default: () => ({}) },
+    bank: { type: Number, default: null },
   },
   { _id: false }
 );
@@ -46,24 +91,29 @@ const fantasyTeamSchema = new mongoose.Schema({
   teamLogo: { type: String },
   players: { type: [playerEntrySchema], default: [] }, // roster (15)
   budget: { type: Number, default: 150 },
+  // money in the bank (null on teams created before it was stored: budget - purchase prices)
+  bank: { type: Number, default: null },
   points: { type: Number, default: 0 },
   competitionId: { type: mongoose.Schema.Types.ObjectId, ref: "Competition", default: null },
 
   captain: { type: mongoose.Schema.Types.ObjectId, ref: "Player", default: null },
   viceCaptain: { type: mongoose.Schema.Types.ObjectId, ref: "Player", default: null },
+  bench: { type: benchSchema, default: () => ({}) },
 
   effectiveGameweek: { type: Number, default: null },
 
   transfers: { type: transfersSchema, default: () => ({}) },
-  powerups: {
-    wildcard: { type: powerupUsageSchema, default: () => ({}) },
-    benchBoost: { type: powerupUsageSchema, default: () => ({}) },
-    tripleCaptain: { type: powerupUsageSchema, default: () => ({}) },
-  },
+  // chip summary for clients: { [chipKey]: { available, usedGameweek } } (chipUsage is the source of truth)
+  powerups: { type: mongoose.Schema.Types.Mixed, default: () => ({}) },
+  chipUsage: { type: [chipUsageSchema], default: [] },
+  freeHitRestore: { type: freeHitRestoreSchema, default: null },
 
   // store per-gameweek points breakdown (Map: "1" -> Number)
   gameweekPoints: { type: Map, of: Number, default: {} },
 
+  // points deducted per gameweek for transfers beyond the free ones: "3" -> 4
+  pointHits: { type: Map, of: Number, default: {} },
+
   // store per-match points (helpful): matchId -> { points, gameweek }
   matchPoints: { type: Map, of: Object, default: {} },
 
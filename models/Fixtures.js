@@ -1,5 +1,16 @@
 import mongoose from "mongoose"
 
+// knockout wiring: where each side of the tie comes from (league position or winner of an earlier tie)
+const bracketSchema = new mongoose.Schema({
+  round: { type: Number, required: true }, // 1 = first knockout round
+  slot: { type: Number, required: true }, // tie number within the round, top of the bracket first
+  homeSeed: { type: Number, default: null },
+  awaySeed: { type: Number, default: null },
+  homeFrom: { type: mongoose.Schema.Types.ObjectId, ref: 'Fixture', default: null },
+  awayFrom: { type: mongoose.Schema.Types.ObjectId, ref: 'Fixture', default: null },
+  winner: { type: mongoose.Schema.Types.ObjectId, ref: 'Team', default: null },
+}, { _id: false });
+
 const fixtureSchema = new mongoose.Schema({
   gameweek: { type: mongoose.Schema.Types.ObjectId, ref: 'Gameweek'}, // Reference to the gameweek
   homeTeam: { type: mongoose.Schema.Types.ObjectId, ref: 'Team', required: false }, // Home team reference
@@ -7,6 +18,7 @@ const fixtureSchema = new mongoose.Schema({
   match: { type: mongoose.Schema.Types.ObjectId, ref: 'Match' }, // Link to Match model
   bye: { type: Boolean, default: false }, // Indicates if this is a bye week for a team
    competitionId:{type: mongoose.Schema.Types.ObjectId, ref: 'Competition'},
+  bracket: { type: bracketSchema, default: null }, // set on seeded knockout fixtures
   createdAt: { type: Date, default: Date.now },
 });
 
@@ -8,6 +8,10 @@ const gameweekSchema = new mongoose.Schema({
   competitionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Competition', default: null },
   // stage: regular (league rounds), playoffs, semifinal, final, etc.
   stage: { type: String, enum: ['regular', 'playoff', 'semifinal', 'final'], default: 'regular' },
+  // when the deadline cron froze every fantasy lineup for this gameweek
+  lineupsLockedAt: { type: Date, default: null },
+  // every match in it is postponed or cancelled: nothing to play, so no deadline until one is moved in
+  blank: { type: Boolean, default: false },
   createdAt: { type: Date, default: Date.now },
 });
 
@@ -11,6 +11,7 @@ const { Schema } = mongoose;
  *  - assist: ObjectId | null
  *  - ownGoal: Boolean
  *  - ownBy: ObjectId | null (player who put ball into their own net)
+ *  - period: "regular" | "extraTime"
  */
 const GoalSchema = new Schema({
   minute: { type: Number, default: null },
@@ -19,6 +20,7 @@ const GoalSchema = new Schema({
   assist: { type: Schema.Types.ObjectId, ref: "Player", required: false, default: null },
   ownGoal: { type: Boolean, default: false },
   ownBy: { type: Schema.Types.ObjectId, ref: "Player", required: false, default: null },
+  period: { type: String, enum: ["regular", "extraTime"], default: "regular" },
 });
 
 /**
@@ -41,6 +43,105 @@ const SubSchema = new Schema({
   playerOut: { type: Schema.Types.ObjectId, ref: "Player", required: false },
 });
 
+/**
+ * Penalty shootout kick (shootout kicks never count as goals)
+ *  - order: 1-based position in the shootout
+ *  - team: team taking the kick
+ *  - taker / goalkeeper: players involved (goalkeeper is credited for saves)
+ *  - outcome: scored | missed | saved
+ */
+export const PENALTY_OUTCOMES = ["scored", "missed", "saved"];
+
+const PenaltyKickSchema = new Schema({
+  order: { type: Number, required: true },
+  team: { type: Schema.Types.ObjectId, ref: "Team", required: true },
+  taker: { type: Schema.Types.ObjectId, ref: "Player", default: null },
+  goalkeeper: { type: Schema.Types.ObjectId, ref: "Player", default: null },
+  outcome: { type: String, enum: PENALTY_OUTCOMES, required: true },
+});
+
+const PenaltyShootoutSchema = new Schema(
+  {
+    kicks: { type: [PenaltyKickSchema], default: [] },
+    // derived from kicks on save
+    homeScore: { type: Number, default: 0 },
+    awayScore: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+/**
+ * Match lifecycle. The live statuses are firstHalf, halfTime, secondHalf, extraTime and penalties;
+ * finished goes with fulltime: true, and postponed / abandoned / cancelled matches never get there.
+ * MATCH_STATUS_TRANSITIONS lists where each status can go next.
+ */
+export const MATCH_STATUSES = [
+  "scheduled",
+  "firstHalf",
+  "halfTime",
+  "secondHalf",
+  "extraTime",
+  "penalties",
+  "finished",
+  "postponed",
+  "abandoned",
+  "cancelled",
+];
+
+// ended without full time: such a match is never played out, so it counts neither as played nor as still to play
+export const VOID_MATCH_STATUSES = ["abandoned", "cancelled"];
+
+export const MATCH_STATUS_TRANSITIONS = {
+  scheduled: ["firstHalf", "postponed", "cancelled"],
+  firstHalf: ["halfTime", "abandoned"],
+  halfTime: ["secondHalf", "abandoned"],
+  secondHalf: ["finished", "extraTime", "penalties", "abandoned"],
+  extraTime: ["penalties", "finished", "abandoned"],
+  penalties: ["finished", "abandoned"],
+  postponed: ["scheduled", "cancelled"],
+  finished: [],
+  abandoned: [],
+  cancelled: [],
+};
+
+// running periods: where the minute starts and how long the period lasts
+const CLOCK_PERIODS = {
+  firstHalf: { start: 0, length: 45 },
+  secondHalf: { start: 45, length: 45 },
+  extraTime: { start: 90, length: 30 },
+};
+
+const StatusChangeSchema = new Schema(
+  {
+    status: { type: String, enum: MATCH_STATUSES, required: true },
+    from: { type: String, enum: MATCH_STATUSES, default: null },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+/**
+ * Match statistics (all optional: null = not recorded).
+ * TEAM_MATCH_STATS are per side; PLAYER_MATCH_STATS are per player stat line.
+ */
+export const TEAM_MATCH_STATS = ["possession", "shots", "shotsOnTarget", "corners", "fouls", "offsides", "saves"];
+export const PLAYER_MATCH_STATS = ["minutesPlayed", "shots", "shotsOnTarget", "saves", "tackles"];
+
+const statFields = (fields) => Object.fromEntries(fields.map((f) => [f, { type: Number, min: 0, default: null }]));
+
+const TeamMatchStatsSchema = new Schema(
+  { ...statFields(TEAM_MATCH_STATS), possession: { type: Number, min: 0, max: 100, default: null } },
+  { _id: false }
+);
+
+const PlayerMatchStatsSchema = new Schema(
+  {
+    player: { type: Schema.Types.ObjectId, ref: "Player", required: true },
+    ...statFields(PLAYER_MATCH_STATS),
+  },
+  { _id: false }
+);
+
 /**
  * Timeline ref (simple reference)
  */
@@ -79,6 +180,22 @@ const MatchSchema = new Schema(
     result: { type: String, default: null }, // optional text result "2-1"
     fulltime: { type: Boolean, default: false },
 
+    status: { type: String, enum: MATCH_STATUSES, default: "scheduled" },
+    statusHistory: { type: [StatusChangeSchema], default: [] },
+    // start of the running period (first half, second half, extra time), for the live minute
+    periodStartedAt: { type: Date, default: null },
+    postponedReason: { type: String, default: null },
+
+    teamStats: {
+      home: { type: TeamMatchStatsSchema, default: null },
+      away: { type: TeamMatchStatsSchema, default: null },
+    },
+    playerStats: { type: [PlayerMatchStatsSchema], default: [] },
+
+    // knockout ties that are level after 90 minutes
+    extraTime: { type: Boolean, default: false },
+    penaltyShootout: { type: PenaltyShootoutSchema, default: null },
+
     matchRatings: [
       {
         player: { type: Schema.Types.ObjectId, ref: "Player" },
@@ -93,6 +210,12 @@ const MatchSchema = new Schema(
   // NEW: store per-team points for this match (teamId -> points)
   // Using a Map of Numbers; will be stored as an object in Mongo
   fantasyTeamPoints: { type: Map, of: Number, default: {} },
+
+  // scoring ruleset used the first time fantasy points were computed for this match;
+  // recomputations keep using it even if the competition's rules change later
+  // (version 0 with no ruleset: scored with the built-in defaults)
+  scoringRuleset: { type: Schema.Types.ObjectId, ref: "ScoringRuleset", default: null },
+  scoringRulesetVersion: { type: Number, default: null },
     manOftheMatch: { type: Schema.Types.ObjectId, ref: "Player", required: false },
 
     // timeline docs are separate model; we store references
@@ -154,6 +277,34 @@ MatchSchema.methods.recomputeScoresFromGoals = function () {
   this.result = `${homeScore}-${awayScore}`;
 };
 
+/**
+ * Method to recompute the shootout score from its kicks (no-op without a shootout).
+ */
+MatchSchema.methods.recomputePenaltyScore = function () {
+  if (!this.penaltyShootout) return;
+  let homeScore = 0;
+  let awayScore = 0;
+  for (const k of this.penaltyShootout.kicks || []) {
+    if (!k || k.outcome !== "scored") continue;
+    if (idEquals(k.team, this.homeTeam)) homeScore += 1;
+    else if (idEquals(k.team, this.awayTeam)) awayScore += 1;
+  }
+  this.penaltyShootout.homeScore = homeScore;
+  this.penaltyShootout.awayScore = awayScore;
+};
+
+/**
+ * Move the match to a status and record the change (transition rules are checked by the caller).
+ * Entering a running period starts its clock unless startClock is false.
+ */
+MatchSchema.methods.setStatus = function (status, { at = new Date(), startClock = true } = {}) {
+  const from = this.status || "scheduled";
+  this.status = status;
+  this.statusHistory = this.statusHistory || [];
+  this.statusHistory.push({ status, from, at });
+  this.periodStartedAt = startClock && CLOCK_PERIODS[status] ? at : null;
+};
+
 /**
  * Pre-save hook to ensure homeScore/awayScore/result are always correct
  * whenever the document is saved.
@@ -162,6 +313,7 @@ MatchSchema.pre("save", function (next) {
   try {
     // recompute based on goals array
     this.recomputeScoresFromGoals();
+    this.recomputePenaltyScore();
   } catch (err) {
     // don't crash save on hook error, just log and continue
     // (but you can also pass error to next(err) to abort save)
@@ -178,4 +330,90 @@ MatchSchema.virtual("computedResult").get(function () {
   return `${this.homeScore ?? 0}-${this.awayScore ?? 0}`;
 });
 
+// kicks each side takes before a shootout goes to sudden death
+const SHOOTOUT_ROUND_KICKS = 5;
+
+/**
+ * Whether a penalty shootout has a winner (documents and lean objects): within the first five kicks
+ * each, when one side can no longer catch up; in sudden death, once both sides have taken the same
+ * number of kicks and the scores differ.
+ */
+export function isShootoutDecided(match) {
+  const kicks = match?.penaltyShootout?.kicks || [];
+  let homeTaken = 0;
+  let awayTaken = 0;
+  let homeScored = 0;
+  let awayScored = 0;
+  for (const k of kicks) {
+    if (!k) continue;
+    const scored = k.outcome === "scored" ? 1 : 0;
+    if (idEquals(k.team, match.homeTeam)) {
+      homeTaken += 1;
+      homeScored += scored;
+    } else if (idEquals(k.team, match.awayTeam)) {
+      awayTaken += 1;
+      awayScored += scored;
+    }
+  }
+  if (homeTaken <= SHOOTOUT_ROUND_KICKS && awayTaken <= SHOOTOUT_ROUND_KICKS) {
+    return homeScored + (SHOOTOUT_ROUND_KICKS - homeTaken) < awayScored
+      || awayScored + (SHOOTOUT_ROUND_KICKS - awayTaken) < homeScored;
+  }
+  return homeTaken === awayTaken && homeScored !== awayScored;
+}
+
+/**
+ * Who won a match (works on documents and lean objects).
+ * Returns { winner: teamId | null, decidedBy: "regular" | "extraTime" | "penalties" | null }
+ * - a level score is settled by the shootout once it is decided (see isShootoutDecided)
+ * - winner is null while the match is not at full time or when it ended level
+ */
+export function resolveMatchWinner(match) {
+  if (!match || !match.fulltime) return { winner: null, decidedBy: null };
+  const home = Number(match.homeScore || 0);
+  const away = Number(match.awayScore || 0);
+  if (home !== away) {
+    return { winner: home > away ? match.homeTeam : match.awayTeam, decidedBy: match.extraTime ? "extraTime" : "regular" };
+  }
+  const pens = match.penaltyShootout;
+  const penHome = Number(pens?.homeScore || 0);
+  const penAway = Number(pens?.awayScore || 0);
+  if (pens && penHome !== penAway && isShootoutDecided(match)) {
+    return { winner: penHome > penAway ? match.homeTeam : match.awayTeam, decidedBy: "penalties" };
+  }
+  return { winner: null, decidedBy: null };
+}
+
+/**
+ * Status of a match (documents and lean objects); matches from before statuses existed
+ * are finished when fulltime is set, else scheduled.
+ */
+export function resolveMatchStatus(match) {
+  if (!match) return null;
+  if (match.fulltime) return "finished";
+  return match.status && match.status !== "finished" ? match.status : "scheduled";
+}
+
+/**
+ * Live minute of a match: { minute, addedTime, display } (minute null when the clock is not running).
+ * Past the end of a period the minute stays at 45/90/120 and the rest is added time ("45+2'").
+ */
+export function matchClock(match, now = new Date()) {
+  const status = resolveMatchStatus(match);
+  if (status === "halfTime") return { minute: 45, addedTime: 0, display: "HT" };
+  if (status === "penalties") return { minute: match.extraTime ? 120 : 90, addedTime: 0, display: "PEN" };
+  if (status === "finished") return { minute: null, addedTime: 0, display: "FT" };
+
+  const period = CLOCK_PERIODS[status];
+  if (!period || !match.periodStartedAt) return { minute: null, addedTime: 0, display: null };
+  const elapsed = Math.max(0, Math.floor((new Date(now) - new Date(match.periodStartedAt)) / 60000)) + 1;
+  if (elapsed <= period.length) {
+    const minute = period.start + elapsed;
+    return { minute, addedTime: 0, display: `${minute}'` };
+  }
+  const end = period.start + period.length;
+  const addedTime = elapsed - period.length;
+  return { minute: end, addedTime, display: `${end}+${addedTime}'` };
+}
+
 export default mongoose.models.Match || mongoose.model("Match", MatchSchema);
@@ -1,16 +1,46 @@
 // models/Player.js
 import mongoose from "mongoose";
+import { PLAYER_MATCH_STATS } from "./Match.js";
 
 const fantasyStatSchema = new mongoose.Schema(
   {
     match: { type: mongoose.Schema.Types.ObjectId, ref: "Match", required: true },
     gameweek: { type: Number, default: null }, // nullable if gameweek unknown
     points: { type: Number, required: true },
+    // scoring ruleset the points were computed with (null = built-in defaults)
+    ruleset: { type: mongoose.Schema.Types.ObjectId, ref: "ScoringRuleset", default: null },
+    rulesetVersion: { type: Number, default: null },
     createdAt: { type: Date, default: Date.now },
   },
   { _id: false }
 );
 
+const priceChangeSchema = new mongoose.Schema(
+  {
+    price: { type: Number, required: true },
+    previousPrice: { type: Number, required: true },
+    change: { type: Number, required: true },
+    // performance: match-based cron, demand: net fantasy transfers
+    reason: { type: String, enum: ["performance", "demand"], required: true },
+    match: { type: mongoose.Schema.Types.ObjectId, ref: "Match", default: null },
+    netTransfers: { type: Number, default: null },
+    changedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// fantasy transfer demand since the last gameweek deadline
+const transferDemandSchema = new mongoose.Schema(
+  {
+    transfersIn: { type: Number, default: 0 },
+    transfersOut: { type: Number, default: 0 },
+    // net transfers not yet used up by a demand price change
+    progress: { type: Number, default: 0 },
+    lastChangeAt: { type: Date, default: null },
+  },
+  { _id: false }
+);
+
 const matchPerfSchema = new mongoose.Schema({
   match: { type: mongoose.Schema.Types.ObjectId, ref: "Match" },
   goals: { type: Number, default: 0 },
@@ -20,6 +50,12 @@ const matchPerfSchema = new mongoose.Schema({
   manOfTheMatch: { type: Boolean, default: false }
 }, { _id: false });
 
+// season totals of the player's match stat lines (Match.playerStats)
+const matchStatTotalsSchema = new mongoose.Schema(
+  Object.fromEntries(PLAYER_MATCH_STATS.map((f) => [f, { type: Number, default: 0 }])),
+  { _id: false }
+);
+
 const playerSchema = new mongoose.Schema({
   name: { type: String, required: true },
   team: { type: mongoose.Schema.Types.ObjectId, ref: "Team" },
@@ -30,6 +66,7 @@ const playerSchema = new mongoose.Schema({
   assists: { type: Number, default: 0 },
   totalyellowCards: { type: Number, default: 0 },
   totalredCards: { type: Number, default: 0 },
+  matchStatTotals: { type: matchStatTotalsSchema, default: () => ({}) },
   matchRatings: [
     {
       match: { type: mongoose.Schema.Types.ObjectId, ref: 'Match' },
@@ -37,6 +74,8 @@ const playerSchema = new mongoose.Schema({
     }
   ],
   price: { type: Number, default: 7, min: 7, max: 12 },
+  priceHistory: { type: [priceChangeSchema], default: [] },
+  transferDemand: { type: transferDemandSchema, default: () => ({}) },
 
   matchPerformances: { type: [matchPerfSchema], default: [] },
 
@@ -0,0 +1,85 @@
+// models/ScoringRuleset.js
+import mongoose from "mongoose";
+
+/**
+ * Default fantasy scoring weights (the values the game launched with).
+ * Used when a competition has no ruleset yet and as the base every new ruleset is merged over.
+ */
+export const DEFAULT_SCORING_RULES = {
+  // with minutes recorded (Match.playerStats): minutesThreshold or more earns `started`, fewer earns `subOn`
+  appearance: { started: 2, subOn: 1, minutesThreshold: 60 },
+  goal: { GK: 6, DEF: 6, MID: 5, FWD: 4 },
+  assist: 3,
+  manOfTheMatch: 3,
+  yellowCard: -1,
+  redCard: -3,
+  // goalkeepers: `points` for every `every` saves recorded on their stat line
+  saves: { every: 3, points: 1 },
+  // only awarded to players who started (or played minutesThreshold minutes)
+  cleanSheet: { GK: 4, DEF: 4, MID: 1, FWD: 0 },
+  // only awarded to players who played
+  teamOutcome: { win: 3, draw: 2, loss: 1 },
+  // penalty shootout kicks: per save for the goalkeeper, per missed/saved kick for the taker
+  penaltySave: 3,
+  penaltyMiss: -2,
+};
+
+// version recorded on a match scored with DEFAULT_SCORING_RULES (saved rulesets start at 1)
+export const DEFAULT_RULESET_VERSION = 0;
+
+const byPositionSchema = (defaults) =>
+  new mongoose.Schema(
+    {
+      GK: { type: Number, default: defaults.GK },
+      DEF: { type: Number, default: defaults.DEF },
+      MID: { type: Number, default: defaults.MID },
+      FWD: { type: Number, default: defaults.FWD },
+    },
+    { _id: false }
+  );
+
+const rulesSchema = new mongoose.Schema(
+  {
+    appearance: {
+      started: { type: Number, default: DEFAULT_SCORING_RULES.appearance.started },
+      subOn: { type: Number, default: DEFAULT_SCORING_RULES.appearance.subOn },
+      minutesThreshold: { type: Number, default: DEFAULT_SCORING_RULES.appearance.minutesThreshold },
+    },
+    goal: { type: byPositionSchema(DEFAULT_SCORING_RULES.goal), default: () => ({}) },
+    assist: { type: Number, default: DEFAULT_SCORING_RULES.assist },
+    manOfTheMatch: { type: Number, default: DEFAULT_SCORING_RULES.manOfTheMatch },
+    yellowCard: { type: Number, default: DEFAULT_SCORING_RULES.yellowCard },
+    redCard: { type: Number, default: DEFAULT_SCORING_RULES.redCard },
+    saves: {
+      every: { type: Number, default: DEFAULT_SCORING_RULES.saves.every },
+      points: { type: Number, default: DEFAULT_SCORING_RULES.saves.points },
+    },
+    cleanSheet: { type: byPositionSchema(DEFAULT_SCORING_RULES.cleanSheet), default: () => ({}) },
+    teamOutcome: {
+      win: { type: Number, default: DEFAULT_SCORING_RULES.teamOutcome.win },
+      draw: { type: Number, default: DEFAULT_SCORING_RULES.teamOutcome.draw },
+      loss: { type: Number, default: DEFAULT_SCORING_RULES.teamOutcome.loss },
+    },
+    penaltySave: { type: Number, default: DEFAULT_SCORING_RULES.penaltySave },
+    penaltyMiss: { type: Number, default: DEFAULT_SCORING_RULES.penaltyMiss },
+  },
+  { _id: false }
+);
+
+/**
+ * A ruleset version is immutable once created: editing the rules of a competition
+ * creates a new version, so matches processed under an older version can still be
+ * recomputed with the weights they were originally scored with.
+ */
+const scoringRulesetSchema = new mongoose.Schema({
+  competitionId: { type: mongoose.Schema.Types.ObjectId, ref: "Competition", required: true },
+  version: { type: Number, required: true },
+  rules: { type: rulesSchema, default: () => ({}) },
+  note: { type: String, default: null },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  createdAt: { type: Date, default: Date.now },
+});
+
+scoringRulesetSchema.index({ competitionId: 1, version: 1 }, { unique: true });
+
+export default mongoose.models.ScoringRuleset || mongoose.model("ScoringRuleset", scoringRulesetSchema);
@@ -0,0 +1,45 @@
+// models/Season.js
+import mongoose from "mongoose";
+
+/**
+ * What a season looked like when it was closed (plain snapshots, never recomputed).
+ * - table: league table rows (see buildLeagueTable)
+ * - teamStats: TeamCompetitionStats counters per team
+ * - playerStats: season totals per player (goals, assists, cards, fantasy points, appearances, match stat lines)
+ * - awards: champion, top scorers/assisters, top fantasy players, fantasy winner
+ * - fantasyLeaderboard: fantasy teams of the competition ranked by points
+ * - fantasyLeagues: final standings of each fantasy league of the competition
+ */
+const seasonArchiveSchema = new mongoose.Schema(
+  {
+    table: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    teamStats: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    playerStats: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    awards: { type: mongoose.Schema.Types.Mixed, default: () => ({}) },
+    fantasyLeaderboard: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    fantasyLeagues: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    archivedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+/**
+ * A season of a competition. Gameweek numbers keep counting up across seasons,
+ * so a season is the range firstGameweek..lastGameweek (lastGameweek is null while it is active).
+ * Competitions that never started a new season have no Season documents (all their gameweeks are season 1).
+ */
+const seasonSchema = new mongoose.Schema({
+  competitionId: { type: mongoose.Schema.Types.ObjectId, ref: "Competition", required: true },
+  number: { type: Number, required: true },
+  name: { type: String, default: null },
+  status: { type: String, enum: ["active", "archived"], default: "active" },
+  firstGameweek: { type: Number, default: 1 },
+  lastGameweek: { type: Number, default: null },
+  startedAt: { type: Date, default: Date.now },
+  endedAt: { type: Date, default: null },
+  archive: { type: seasonArchiveSchema, default: null },
+});
+
+seasonSchema.index({ competitionId: 1, number: 1 }, { unique: true });
+
+export default mongoose.models.Season || mongoose.model("Season", seasonSchema);
@@ -0,0 +1,28 @@
+// models/Suspension.js
+import mongoose from "mongoose";
+
+export const SUSPENSION_REASONS = ["redCard", "secondYellow", "yellowAccumulation"];
+
+/**
+ * A match ban in a competition. It is served one match at a time as the player's team completes
+ * matches of that competition (never the match it was given in). Player.matchBan mirrors the matches left.
+ */
+const suspensionSchema = new mongoose.Schema({
+  player: { type: mongoose.Schema.Types.ObjectId, ref: "Player", required: true },
+  team: { type: mongoose.Schema.Types.ObjectId, ref: "Team", default: null },
+  competitionId: { type: mongoose.Schema.Types.ObjectId, ref: "Competition", default: null },
+  reason: { type: String, enum: SUSPENSION_REASONS, required: true },
+  // match the card was shown in
+  sourceMatch: { type: mongoose.Schema.Types.ObjectId, ref: "Match", default: null },
+  matches: { type: Number, required: true, min: 1 },
+  // matches already missed (in order)
+  servedMatches: [{ type: mongoose.Schema.Types.ObjectId, ref: "Match" }],
+  status: { type: String, enum: ["active", "served"], default: "active" },
+  createdAt: { type: Date, default: Date.now },
+  servedAt: { type: Date, default: null },
+});
+
+suspensionSchema.index({ competitionId: 1, status: 1 });
+suspensionSchema.index({ player: 1, status: 1 });
+
+export default mongoose.models.Suspension || mongoose.model("Suspension", suspensionSchema);
@@ -6,6 +6,8 @@ const teamSchema = new mongoose.Schema({
   logo:{type: String, required: true},
   coach: { type: mongoose.Schema.Types.ObjectId, ref: 'Coach' },
   players: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Player' }],
+  // legacy counters: per-competition counters live in TeamCompetitionStats
+  // (scripts/migrateTeamStats.js moves these over); no longer updated
   matchesPlayed: { type: Number, default: 0 },
   wins: { type: Number, default: 0 },
   draws: { type: Number, default: 0 },
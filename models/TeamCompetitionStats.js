@@ -0,0 +1,47 @@
+// models/TeamCompetitionStats.js
+import mongoose from "mongoose";
+
+/**
+ * Counters of one team in one competition (a team can play a league and a cup at the same time).
+ * - matchesPlayed ... points: league (non-knockout) matches only, i.e. what the table counts
+ * - overall*: every fulltime match of the team in the competition, knockout stages included
+ * - shots ... possessionMatches: totals of the recorded match statistics (Match.teamStats) of every fulltime match;
+ *   average possession = possessionTotal / possessionMatches
+ * Maintained by updateMatch (full time) / revertMatchFulltime; rebuildable from the matches.
+ */
+const teamCompetitionStatsSchema = new mongoose.Schema({
+  team: { type: mongoose.Schema.Types.ObjectId, ref: "Team", required: true },
+  competitionId: { type: mongoose.Schema.Types.ObjectId, ref: "Competition", required: true },
+
+  matchesPlayed: { type: Number, default: 0 },
+  wins: { type: Number, default: 0 },
+  draws: { type: Number, default: 0 },
+  losses: { type: Number, default: 0 },
+  goalsFor: { type: Number, default: 0 },
+  goalsAgainst: { type: Number, default: 0 },
+  points: { type: Number, default: 0 },
+
+  overallMatchesPlayed: { type: Number, default: 0 },
+  overallWins: { type: Number, default: 0 },
+  overallDraws: { type: Number, default: 0 },
+  overallLosses: { type: Number, default: 0 },
+  overallGoalsFor: { type: Number, default: 0 },
+  overallGoalsAgainst: { type: Number, default: 0 },
+  overallPoints: { type: Number, default: 0 },
+
+  shots: { type: Number, default: 0 },
+  shotsOnTarget: { type: Number, default: 0 },
+  corners: { type: Number, default: 0 },
+  fouls: { type: Number, default: 0 },
+  offsides: { type: Number, default: 0 },
+  saves: { type: Number, default: 0 },
+  possessionTotal: { type: Number, default: 0 },
+  possessionMatches: { type: Number, default: 0 },
+
+  updatedAt: { type: Date, default: Date.now },
+});
+
+teamCompetitionStatsSchema.index({ team: 1, competitionId: 1 }, { unique: true });
+teamCompetitionStatsSchema.index({ competitionId: 1 });
+
+export default mongoose.models.TeamCompetitionStats || mongoose.model("TeamCompetitionStats", teamCompetitionStatsSchema);
@@ -1,5 +1,12 @@
 import express from "express";
 import {createCompetition, getAllCompetitions, getCompetitionById, deleteCompetition} from "../controllers/competition.js";
+import { getCompetitionScoring, getCompetitionScoringVersion, updateCompetitionScoring } from "../controllers/scoringRuleset.js";
+import { getCompetitionChips, updateCompetitionChips } from "../controllers/chips.js";
+import { getCompetitionTable } from "../controllers/standings.js";
+import { rebuildStandings } from "../controllers/standingsRebuild.js";
+import { getCompetitionSeasons, getCompetitionSeason, startCompetitionSeason } from "../controllers/season.js";
+import { getCompetitionSuspensions, updateSuspensionRules } from "../controllers/suspension.js";
+import { updateTransferRules } from "../controllers/fantasy.js";
 import { verifyToken } from "../verifyToken.js";
 
 const router = express.Router();
@@ -11,4 +18,30 @@ router.get("/", getAllCompetitions);
 router.get("/:id", getCompetitionById);
 router.delete("/:id", deleteCompetition);
 
+// fantasy scoring rules (versioned)
+router.get("/:id/scoring", getCompetitionScoring);
+router.get("/:id/scoring/:version", getCompetitionScoringVersion);
+router.put("/:id/scoring", verifyToken, updateCompetitionScoring);
+
+// league table (tiebreakers, form, ?gameweek=N for the table as of that gameweek, ?season=)
+router.get("/:id/table", getCompetitionTable);
+// rebuild Team counters from fulltime matches (dry run by default)
+router.post("/:id/standings/rebuild", verifyToken, rebuildStandings);
+
+// seasons (archives of past seasons; starting one closes the current season)
+router.get("/:id/seasons", getCompetitionSeasons);
+router.get("/:id/seasons/:season", getCompetitionSeason);
+router.post("/:id/seasons", verifyToken, startCompetitionSeason);
+
+// suspensions (?status=active|served|all, ?team=) and the card ban rules
+router.get("/:id/suspensions", getCompetitionSuspensions);
+router.put("/:id/suspension-rules", verifyToken, updateSuspensionRules);
+
+// fantasy chips (name, effect, uses, gameweek windows)
+router.get("/:id/chips", getCompetitionChips);
+router.put("/:id/chips", verifyToken, updateCompetitionChips);
+
+// fantasy transfer hit (points per transfer beyond the free ones)
+router.put("/:id/transfer-rules", verifyToken, updateTransferRules);
+
 export default router;
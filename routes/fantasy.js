@@ -11,7 +11,12 @@ import {
   deleteTeam,
   substitutePlayers,
   setCaptainVice,
+  setBenchOrder,
+  getTransferHistory,
 } from "../controllers/fantasy.js";
+import { recalculateFantasy } from "../controllers/fantasyRecalc.js";
+import { getLiveGameweekPoints } from "../controllers/fantasyLive.js";
+import { getFantasyTeamChips } from "../controllers/chips.js";
 import { verifyToken } from "../verifyToken.js";
 
 const router = express.Router();
@@ -19,7 +24,10 @@ const router = express.Router();
 // Public reads
 router.get("/", getAllFantasyTeams); // optional query: ?userId=&competitionId=
 router.get("/get/team", verifyToken , getFantasyTeamByLoggedId);
+router.get("/live/:gameweek", getLiveGameweekPoints); // provisional GW points; ?fantasyTeamId=&competitionId=
 router.get("/:id", getFantasyTeamById);
+router.get("/:id/transfers", getTransferHistory); // transfer ledger, free transfers and point hits
+router.get("/:id/chips", getFantasyTeamChips); // chips left and played; ?gameweek=
 router.delete("/", verifyToken , deleteTeam);
 // Protected actions
 router.post("/", verifyToken, createFantasyTeam); // create new fantasy team
@@ -30,6 +38,9 @@ router.post("/lineup", verifyToken, setLineup);
  // substitute// set captain / vice
 router.post("/set-captain", verifyToken, setCaptainVice);
 router.post("/substitute", verifyToken, substitutePlayers);
+router.put("/bench", verifyToken, setBenchOrder); // reorder bench priority before the deadline
+// admin: rebuild a competition's fantasy points from match events (dry run unless dryRun: false)
+router.post("/recalculate", verifyToken, recalculateFantasy);
 
 
 export default router;
@@ -0,0 +1,33 @@
+// routes/fantasyLeague.js
+import express from "express";
+import {
+  createLeague,
+  getPublicLeagues,
+  getMyLeagues,
+  joinLeagueByCode,
+  joinPublicLeague,
+  leaveLeague,
+  kickMember,
+  getLeagueStandings,
+  getLeagueFixtures,
+  getLeagueGameweekResults,
+} from "../controllers/fantasyLeague.js";
+import { verifyToken } from "../verifyToken.js";
+
+const router = express.Router();
+
+// Public reads
+router.get("/", getPublicLeagues); // optional query: ?competitionId=
+router.get("/mine", verifyToken, getMyLeagues);
+router.get("/:id", getLeagueStandings);
+router.get("/:id/fixtures", getLeagueFixtures); // h2h only, optional query: ?gameweek=
+router.get("/:id/gameweek/:gameweek", getLeagueGameweekResults);
+
+// Protected actions
+router.post("/", verifyToken, createLeague);
+router.post("/join", verifyToken, joinLeagueByCode); // body: { code }
+router.post("/:id/join", verifyToken, joinPublicLeague);
+router.post("/:id/leave", verifyToken, leaveLeague);
+router.delete("/:id/members/:fantasyTeamId", verifyToken, kickMember); // league admin only
+
+export default router;
@@ -2,21 +2,29 @@
 import express from "express";
 import {
   generateFixturesAuto,
+  appendSecondLeg,
   createFixturesManually,
   generatePartialFixtures,
   createKnockoutPlaceholders,
   fillKnockoutFixtures, getPlaceholdersByCompetition
 } from "../controllers/fixture.js";
+import { seedKnockoutBracket, getBracket } from "../controllers/bracket.js";
+import { postponeFixture, rescheduleFixture } from "../controllers/fixtureSchedule.js";
 import { verifyToken } from "../verifyToken.js";
 
 const router = express.Router();
 
 // Admin-only endpoints (verifyToken required)
 router.get("/placeholder",verifyToken,getPlaceholdersByCompetition)
-router.post("/generate", verifyToken, generateFixturesAuto); // auto generate first R rounds
+router.post("/generate", verifyToken, generateFixturesAuto); // auto generate a (double) round-robin
+router.post("/second-leg", verifyToken, appendSecondLeg); // append the mirrored second leg
 router.post("/manual", verifyToken, createFixturesManually); // manual create gw/fixtures
 router.post("/generate-partial", verifyToken, generatePartialFixtures); // partial
 router.post("/knockout/placeholders", verifyToken, createKnockoutPlaceholders); // create knockout placeholders
 router.post("/knockout/fill", verifyToken, fillKnockoutFixtures); // fill knockout fixtures with teams
+router.post("/knockout/seed", verifyToken, seedKnockoutBracket); // seed the bracket from the league table
+router.post("/:id/postpone", verifyToken, postponeFixture); // postpone the fixture's match
+router.post("/:id/reschedule", verifyToken, rescheduleFixture); // new date, moving it to another gameweek
+router.get("/bracket/:competitionId", getBracket); // knockout bracket tree
 
 export default router;
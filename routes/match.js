@@ -1,5 +1,7 @@
 import express from "express";
 import { getGameweeksWithMatches,getMatchesByTeam,getSingleMatchById,revertMatchFulltime,updateMatch} from "../controllers/match.js";
+import { updateMatchEvent, deleteMatchEvent } from "../controllers/matchEvents.js";
+import { updateMatchStatus } from "../controllers/matchStatus.js";
 import { verifyToken } from "../verifyToken.js";
 
 const router = express.Router();
@@ -11,6 +13,11 @@ router.get("/:id",getSingleMatchById)
 //update
 router.put("/",verifyToken, updateMatch);
 router.post("/:id/revert-fulltime", verifyToken, revertMatchFulltime);
+// lifecycle: kickoff, half-time, second half, extra time, penalties, finished, postponed, abandoned, cancelled
+router.post("/:id/status", verifyToken, updateMatchStatus);
+// correct or remove one goal/card/substitution/rating (type: goals | cards | substitutions | ratings)
+router.patch("/:id/events/:type/:eventId", verifyToken, updateMatchEvent);
+router.delete("/:id/events/:type/:eventId", verifyToken, deleteMatchEvent);
 
 
 export default router;
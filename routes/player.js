@@ -1,5 +1,6 @@
 import express from "express";
 import { createPlayer,getAllPlayers,getPlayer,getPlayersByTeam,tempcreatePlayer,deletePlayer, updatePlayer} from "../controllers/player.js";
+import { getPricePredictions, getPriceHistory } from "../controllers/priceDemand.js";
 import { verifyToken } from "../verifyToken.js";
 
 const router = express.Router();
@@ -10,6 +11,8 @@ router.post("/temp", tempcreatePlayer);
 //get
 router.get("/team/:teamId", getPlayersByTeam);
 router.get("/", getAllPlayers);
+router.get("/price-predictions", getPricePredictions); // predicted risers/fallers from transfer demand
+router.get("/:id/price-history", getPriceHistory);
 router.get("/:id", getPlayer);
 router.delete("/:id",deletePlayer)
 router.put("/:playerId",updatePlayer)
@@ -0,0 +1,67 @@
+// scripts/migrateTeamStats.js
+/**
+ * Moves the legacy counters stored on Team (matchesPlayed ... points, overall*) into
+ * TeamCompetitionStats rows keyed by the team's competitionId.
+ *
+ * Usage:
+ *   node scripts/migrateTeamStats.js [--apply] [--force]
+ *
+ * Dry run unless --apply is passed. Rows that already hold counters are left alone unless --force.
+ * Counters can be checked afterwards against the matches with scripts/rebuildStandings.js.
+ */
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import Team from "../models/Team.js";
+import TeamCompetitionStats from "../models/TeamCompetitionStats.js";
+import { STAT_FIELDS, ensureTeamCompetitionStats } from "../controllers/teamStats.js";
+
+dotenv.config();
+
+function asNumber(value) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : 0;
+}
+
+async function main() {
+  const apply = process.argv.includes("--apply");
+  const force = process.argv.includes("--force");
+
+  await mongoose.connect(process.env.DB_CONNECTION);
+
+  try {
+    const teams = await Team.find({}).lean().exec();
+    const report = { dryRun: !apply, teams: teams.length, migrated: [], skipped: [] };
+
+    for (const team of teams) {
+      if (!team.competitionId) {
+        report.skipped.push({ teamId: String(team._id), name: team.name, reason: "no competitionId" });
+        continue;
+      }
+      const counters = Object.fromEntries(STAT_FIELDS.map((f) => [f, asNumber(team[f])]));
+      const existing = await TeamCompetitionStats.findOne({ team: team._id, competitionId: team.competitionId }).lean().exec();
+      const hasCounters = existing && STAT_FIELDS.some((f) => asNumber(existing[f]) !== 0);
+      if (hasCounters && !force) {
+        report.skipped.push({ teamId: String(team._id), name: team.name, reason: "stats row already has counters" });
+        continue;
+      }
+
+      report.migrated.push({ teamId: String(team._id), name: team.name, competitionId: String(team.competitionId), counters });
+      if (!apply) continue;
+
+      await ensureTeamCompetitionStats([team._id], team.competitionId);
+      await TeamCompetitionStats.updateOne(
+        { team: team._id, competitionId: team.competitionId },
+        { $set: { ...counters, updatedAt: new Date() } }
+      ).exec();
+    }
+
+    console.log(JSON.stringify({ success: true, ...report }, null, 2));
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch((error) => {
+  console.error("[migrateTeamStats] failed:", error);
+  process.exit(1);
+});
@@ -0,0 +1,28 @@
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import { recalculateCompetitionFantasy } from "../controllers/fantasyRecalc.js";
+
+dotenv.config();
+
+async function main() {
+  const competitionId = process.argv[2];
+  const apply = process.argv.includes("--apply");
+  if (!competitionId) {
+    throw new Error("Usage: node scripts/recalculateFantasy.js <competitionId> [--apply]");
+  }
+
+  await mongoose.connect(process.env.DB_CONNECTION);
+
+  try {
+    // dry run unless --apply is passed
+    const report = await recalculateCompetitionFantasy(competitionId, { dryRun: !apply });
+    console.log(JSON.stringify({ success: true, ...report }, null, 2));
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch((error) => {
+  console.error("[recalculateFantasy] failed:", error);
+  process.exit(1);
+});
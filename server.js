@@ -1,4 +1,5 @@
 import express from "express"
+import http from "http";
 import dotenv from "dotenv";
 import cookieParser from "cookie-parser";
 import mongoose from "mongoose";
@@ -13,11 +14,13 @@ import teamRoutes from "./routes/team.js"
 import playerRoutes from "./routes/player.js"
 import coachesRoutes from "./routes/coaches.js"
 import fantasyRoutes from "./routes/fantasy.js"
+import fantasyLeagueRoutes from "./routes/fantasyLeague.js"
 import timelineRoutes from "./routes/timeline.js"
 import analyticsRoutes from "./routes/analytics.js"
 import "./controllers/cronjob/cron.js"
 import "./controllers/gameweek.js"
 import bodyParser from "body-parser";
+import { initSocket } from "./socket.js";
 
 
 // import authRoutes from "./routes/auth.js";
@@ -34,8 +37,9 @@ dotenv.config();
 // const bodyParser = bodyParser();
 // const emailRoutes = require('./emailRoutes');
 app.use(cookieParser());
+const allowedOrigins = ['http://localhost:3001','http://localhost:3000','https://engine3-0frontend.vercel.app','https://engine3-0.vercel.app','http://172.20.10.2:3001'];
 app.use(cors({
-  origin: ['http://localhost:3001','http://localhost:3000','https://engine3-0frontend.vercel.app','https://engine3-0.vercel.app','http://172.20.10.2:3001'],
+  origin: allowedOrigins,
   methods: 'GET,HEAD,PUT,PATCH,POST,DELETE',
   credentials: true
   
@@ -50,6 +54,8 @@ app.use("/api/coaches",coachesRoutes)
 app.use("/api/fixture",fixtureRoutes )
 app.use("/api/match",matchRoutes )
 app.use("/api/team",teamRoutes)
+// mounted before /api/fantasy so "/leagues" is not captured by the fantasy "/:id" route
+app.use("/api/fantasy/leagues",fantasyLeagueRoutes)
 app.use("/api/fantasy",fantasyRoutes)
 app.use("/api/timeline",timelineRoutes)
 app.use("/api/analytics",analyticsRoutes)
@@ -69,16 +75,22 @@ app.use((err, req, res, next) => {
       success: false,
       status,
       message,
+      // per-item details for rejected requests (e.g. match event validation)
+      ...(err.status && Array.isArray(err.errors) ? { errors: err.errors } : {}),
     });
   });
   
+// HTTP server shared by express and the socket.io match centre
+const server = http.createServer(app);
+initSocket(server, { origins: allowedOrigins });
+
 // connecting to mongo database
 mongoose
   .connect(process.env.DB_CONNECTION)
   .then(() => {
     console.log("Connected to database");
     // Listening for request
-    app.listen(process.env.PORT, () => {
+    server.listen(process.env.PORT, () => {
       console.log(`Connecting... ${process.env.PORT}`);
     });
   })
@@ -0,0 +1,119 @@
+// socket.js
+import mongoose from "mongoose";
+import { Server } from "socket.io";
+import { createError } from "./error.js";
+import { extractToken, decodeToken } from "./verifyToken.js";
+
+/**
+ * Real-time match centre.
+ *
+ * Channels (socket.io rooms):
+ * - match:<matchId>   public: goals, cards, substitutions, score changes and full-time;
+ *                      corrections come as "match:event:updated" / "match:event:removed" ({ type, eventId, event })
+ *                      status changes as "match:status" ({ status, from, at, clock })
+ * - gameweek:<number> private (authenticated sockets only): fantasy points
+ *                      "fantasy:points" ({ matchId, recomputed?, teams: [{ fantasyTeamId, points }] }): each team's
+ *                      points for that match (recomputed: true when a corrected match was scored again)
+ *
+ * Client -> server: "match:join" / "match:leave" (matchId), "gameweek:join" / "gameweek:leave" (number),
+ * each with an optional ack callback receiving { success, ... }.
+ */
+
+let io = null;
+
+export const matchRoom = (matchId) => `match:${String(matchId)}`;
+export const gameweekRoom = (gameweekNumber) => `gameweek:${Number(gameweekNumber)}`;
+
+// the handshake carries the raw Cookie header, not the parsed cookies express gets from cookie-parser
+function parseCookieHeader(header) {
+  const cookies = {};
+  for (const part of String(header || "").split(";")) {
+    const idx = part.indexOf("=");
+    if (idx < 0) continue;
+    const key = part.slice(0, idx).trim();
+    if (!key) continue;
+    const value = part.slice(idx + 1).trim();
+    // a malformed escape must not throw inside the handshake middleware: keep the raw value
+    try {
+      cookies[key] = decodeURIComponent(value);
+    } catch (e) {
+      cookies[key] = value;
+    }
+  }
+  return cookies;
+}
+
+function reply(ack, payload) {
+  if (typeof ack === "function") ack(payload);
+}
+
+function replyError(ack, err) {
+  reply(ack, { success: false, status: err.status || 500, message: err.message });
+}
+
+/**
+ * Attach socket.io to the HTTP server. Anonymous sockets may follow match channels;
+ * a token (handshake auth.token, access_token cookie or Bearer header) is verified like verifyToken.
+ */
+export const initSocket = (httpServer, { origins = [] } = {}) => {
+  io = new Server(httpServer, {
+    cors: { origin: origins, methods: ["GET", "POST"], credentials: true },
+  });
+
+  io.use((socket, next) => {
+    const { auth, headers } = socket.handshake;
+    const token = auth?.token || extractToken({ cookies: parseCookieHeader(headers?.cookie), headers });
+    if (!token) return next();
+
+    decodeToken(token, (err, decoded) => {
+      if (err) {
+        const connectErr = new Error(err.message);
+        connectErr.data = { status: err.status };
+        return next(connectErr);
+      }
+      socket.data.user = decoded;
+      next();
+    });
+  });
+
+  io.on("connection", (socket) => {
+    socket.on("match:join", (matchId, ack) => {
+      if (!mongoose.Types.ObjectId.isValid(String(matchId))) return replyError(ack, createError(400, "Invalid match id"));
+      socket.join(matchRoom(matchId));
+      reply(ack, { success: true, room: matchRoom(matchId) });
+    });
+
+    socket.on("match:leave", (matchId, ack) => {
+      socket.leave(matchRoom(matchId));
+      reply(ack, { success: true });
+    });
+
+    socket.on("gameweek:join", (gameweekNumber, ack) => {
+      if (!socket.data.user) return replyError(ack, createError(401, "You are not authenticated!"));
+      const n = Number(gameweekNumber);
+      if (!Number.isFinite(n) || n < 1) return replyError(ack, createError(400, "Invalid gameweek"));
+      socket.join(gameweekRoom(n));
+      reply(ack, { success: true, room: gameweekRoom(n) });
+    });
+
+    socket.on("gameweek:leave", (gameweekNumber, ack) => {
+      socket.leave(gameweekRoom(gameweekNumber));
+      reply(ack, { success: true });
+    });
+  });
+
+  return io;
+};
+
+export const getIO = () => io;
+
+// Broadcasts are no-ops until initSocket ran (e.g. in scripts/)
+export const emitToMatch = (matchId, event, payload) => {
+  if (!io || !matchId) return;
+  io.to(matchRoom(matchId)).emit(event, { matchId: String(matchId), ...payload });
+};
+
+export const emitToGameweek = (gameweekNumber, event, payload) => {
+  if (!io || gameweekNumber == null) return;
+  io.to(gameweekRoom(gameweekNumber)).emit(event, { gameweek: Number(gameweekNumber), ...payload });
+};
@@ -2,25 +2,43 @@
 import jwt from "jsonwebtoken";
 import { createError } from "./error.js";
 
-export const verifyToken = (req, res, next) => {
-  try {
-    // 1) try cookie first
-    let token = req.cookies?.access_token;
+/**
+ * Read the JWT from the access_token cookie, falling back to an "Authorization: Bearer <token>" header.
+ * Shared by the HTTP middleware and the socket handshake (which passes parsed handshake cookies).
+ */
+export const extractToken = ({ cookies, headers } = {}) => {
+  // 1) try cookie first
+  let token = cookies?.access_token;
+
+  // 2) fallback to Authorization header: "Bearer <token>"
+  if (!token && headers?.authorization) {
+    const parts = String(headers.authorization).split(" ");
+    if (parts.length === 2 && /^Bearer$/i.test(parts[0])) token = parts[1];
+  }
+  return token || null;
+};
 
-    // 2) fallback to Authorization header: "Bearer <token>"
-    if (!token && req.headers?.authorization) {
-      const parts = String(req.headers.authorization).split(" ");
-      if (parts.length === 2 && /^Bearer$/i.test(parts[0])) token = parts[1];
+/**
+ * Verify a token; calls back with (error, decoded) where error is already an HTTP error.
+ */
+export const decodeToken = (token, callback) => {
+  jwt.verify(token, process.env.JWT, (err, decoded) => {
+    if (err) {
+      // give a clearer response for expired tokens
+      if (err.name === "TokenExpiredError") return callback(createError(401, "Token expired"));
+      return callback(createError(403, "Token is not valid!"));
     }
+    callback(null, decoded);
+  });
+};
 
+export const verifyToken = (req, res, next) => {
+  try {
+    const token = extractToken(req);
     if (!token) return next(createError(401, "You are not authenticated!"));
 
-    jwt.verify(token, process.env.JWT, (err, decoded) => {
-      if (err) {
-        // give a clearer response for expired tokens
-        if (err.name === "TokenExpiredError") return next(createError(401, "Token expired"));
-        return next(createError(403, "Token is not valid!"));
-      }
+    decodeToken(token, (err, decoded) => {
+      if (err) return next(err);
 
       // decoded is the payload you signed: { id: user._id, iat: ..., exp: ... }
       req.user = decoded;